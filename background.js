@@ -1,75 +1,631 @@
 // background.js — final clean version
 
 import { analyzeDomain } from "./offpage.js";
-import { calculateDavssScore } from "./davssService.js";
-import { isDomainWhitelisted, getRootDomain } from "./utils/domainUtils.js";
+import { analyzeDns } from "./utils/dnsAnalysis.js";
+import { calculateDavssScore, validateApiKey } from "./davssService.js";
+import { analyzeLogo } from "./logoMatcher.js";
+import { seedLogoLibrary, getLogoLibrarySummary, clearLearnedLogos } from "./utils/logoLibrary.js";
+import {
+  isDomainWhitelisted,
+  isDomainBlocked,
+  getRootDomain,
+  setUserDomainLists
+} from "./utils/domainUtils.js";
+import { loadStoredSuffixList, updatePublicSuffixList } from "./utils/publicSuffix.js";
+import { updateRdapBootstrap } from "./utils/rdapClient.js";
+import { checkUrl, refreshFeeds, importFeed, removeFeed, listFeeds } from "./utils/threatFeeds.js";
+import { migrateLegacyKeys } from "./utils/credentialVault.js";
+import { computeVerdict } from "./verdictEngine.js";
+import { analyzeHomoglyphs } from "./utils/homoglyph.js";
+import { analyzeTyposquat } from "./utils/typosquat.js";
+import { classifyFeatures } from "./mlClassifier.js";
+import {
+  getTabState,
+  beginNavigation,
+  updateTabState,
+  clearTabState
+} from "./utils/tabState.js";
+import { getSettings, DEFAULT_SETTINGS } from "./utils/settings.js";
+import { setVerdictBadge } from "./utils/badge.js";
+import { getCachedResult, setCachedResult, pruneExpiredCache } from "./utils/verdictCache.js";
+import { hasException, grantException } from "./utils/exceptions.js";
+import { getPasswordSalt, checkPasswordHash } from "./utils/passwordReuse.js";
+import { recordScan, pruneHistory } from "./utils/historyStore.js";
+import {
+  getOverride,
+  recordOverride,
+  removeOverride,
+  OVERRIDE_LABELS
+} from "./utils/feedbackStore.js";
 
-let latestFeatures = null;
-let latestOffPage = null;
-let latestDavss = null;
+// ----- SETTINGS -----
+
+// Applies settings that other modules read synchronously (user domain lists)
+function applySettings(settings) {
+  setUserDomainLists({
+    trusted: settings.userTrustedDomains,
+    blocked: settings.userBlockedDomains
+  });
+  return settings;
+}
+
+// Resolves once the downloaded suffix list and the user's lists are loaded;
+// awaited before any whitelist decision
+const settingsReady = loadStoredSuffixList()
+  .then(() => getSettings())
+  .then(applySettings);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.settings) {
+    getSettings().then(applySettings);
+    // Logo matching just turned on: fetch the favicons skipped while it was off
+    if (changes.settings.newValue?.localLogoMatching && changes.settings.oldValue?.localLogoMatching === false) {
+      seedLogos();
+    }
+  }
+});
+
+// DAVSS scenarios that block the page behind the warning interstitial, once
+// the fused verdict agrees (a low-confidence C/D is inconclusive there)
+const BLOCKING_SCENARIOS = new Set(["C", "D"]);
+
+// Verdicts on which the content script pauses credential submissions
+const GUARDED_VERDICTS = new Set(["Suspicious", "Phishing"]);
+
+// In-flight automatic scans, one per tab navigation
+const autoScanRuns = new Map();
+
+// In-flight feed lookups, one per tab navigation
+const feedCheckRuns = new Map();
+
+// Re-fuse all available results for a tab into one verdict after any source changes
+async function refreshVerdict(tabId) {
+  await settingsReady;
+  const state = await getTabState(tabId);
+  if (!state) return null;
+
+  const settings = await getSettings();
+  const lexical = isScannableUrl(state.url) ? analyzeUrl(state.url) : null;
+  const verdict = computeVerdict({
+    features: state.features,
+    ml: state.ml,
+    offpage: state.offpage,
+    davss: state.davss,
+    homoglyph: lexical?.homoglyph,
+    typosquat: lexical?.typosquat,
+    logoMatch: state.logoMatch,
+    blocked: isDomainBlocked(state.url),
+    override: isScannableUrl(state.url) ? await getOverride(getRootDomain(state.url)) : null,
+    feedCheck: state.feedCheck
+  }, {
+    davssMinConfidence: settings.davssMinConfidence
+  });
+  const updated = await updateTabState(tabId, { verdict, lexical }, state.navigatedAt);
+  if (updated) {
+    setVerdictBadge(tabId, verdict);
+    pushGuardState(tabId);
+    if (settings.historyEnabled && isScannableUrl(updated.url)) {
+      recordScan(updated, getRootDomain(updated.url), historyRetention(settings));
+    }
+  }
+  return verdict;
+}
+
+// Lookalike-domain checks that need nothing but the URL
+function analyzeUrl(url) {
+  return {
+    homoglyph: analyzeHomoglyphs(url),
+    typosquat: analyzeTyposquat(url)
+  };
+}
+
+function historyRetention(settings) {
+  return {
+    maxEntries: settings.historyMaxEntries,
+    maxAgeDays: settings.historyRetentionDays
+  };
+}
+
+// ----- SUBMISSION GUARD -----
+
+// Whether credential submissions on a tab should be paused, and why
+async function getGuardState(tabId) {
+  await settingsReady;
+  const state = await getTabState(tabId);
+  if (!state || !isScannableUrl(state.url)) return { active: false };
+
+  // Trusted domains are never guarded, whatever the verdict says
+  if (isDomainWhitelisted(state.url)) return { active: false };
+
+  const rootDomain = getRootDomain(state.url);
+  if (await hasException(rootDomain, "submitGuard")) return { active: false };
+
+  const verdict = state.verdict;
+  if (!verdict || !GUARDED_VERDICTS.has(verdict.verdict)) return { active: false };
+
+  return {
+    active: true,
+    domain: rootDomain,
+    verdict: verdict.verdict,
+    reasons: verdict.signals
+      .filter(s => s.score > 0)
+      .slice(0, 3)
+      .map(s => s.label)
+  };
+}
+
+// Tells the tab's content script about a guard state change (tab may have no listener yet)
+async function pushGuardState(tabId) {
+  const guard = await getGuardState(tabId);
+  chrome.tabs.sendMessage(tabId, { type: "guard_state", guard }).catch(() => {});
+}
+
+// Stores a result for the navigation it was computed for, then re-fuses;
+// the returned state carries the new verdict
+async function storeResult(tabId, navigatedAt, patch) {
+  const state = await updateTabState(tabId, patch, navigatedAt);
+  if (!state) return state;
+  const verdict = await refreshVerdict(tabId);
+  return verdict ? { ...state, verdict } : state;
+}
+
+// Resolves the tab a message refers to: explicit tabId (popup) or sender tab (content script)
+function resolveTabId(msg, sender) {
+  return msg.tabId || sender.tab?.id || null;
+}
+
+function isScannableUrl(url) {
+  return /^https?:\/\//i.test(url || "");
+}
+
+// ----- ANALYSIS RUNNERS -----
+
+// Local threat-feed lookup for a tab navigation; runs before anything goes
+// over the network and blocks the page on a match
+async function runFeedCheck(tabId, url, navigatedAt) {
+  const runKey = `${tabId}:${navigatedAt}`;
+  if (feedCheckRuns.has(runKey)) return feedCheckRuns.get(runKey);
+
+  const run = (async () => {
+    await settingsReady;
+    const settings = await getSettings();
+    // A feed unticked in settings keeps its stored entries but stops matching
+    const enabledIds = settings.threatFeeds.filter(f => f.enabled).map(f => f.id);
+    const feedCheck = await checkUrl(url, { enabledIds })
+      .catch(err => {
+        console.warn("[Feeds] Lookup failed", err);
+        return { matched: false, match: null, feeds: [], error: true };
+      });
+
+    const state = await storeResult(tabId, navigatedAt, { feedCheck });
+    if (state && feedCheck.matched) {
+      const { feedName, feedType } = feedCheck.match;
+      await showInterstitial(tabId, url, state, {
+        status: `Listed in the ${feedName} ${feedType} feed`,
+        cause: "feed",
+        feedType
+      });
+    }
+    refreshStaleFeeds();
+    return feedCheck;
+  })().finally(() => feedCheckRuns.delete(runKey));
+
+  feedCheckRuns.set(runKey, run);
+  return run;
+}
+
+// RDAP + DNS analysis for a tab navigation (whitelisted domains are short-circuited,
+// cached RDAP results are reused unless forceRefresh is set; DNS is always
+// queried fresh because short TTLs are part of what it looks for)
+async function runOffpageAnalysis(tabId, url, navigatedAt, domainHint, { forceRefresh = false } = {}) {
+  await settingsReady;
+  const settings = await getSettings();
+  const rootDomain = getRootDomain(url);
+  let result;
+
+  const dnsLookup = settings.dnsAnalysisEnabled && !isDomainWhitelisted(url)
+    ? analyzeDns(url, { resolverUrl: settings.dohResolverUrl })
+    : Promise.resolve(null);
+
+  if (isDomainWhitelisted(url)) {
+    console.log(`[Whitelist] Domain ${rootDomain} is trusted. Skipping off-page analysis.`);
+    result = {
+      whitelisted: true,
+      domain: rootDomain,
+      status: "Safe",
+      message: "Domain is in trusted whitelist"
+    };
+  } else if (!forceRefresh && (result = await getCachedResult(rootDomain, "rdap"))) {
+    console.log(`[Cache] Using cached off-page result for ${rootDomain}`);
+  } else {
+    // RDAP only knows registrable domains, not hosts like login.foo.co.uk
+    const cleanDomain = domainHint ? getRootDomain(domainHint) : rootDomain;
+    if (!cleanDomain) {
+      result = { error: true, reason: "Empty domain" };
+    } else {
+      result = await analyzeDomain(cleanDomain, {
+        ageBuckets: settings.rdapAgeBuckets,
+        rdap: {
+          servers: settings.rdapServers,
+          bootstrapUrl: settings.rdapBootstrapUrl,
+          timeoutMs: settings.rdapTimeoutMs
+        }
+      })
+        .catch(err => ({ error: true, reason: "RDAP lookup failed" }));
+      result = await setCachedResult(rootDomain, "rdap", result);
+    }
+  }
+
+  const dns = await dnsLookup;
+  if (dns) result = { ...result, dns };
+
+  await storeResult(tabId, navigatedAt, { offpage: result });
+  return result;
+}
+
+// DAVSS analysis for a tab navigation (whitelisted domains are short-circuited,
+// cached results are reused unless forceRefresh is set)
+async function runDavssAnalysis(tabId, url, navigatedAt, { forceRefresh = false } = {}) {
+  await settingsReady;
+  const rootDomain = getRootDomain(url);
+  let result;
+
+  if (isDomainWhitelisted(url)) {
+    console.log(`[Whitelist] Domain ${rootDomain} is trusted. Skipping DAVSS analysis.`);
+    result = {
+      similarityScore: 0,
+      confidenceScore: 1.0,
+      currentDomain: rootDomain,
+      trueDomain: rootDomain,
+      frequencyCount: 0,
+      totalResults: 0,
+      error: false,
+      errorMessage: null,
+      whitelisted: true,
+      status: "Safe"
+    };
+  } else if (!forceRefresh && (result = await getCachedResult(rootDomain, "davss"))) {
+    console.log(`[Cache] Using cached DAVSS result for ${rootDomain}`);
+  } else {
+    console.log("[DAVSS] Starting analysis", { tabId, url });
+    result = await calculateDavssScore(tabId, url)
+      .then(res => {
+        console.log("[DAVSS] Analysis complete", res);
+        return res;
+      })
+      .catch(err => {
+        console.error("[DAVSS] Analysis failed", err);
+        return { error: true, errorMessage: `DAVSS analysis failed: ${err.message}` };
+      });
+    result = await setCachedResult(rootDomain, "davss", result);
+  }
+
+  const state = await storeResult(tabId, navigatedAt, { davss: result });
+  if (state && BLOCKING_SCENARIOS.has(result.scenario) && state.verdict?.verdict === "Phishing") {
+    await showInterstitial(tabId, url, state, {
+      brand: result.impersonatedBrand,
+      trueDomain: result.trueDomain,
+      status: result.status,
+      cause: `scenario ${result.scenario}`
+    });
+  }
+  return result;
+}
+
+// Local logo/favicon fingerprint match for a tab navigation (nothing leaves
+// the device; trusted domains feed the library instead of being matched)
+async function runLogoAnalysis(tabId, url, navigatedAt) {
+  await settingsReady;
+  const settings = await getSettings();
+  // content.js reports the icon the page declares; until then the tab's favicon is used
+  const features = (await getTabState(tabId))?.features;
+  // The logo crop is only taken when something already points at a brand
+  const { homoglyph, typosquat } = analyzeUrl(url);
+  const brandHint = homoglyph.isSpoof || typosquat.isTyposquat || !!features?.DeceptiveBrand;
+  const result = !settings.localLogoMatching
+    ? { disabled: true }
+    : await analyzeLogo(tabId, url, { faviconUrl: features?.FaviconUrl, title: features?.Title, brandHint })
+      .catch(err => {
+        console.warn("[LogoMatch] Analysis failed", err);
+        return { error: true, errorMessage: `Logo match failed: ${err.message}` };
+      });
+  await storeResult(tabId, navigatedAt, { logoMatch: result });
+  return result;
+}
+
+// ----- WARNING INTERSTITIAL -----
+
+// Redirects the tab to the extension-hosted warning page unless the user
+// already chose to proceed on this domain. cause is "feed" for a feed match
+// (no brand, no RDAP lookup; feedType says what the feed lists) or the DAVSS
+// scenario that triggered the block.
+async function showInterstitial(tabId, url, state, { brand = "", trueDomain = "", status = "", cause, feedType = "" }) {
+  const rootDomain = getRootDomain(url);
+  if (await hasException(rootDomain, "interstitial")) {
+    console.log(`[Interstitial] Exception on file for ${rootDomain}; not blocking`);
+    return;
+  }
+  if ((await getOverride(rootDomain))?.label === "safe") {
+    console.log(`[Interstitial] ${rootDomain} was reported safe by the user; not blocking`);
+    return;
+  }
+
+  // Domain age makes the warning concrete; fetch it if the RDAP run has not happened yet
+  // (a feed match is already conclusive and stays offline)
+  let offpage = state.offpage;
+  if (!offpage && cause !== "feed") {
+    offpage = await runOffpageAnalysis(tabId, url, state.navigatedAt);
+  }
+
+  const params = new URLSearchParams({
+    url,
+    domain: rootDomain,
+    brand: brand || "",
+    trueDomain: trueDomain || "",
+    status: status || "",
+    cause: cause === "feed" ? "feed" : "davss",
+    feedType: cause === "feed" ? feedType : ""
+  });
+  if (offpage && !offpage.error && offpage.daysAge !== null && offpage.daysAge !== undefined) {
+    params.set("daysAge", String(offpage.daysAge));
+  }
+
+  console.warn(`[Interstitial] Blocking ${url} (${cause})`);
+  await chrome.tabs.update(tabId, {
+    url: chrome.runtime.getURL(`warning.html?${params.toString()}`)
+  }).catch(err => console.error("[Interstitial] Redirect failed", err));
+}
+
+// ----- USER FEEDBACK -----
+
+// Evidence kept with a user report: the tab's results if it is still on the
+// reported domain, otherwise whatever the verdict cache holds for it
+async function collectEvidence(tabId, rootDomain) {
+  const state = await getTabState(tabId);
+  if (state && isScannableUrl(state.url) && getRootDomain(state.url) === rootDomain) {
+    return {
+      features: state.features,
+      ml: state.ml,
+      offpage: state.offpage,
+      davss: state.davss,
+      verdict: state.verdict
+    };
+  }
+  return {
+    features: null,
+    ml: null,
+    offpage: await getCachedResult(rootDomain, "rdap"),
+    davss: await getCachedResult(rootDomain, "davss"),
+    verdict: null
+  };
+}
+
+// The page a feedback message refers to: the popup's tab, or the URL the interstitial blocked
+async function resolveReportedUrl(msg, sender) {
+  if (msg.url) return msg.url;
+  const state = await getTabState(resolveTabId(msg, sender));
+  return state?.url || null;
+}
+
+function isExtensionPage(sender) {
+  return !!sender.url && sender.url.startsWith(chrome.runtime.getURL(""));
+}
+
+// ----- AUTOMATIC SCANNING -----
+
+// Runs off-page (and, if enabled, visual) analysis without the popup being opened.
+// Domains scanned earlier are served from the verdict cache instead of re-fetched.
+async function autoScan(tabId, url) {
+  await settingsReady;
+  const settings = await getSettings();
+  if (!settings.autoScan || !isScannableUrl(url)) return;
+
+  const state = await beginNavigation(tabId, url);
+  const runKey = `${tabId}:${state.navigatedAt}`;
+  if (autoScanRuns.has(runKey)) return autoScanRuns.get(runKey);
+
+  const run = (async () => {
+    // A listed URL is already known phishing: no RDAP, DNS or screenshot upload
+    const feedCheck = state.feedCheck || await runFeedCheck(tabId, url, state.navigatedAt);
+    if (feedCheck.matched) return;
+
+    if (!state.offpage) {
+      await runOffpageAnalysis(tabId, url, state.navigatedAt);
+    }
+
+    if (settings.localLogoMatching && !state.logoMatch) {
+      await runLogoAnalysis(tabId, url, state.navigatedAt);
+    }
+
+    if (!settings.autoDavss || state.davss) return;
+
+    // A cached verdict needs no screenshot, so it applies to background tabs too
+    const cached = isDomainWhitelisted(url) ? null : await getCachedResult(getRootDomain(url), "davss");
+    if (!cached) {
+      // captureVisibleTab can only see the active tab of its window
+      const tab = await chrome.tabs.get(tabId).catch(() => null);
+      if (!tab?.active) return;
+    }
+
+    await runDavssAnalysis(tabId, url, state.navigatedAt);
+  })()
+    .catch(err => console.error("[AutoScan] Scan failed", err))
+    .finally(() => autoScanRuns.delete(runKey));
+
+  autoScanRuns.set(runKey, run);
+  return run;
+}
+
+// ----- CACHE + HISTORY MAINTENANCE -----
+function refreshSuffixList() {
+  updatePublicSuffixList()
+    .then(({ updated, reason }) => {
+      // Re-resolve the user's trusted/blocked lists with the new rules
+      if (updated) return getSettings().then(applySettings);
+      console.log(`[PSL] Not updated: ${reason}`);
+    })
+    .catch(err => console.warn("[PSL] Update failed", err));
+}
+
+function refreshRdapBootstrap() {
+  getSettings()
+    .then(settings => updateRdapBootstrap({ bootstrapUrl: settings.rdapBootstrapUrl }))
+    .then(({ updated, reason }) => {
+      if (!updated) console.log(`[RDAP] Bootstrap not updated: ${reason}`);
+    })
+    .catch(err => console.warn("[RDAP] Bootstrap update failed", err));
+}
+
+// Re-downloads configured feeds older than threatFeedRefreshHours (at most one
+// run at a time; navigations look for stale feeds at most every few minutes)
+const FEED_REFRESH_CHECK_MS = 10 * 60 * 1000;
+let feedRefreshRun = null;
+let feedRefreshCheckedAt = 0;
+
+function refreshStaleFeeds({ force = false } = {}) {
+  if (!force && Date.now() - feedRefreshCheckedAt < FEED_REFRESH_CHECK_MS) {
+    return feedRefreshRun || Promise.resolve([]);
+  }
+  if (!feedRefreshRun) {
+    feedRefreshCheckedAt = Date.now();
+    feedRefreshRun = getSettings()
+      // Feed configs saved before feeds had a type take it from the defaults
+      .then(settings => refreshFeeds(settings.threatFeeds.map(feed => ({
+        type: DEFAULT_SETTINGS.threatFeeds.find(d => d.id === feed.id)?.type,
+        ...feed
+      })), {
+        maxAgeHours: settings.threatFeedRefreshHours,
+        force
+      }))
+      .then(results => {
+        const updated = results.filter(r => r.updated).map(r => r.id);
+        if (updated.length) console.log(`[Feeds] Updated ${updated.join(", ")}`);
+        return results;
+      })
+      .catch(err => {
+        console.warn("[Feeds] Refresh failed", err);
+        return [];
+      })
+      .finally(() => { feedRefreshRun = null; });
+  }
+  return feedRefreshRun;
+}
+
+// Official favicons are only downloaded while local logo matching is on
+function seedLogos() {
+  getSettings()
+    .then(settings => settings.localLogoMatching ? seedLogoLibrary() : 0)
+    .then(count => {
+      if (count) console.log(`[LogoLibrary] Fingerprinted ${count} official favicons`);
+    })
+    .catch(err => console.warn("[LogoLibrary] Seeding failed", err));
+}
+
+// Earlier versions kept API keys in plaintext; move them into the encrypted vault
+function migrateApiKeys() {
+  migrateLegacyKeys()
+    .then(count => {
+      if (count) console.log(`[Vault] Encrypted ${count} previously saved API keys`);
+    })
+    .catch(err => console.warn("[Vault] Key migration failed", err));
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  migrateApiKeys();
+  refreshSuffixList();
+  refreshRdapBootstrap();
+  refreshStaleFeeds();
+  seedLogos();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  refreshSuffixList();
+  refreshRdapBootstrap();
+  refreshStaleFeeds();
+  seedLogos();
+  pruneExpiredCache()
+    .then(count => console.log(`[Cache] Pruned ${count} expired domains`))
+    .catch(err => console.warn("[Cache] Prune failed", err));
+  getSettings()
+    .then(settings => pruneHistory(historyRetention(settings)))
+    .then(count => console.log(`[History] Pruned ${count} old scans`))
+    .catch(err => console.warn("[History] Prune failed", err));
+});
+
+// ----- TAB LIFECYCLE -----
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabState(tabId);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url) {
+    beginNavigation(tabId, changeInfo.url)
+      .then(state => {
+        if (isScannableUrl(changeInfo.url)) return runFeedCheck(tabId, changeInfo.url, state.navigatedAt);
+      })
+      .catch(err => console.warn("[Feeds] Navigation check failed", err));
+  }
+  if (changeInfo.status === "complete" && tab?.url) {
+    autoScan(tabId, tab.url);
+  }
+});
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
   // ----- STORE ON-PAGE FEATURES -----
   if (msg.type === "phiusiil_features") {
-    latestFeatures = msg.data;
-    chrome.storage.local.set({ latestFeatures: msg.data });
-    sendResponse({ status: "stored" });
+    const tabId = sender.tab?.id;
+    const url = sender.tab?.url || msg.data?.URL;
+    if (!tabId || !url) {
+      sendResponse({ status: "ignored" });
+      return true;
+    }
+
+    beginNavigation(tabId, url)
+      .then(state => storeResult(tabId, state.navigatedAt, { features: msg.data }).then(() => state))
+      .then(state => {
+        sendResponse({ status: "stored" });
+        autoScan(tabId, url);
+
+        // Score the features on-device; the verdict is re-fused once it lands
+        return classifyFeatures(msg.data)
+          .then(result => storeResult(tabId, state.navigatedAt, { ml: result }))
+          .catch(err => console.warn("[ML] Scoring failed", err));
+      })
+      .catch(err => {
+        console.error("[Features] Could not store features", err);
+        sendResponse({ status: "error", error: err.message });
+      });
     return true;
   }
 
   // ----- RETURN ON-PAGE FEATURES -----
   if (msg.type === "get_latest_features") {
-    sendResponse({ features: latestFeatures });
+    getTabState(resolveTabId(msg, sender))
+      .then(state => sendResponse({ features: state?.features || null }));
     return true;
   }
 
   // ----- RUN OFF-PAGE ANALYSIS (RDAP) -----
   if (msg.type === "run_offpage_analysis") {
+    const tabId = resolveTabId(msg, sender);
     const url = msg.url || sender.tab?.url;
-    const domain = msg.domain || (url ? getRootDomain(url) : "");
-    
-    // Check whitelist first
-    if (url && isDomainWhitelisted(url)) {
-      const rootDomain = getRootDomain(url);
-      console.log(`[Whitelist] Domain ${rootDomain} is trusted. Skipping off-page analysis.`);
-      
-      // Set badge to Safe (Green) for whitelisted domains
-      const tabId = sender.tab?.id;
-      if (tabId) {
-        chrome.action.setBadgeText({ text: '✓', tabId: tabId });
-        chrome.action.setBadgeBackgroundColor({ color: '#00ff00', tabId: tabId });
-      }
-      
-      const whitelistedResult = {
-        whitelisted: true,
-        domain: rootDomain,
-        status: "Safe",
-        message: "Domain is in trusted whitelist"
-      };
-      latestOffPage = whitelistedResult;
-      chrome.storage.local.set({ offpage_results: whitelistedResult });
-      sendResponse({ offpage: whitelistedResult });
-      return true;
-    }
-    
-    const cleanDomain = (domain || "").toLowerCase().replace(/^www\./, "");
-    if (!cleanDomain) {
+
+    if (!tabId || !url) {
       sendResponse({
-        offpage: { error: true, reason: "Empty domain" }
+        offpage: { error: true, reason: "Missing tabId or url" }
       });
       return true;
     }
 
-    analyzeDomain(cleanDomain)
-      .then(result => {
-        latestOffPage = result;
-        chrome.storage.local.set({ offpage_results: result });
-        sendResponse({ offpage: result });
-      })
+    beginNavigation(tabId, url)
+      .then(state => runOffpageAnalysis(tabId, url, state.navigatedAt, msg.domain, {
+        forceRefresh: !!msg.forceRefresh
+      }))
+      .then(result => sendResponse({ offpage: result }))
       .catch(err => {
-        latestOffPage = { error: true, reason: "RDAP lookup failed" };
-        sendResponse({ offpage: latestOffPage });
+        console.error("[RDAP] Analysis failed", err);
+        sendResponse({ offpage: { error: true, reason: err.message } });
       });
 
     return true; // keep message channel open for async response
@@ -77,13 +633,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
   // ----- RETURN LAST OFF-PAGE RESULT -----
   if (msg.type === "get_offpage_results") {
-    sendResponse({ offpage: latestOffPage });
+    getTabState(resolveTabId(msg, sender))
+      .then(state => sendResponse({ offpage: state?.offpage || null }));
     return true;
   }
 
   // ----- RUN DAVSS ANALYSIS -----
   if (msg.type === "run_davss_analysis") {
-    const tabId = msg.tabId || sender.tab?.id;
+    const tabId = resolveTabId(msg, sender);
     const url = msg.url || sender.tab?.url;
 
     if (!tabId || !url) {
@@ -94,53 +651,223 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       return true;
     }
 
-    // Check whitelist first - skip expensive DAVSS analysis if trusted
-    if (isDomainWhitelisted(url)) {
-      const rootDomain = getRootDomain(url);
-      console.log(`[Whitelist] Domain ${rootDomain} is trusted. Skipping DAVSS analysis.`);
-      
-      // Set badge to Safe (Green) for whitelisted domains
-      chrome.action.setBadgeText({ text: '✓', tabId: tabId });
-      chrome.action.setBadgeBackgroundColor({ color: '#00ff00', tabId: tabId });
-      
-      const whitelistedResult = {
-        similarityScore: 0,
-        confidenceScore: 1.0,
-        currentDomain: rootDomain,
-        trueDomain: rootDomain,
-        frequencyCount: 0,
-        totalResults: 0,
-        error: false,
-        errorMessage: null,
-        whitelisted: true,
-        status: "Safe"
-      };
-      latestDavss = whitelistedResult;
-      chrome.storage.local.set({ davss_results: whitelistedResult });
-      sendResponse({ davss: whitelistedResult });
+    beginNavigation(tabId, url)
+      .then(state => runDavssAnalysis(tabId, url, state.navigatedAt, {
+        forceRefresh: !!msg.forceRefresh
+      }))
+      .then(result => sendResponse({ davss: result }))
+      .catch(err => {
+        console.error("[DAVSS] Analysis failed", err);
+        sendResponse({ davss: { error: true, errorMessage: `DAVSS analysis failed: ${err.message}` } });
+      });
+
+    return true; // keep message channel open for async response
+  }
+
+  // ----- RUN LOCAL LOGO MATCH -----
+  if (msg.type === "run_logo_analysis") {
+    const tabId = resolveTabId(msg, sender);
+    const url = msg.url || sender.tab?.url;
+
+    if (!tabId || !isScannableUrl(url)) {
+      sendResponse({ logoMatch: null });
       return true;
     }
 
-    console.log("[DAVSS] Starting analysis", { tabId, url });
-    calculateDavssScore(tabId, url)
-      .then(result => {
-        console.log("[DAVSS] Analysis complete", result);
-        latestDavss = result;
-        chrome.storage.local.set({ davss_results: result });
-        sendResponse({ davss: result });
-      })
+    beginNavigation(tabId, url)
+      .then(state => runLogoAnalysis(tabId, url, state.navigatedAt))
+      .then(result => sendResponse({ logoMatch: result }))
       .catch(err => {
-        console.error("[DAVSS] Analysis failed", err);
-        latestDavss = { error: true, errorMessage: `DAVSS analysis failed: ${err.message}` };
-        sendResponse({ davss: latestDavss });
+        console.warn("[LogoMatch] Analysis failed", err);
+        sendResponse({ logoMatch: { error: true, errorMessage: `Logo match failed: ${err.message}` } });
       });
 
-    return true; // keep message channel open for async response
+    return true;
   }
 
   // ----- RETURN LAST DAVSS RESULT -----
   if (msg.type === "get_davss_results") {
-    sendResponse({ davss: latestDavss });
+    getTabState(resolveTabId(msg, sender))
+      .then(state => sendResponse({ davss: state?.davss || null }));
+    return true;
+  }
+
+  // ----- RETURN LAST ML RESULT -----
+  if (msg.type === "get_ml_results") {
+    getTabState(resolveTabId(msg, sender))
+      .then(state => sendResponse({ ml: state?.ml || null }));
+    return true;
+  }
+
+  // ----- RETURN FUSED VERDICT -----
+  if (msg.type === "get_verdict") {
+    refreshVerdict(resolveTabId(msg, sender))
+      .then(verdict => sendResponse({ verdict }));
+    return true;
+  }
+
+  // ----- RECORD A PER-DOMAIN EXCEPTION -----
+  if (msg.type === "grant_exception") {
+    // Only extension pages (the interstitial) may lift a protection, never a web page
+    if (!isExtensionPage(sender)) {
+      sendResponse({ status: "denied" });
+      return true;
+    }
+    grantException(msg.domain, msg.kind)
+      .then(() => sendResponse({ status: "granted" }));
+    return true;
+  }
+
+  // ----- USER REPORT: "THIS SITE IS SAFE" / "THIS SITE IS PHISHING" -----
+  if (msg.type === "report_verdict") {
+    // Reports change verdicts, so only the popup / interstitial may send them
+    if (!isExtensionPage(sender) || !OVERRIDE_LABELS.has(msg.label)) {
+      sendResponse({ status: "denied" });
+      return true;
+    }
+    const tabId = resolveTabId(msg, sender);
+    resolveReportedUrl(msg, sender)
+      .then(async (url) => {
+        if (!isScannableUrl(url)) return { status: "ignored" };
+        const rootDomain = getRootDomain(url);
+        const evidence = await collectEvidence(tabId, rootDomain);
+        await recordOverride(rootDomain, msg.label, { url, evidence });
+        const verdict = await refreshVerdict(tabId);
+        return { status: "recorded", domain: rootDomain, verdict };
+      })
+      .then(result => sendResponse(result))
+      .catch(err => {
+        console.error("[Feedback] Report failed", err);
+        sendResponse({ status: "error" });
+      });
+    return true;
+  }
+
+  // ----- USER REPORT: UNDO -----
+  if (msg.type === "remove_override") {
+    if (!isExtensionPage(sender)) {
+      sendResponse({ status: "denied" });
+      return true;
+    }
+    const tabId = resolveTabId(msg, sender);
+    resolveReportedUrl(msg, sender)
+      .then(async (url) => {
+        if (!isScannableUrl(url)) return { status: "ignored" };
+        await removeOverride(getRootDomain(url));
+        const verdict = await refreshVerdict(tabId);
+        return { status: "removed", verdict };
+      })
+      .then(result => sendResponse(result))
+      .catch(err => {
+        console.error("[Feedback] Undo failed", err);
+        sendResponse({ status: "error", error: err.message });
+      });
+    return true;
+  }
+
+  // ----- SUBMISSION GUARD STATE FOR THE SENDER TAB -----
+  if (msg.type === "get_guard_state") {
+    getGuardState(resolveTabId(msg, sender))
+      .then(guard => sendResponse({ guard }));
+    return true;
+  }
+
+  // ----- "ALWAYS ALLOW ON THIS SITE" FROM THE GUARD DIALOG -----
+  if (msg.type === "bypass_submit_guard") {
+    // The domain comes from the sender tab, so a page can only ever bypass itself
+    const url = sender.tab?.url;
+    if (!url || isDomainWhitelisted(url)) {
+      sendResponse({ status: "ignored" });
+      return true;
+    }
+    grantException(getRootDomain(url), "submitGuard")
+      .then(() => pushGuardState(sender.tab.id))
+      .then(() => sendResponse({ status: "granted" }));
+    return true;
+  }
+
+  // ----- PASSWORD REUSE: SALT FOR CONTENT-SIDE HASHING -----
+  if (msg.type === "get_password_salt") {
+    getPasswordSalt().then(salt => sendResponse({ salt }));
+    return true;
+  }
+
+  // ----- PASSWORD REUSE: HASH TYPED INTO A PASSWORD FIELD -----
+  if (msg.type === "password_entered") {
+    const url = sender.tab?.url;
+    if (!url || !isScannableUrl(url) || typeof msg.hash !== "string") {
+      sendResponse({ status: "ignored" });
+      return true;
+    }
+    checkPasswordHash(msg.hash, url, !!msg.final)
+      .then(result => sendResponse(result))
+      .catch(err => {
+        console.error("[PasswordReuse] Check failed", err);
+        sendResponse({ status: "error" });
+      });
+    return true;
+  }
+
+  // ----- VALIDATE A PROVIDER API KEY (options page) -----
+  if (msg.type === "validate_api_key") {
+    validateApiKey(msg.provider, msg.key)
+      .then(result => sendResponse(result));
+    return true;
+  }
+
+  // ----- THREAT FEEDS (options page) -----
+  if (msg.type === "list_feeds") {
+    listFeeds()
+      .then(feeds => sendResponse({ feeds }))
+      .catch(err => sendResponse({ feeds: [], error: err.message }));
+    return true;
+  }
+
+  if (msg.type === "import_feed" || msg.type === "remove_feed" || msg.type === "refresh_feeds") {
+    // The service worker holds the lookup index, so all feed writes go through it
+    if (!isExtensionPage(sender)) {
+      sendResponse({ status: "denied" });
+      return true;
+    }
+    const action = msg.type === "import_feed" ? importFeed(msg.feed)
+      : msg.type === "remove_feed" ? removeFeed(msg.id)
+      : refreshStaleFeeds({ force: !!msg.force });
+    action
+      .then(result => sendResponse({ status: "ok", result }))
+      .catch(err => {
+        console.warn(`[Feeds] ${msg.type} failed`, err);
+        sendResponse({ status: "error", error: err.message });
+      });
+    return true;
+  }
+
+  // ----- LOGO LIBRARY (options page) -----
+  if (msg.type === "get_logo_library") {
+    getLogoLibrarySummary()
+      .then(summary => sendResponse({ summary }))
+      .catch(err => sendResponse({ summary: null, error: err.message }));
+    return true;
+  }
+
+  if (msg.type === "clear_learned_logos" || msg.type === "seed_logo_library") {
+    if (!isExtensionPage(sender)) {
+      sendResponse({ status: "denied" });
+      return true;
+    }
+    const action = msg.type === "clear_learned_logos" ? clearLearnedLogos() : seedLogoLibrary({ force: !!msg.force });
+    action
+      .then(result => sendResponse({ status: "ok", result }))
+      .catch(err => {
+        console.warn(`[LogoLibrary] ${msg.type} failed`, err);
+        sendResponse({ status: "error", error: err.message });
+      });
+    return true;
+  }
+
+  // ----- RETURN FULL TAB STATE -----
+  if (msg.type === "get_tab_state") {
+    getTabState(resolveTabId(msg, sender))
+      .then(state => sendResponse({ state }));
     return true;
   }
 });
@@ -58,7 +58,28 @@ function computeObfuscation(url) {
 }
 //newaddntillhere
 
-function extractPhiUSIILFeatures() {
+// Shared extension modules: brand names hidden in subdomain/path/query/userinfo
+// (utils/urlDeception.js) and registrable-domain parsing (utils/publicSuffix.js).
+// content.js is a classic script, so ES modules are pulled in with a dynamic
+// import; they must be listed in web_accessible_resources together with their imports.
+async function loadModuleExport(path, name) {
+  try {
+    const module = await import(chrome.runtime.getURL(path));
+    return module[name];
+  } catch (e) {
+    console.warn(`[S.P.A.R.E] ${path} unavailable:`, e);
+    return null;
+  }
+}
+
+// Labels left of the registrable domain (login.foo.co.uk -> 1)
+function countSubdomains(domain, parseDomain) {
+  if (!parseDomain) return Math.max(domain.split(".").length - 2, 0);
+  const { subdomain } = parseDomain(domain);
+  return subdomain ? subdomain.split(".").length : 0;
+}
+
+function extractPhiUSIILFeatures({ analyzeUrlDeception, parseDomain }) {
   const urlObj = new URL(window.location.href);
   const urlStr = urlObj.href;
   const domain = urlObj.hostname || "";
@@ -101,17 +122,20 @@ function extractPhiUSIILFeatures() {
 
   const totalSpecial = numEqual + numQMark + numAmp + numOtherSpecial;
   const safeLen = urlLength || 1;
-  const noOfSubDomain = Math.max(domain.split(".").length - 2, 0);
+  const noOfSubDomain = countSubdomains(domain, parseDomain);
 
   const titleEl = document.querySelector("title");
   const titleText = (titleEl && titleEl.textContent) || document.title || "";
   const hasTitle = titleText.trim().length > 0 ? 1 : 0;
 
-  const hasFavicon =
+  // The icon the page declares (what a kit copies from its target), else
+  // the location browsers fall back to; hashed by the background
+  const faviconLink =
+    document.querySelector("link[rel~='icon' i][href]") ||
     document.querySelector("link[rel*='icon']") ||
-    document.querySelector("link[href*='favicon']")
-      ? 1
-      : 0;
+    document.querySelector("link[href*='favicon']");
+  const hasFavicon = faviconLink ? 1 : 0;
+  const faviconUrl = (faviconLink && faviconLink.href) || new URL("/favicon.ico", location.href).href;
 
   const robotsMeta = document.querySelector('meta[name="robots"]');
   const robots = robotsMeta ? 1 : 0;
@@ -305,6 +329,7 @@ function extractPhiUSIILFeatures() {
     URLTitleMatchScore: jaccardTokenSimilarity(urlStr, titleText),
 
     HasFavicon: hasFavicon,
+    FaviconUrl: faviconUrl,
     Robots: robots,
     IsResponsive: isResponsive,
 
@@ -332,6 +357,9 @@ function extractPhiUSIILFeatures() {
     NoOfEmptyRef: noOfEmptyRef,
     NoOfExternalRef: noOfExternalRef,
 
+    // Brand-name deception outside the registrable domain (not PhiUSIIL columns)
+    ...(analyzeUrlDeception ? analyzeUrlDeception(urlStr) : {}),
+
     label: null
   };
 
@@ -346,9 +374,12 @@ function extractPhiUSIILFeatures() {
 }
 
 // run once per page
-(function runFeatureExtraction() {
+(async function runFeatureExtraction() {
   try {
-    const feats = extractPhiUSIILFeatures();
+    const feats = extractPhiUSIILFeatures({
+      analyzeUrlDeception: await loadModuleExport("utils/urlDeception.js", "analyzeUrlDeception"),
+      parseDomain: await loadModuleExport("utils/publicSuffix.js", "parseDomain")
+    });
     console.log("[S.P.A.R.E] On-page features:", feats);
 
     if (typeof chrome !== "undefined" && chrome.runtime && chrome.runtime.sendMessage) {
@@ -0,0 +1,87 @@
+/**
+ * Brand Asset Library
+ *
+ * The brands whose logos and favicons the local logo matcher knows: every
+ * PRIORITY_BRANDS entry and every TRUSTED_DOMAINS site, with the domains each
+ * brand legitimately uses. The brand also owns the country sites of these
+ * domains (the same label under a country suffix, see isCountryVariant); a
+ * page showing its logo on any other domain is impersonating it.
+ *
+ * Precomputed fingerprints of most of these brands' marks and wordmarks are
+ * bundled in data/logoFingerprints.js (hashes only, no image data). The
+ * official favicon of each brand (https://<first domain>/favicon.ico) is
+ * also downloaded and kept as a perceptual fingerprint plus its
+ * MurmurHash3/SHA-256 for exact-copy checks, and logos are learned on the
+ * home pages of the official domains (see utils/logoLibrary.js).
+ *
+ * Entries: { brand, name, domains } - brand is the PRIORITY_BRANDS label or
+ * the brand label of the trusted domain; domains are registrable domains.
+ */
+
+export const BRAND_ASSETS = [
+  // Tech / search
+  { brand: 'google', name: 'Google', domains: ['google.com', 'gmail.com', 'youtube.com', 'google.co.uk', 'google.de', 'google.fr', 'google.ca', 'google.co.in', 'google.com.au', 'google.co.jp'] },
+  { brand: 'gmail', name: 'Gmail', domains: ['gmail.com', 'google.com'] },
+  { brand: 'youtube', name: 'YouTube', domains: ['youtube.com', 'google.com'] },
+  { brand: 'microsoft', name: 'Microsoft', domains: ['microsoft.com', 'live.com', 'office.com', 'microsoftonline.com', 'outlook.com', 'bing.com'] },
+  { brand: 'outlook', name: 'Outlook', domains: ['outlook.com', 'live.com', 'office.com', 'microsoft.com', 'microsoftonline.com'] },
+  { brand: 'bing', name: 'Bing', domains: ['bing.com', 'microsoft.com'] },
+  { brand: 'apple', name: 'Apple', domains: ['apple.com', 'icloud.com'] },
+  { brand: 'icloud', name: 'iCloud', domains: ['icloud.com', 'apple.com'] },
+  { brand: 'github', name: 'GitHub', domains: ['github.com'] },
+  { brand: 'stackoverflow', name: 'Stack Overflow', domains: ['stackoverflow.com'] },
+  { brand: 'yahoo', name: 'Yahoo', domains: ['yahoo.com'] },
+  { brand: 'adobe', name: 'Adobe', domains: ['adobe.com'] },
+  { brand: 'dropbox', name: 'Dropbox', domains: ['dropbox.com'] },
+  { brand: 'salesforce', name: 'Salesforce', domains: ['salesforce.com'] },
+  { brand: 'intuit', name: 'Intuit', domains: ['intuit.com'] },
+  { brand: 'zoom', name: 'Zoom', domains: ['zoom.us'] },
+
+  // Social
+  { brand: 'facebook', name: 'Facebook', domains: ['facebook.com', 'fb.com', 'messenger.com'] },
+  { brand: 'instagram', name: 'Instagram', domains: ['instagram.com'] },
+  { brand: 'whatsapp', name: 'WhatsApp', domains: ['whatsapp.com'] },
+  { brand: 'twitter', name: 'X (Twitter)', domains: ['twitter.com', 'x.com'] },
+  { brand: 'linkedin', name: 'LinkedIn', domains: ['linkedin.com'] },
+  { brand: 'pinterest', name: 'Pinterest', domains: ['pinterest.com'] },
+  { brand: 'reddit', name: 'Reddit', domains: ['reddit.com'] },
+  { brand: 'tiktok', name: 'TikTok', domains: ['tiktok.com'] },
+  { brand: 'discord', name: 'Discord', domains: ['discord.com', 'discord.gg'] },
+  { brand: 'twitch', name: 'Twitch', domains: ['twitch.tv'] },
+
+  // Shopping
+  { brand: 'amazon', name: 'Amazon', domains: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.in', 'amazon.fr', 'amazon.ca', 'amazon.co.jp', 'amazon.com.au', 'amazon.es', 'amazon.it'] },
+  { brand: 'ebay', name: 'eBay', domains: ['ebay.com', 'ebay.co.uk', 'ebay.de', 'ebay.fr', 'ebay.ca', 'ebay.com.au', 'ebay.it'] },
+  { brand: 'walmart', name: 'Walmart', domains: ['walmart.com'] },
+  { brand: 'bestbuy', name: 'Best Buy', domains: ['bestbuy.com'] },
+  { brand: 'target', name: 'Target', domains: ['target.com'] },
+  { brand: 'etsy', name: 'Etsy', domains: ['etsy.com'] },
+  { brand: 'flipkart', name: 'Flipkart', domains: ['flipkart.com'] },
+  { brand: 'aliexpress', name: 'AliExpress', domains: ['aliexpress.com'] },
+
+  // Finance / payments
+  { brand: 'paypal', name: 'PayPal', domains: ['paypal.com'] },
+  { brand: 'stripe', name: 'Stripe', domains: ['stripe.com'] },
+  { brand: 'chase', name: 'Chase', domains: ['chase.com'] },
+  { brand: 'bankofamerica', name: 'Bank of America', domains: ['bankofamerica.com'] },
+  { brand: 'wellsfargo', name: 'Wells Fargo', domains: ['wellsfargo.com'] },
+  { brand: 'citibank', name: 'Citibank', domains: ['citibank.com', 'citi.com'] },
+  { brand: 'americanexpress', name: 'American Express', domains: ['americanexpress.com'] },
+  { brand: 'wise', name: 'Wise', domains: ['wise.com'] },
+  { brand: 'hdfc', name: 'HDFC Bank', domains: ['hdfc.bank.in', 'hdfcbank.com'] },
+
+  // Crypto
+  { brand: 'binance', name: 'Binance', domains: ['binance.com'] },
+  { brand: 'coinbase', name: 'Coinbase', domains: ['coinbase.com'] },
+  { brand: 'kraken', name: 'Kraken', domains: ['kraken.com'] },
+  { brand: 'trezor', name: 'Trezor', domains: ['trezor.io'] },
+  { brand: 'ledger', name: 'Ledger', domains: ['ledger.com'] },
+  { brand: 'metamask', name: 'MetaMask', domains: ['metamask.io'] },
+
+  // Entertainment / gaming
+  { brand: 'netflix', name: 'Netflix', domains: ['netflix.com'] },
+  { brand: 'spotify', name: 'Spotify', domains: ['spotify.com'] },
+  { brand: 'roblox', name: 'Roblox', domains: ['roblox.com'] },
+  { brand: 'steam', name: 'Steam', domains: ['steampowered.com', 'steamcommunity.com'] },
+  { brand: 'epicgames', name: 'Epic Games', domains: ['epicgames.com'] }
+];
@@ -0,0 +1,115 @@
+/**
+ * Confusable Characters
+ *
+ * Subset of the Unicode confusables table (UTS #39, confusables.txt) covering
+ * the characters that render like lowercase Latin letters or digits in a
+ * hostname. Each entry maps a character to its ASCII prototype; the skeleton
+ * of a string is obtained by replacing every character with its prototype.
+ *
+ * Fullwidth and other compatibility forms are not listed: they are folded by
+ * NFKC before lookup (and browsers already fold them in hostnames).
+ */
+
+export const CONFUSABLES = new Map([
+  // ASCII lookalikes (UTS #39 maps these within Latin as well)
+  ['0', 'o'],
+  ['1', 'l'],
+  ['m', 'rn'],
+  ['d', 'cl'],
+
+  // Latin extensions
+  ['ı', 'i'], // LATIN SMALL LETTER DOTLESS I
+  ['ȷ', 'j'], // LATIN SMALL LETTER DOTLESS J
+  ['ɑ', 'a'], // LATIN SMALL LETTER ALPHA
+  ['ɡ', 'g'], // LATIN SMALL LETTER SCRIPT G
+  ['ɩ', 'i'], // LATIN SMALL LETTER IOTA
+  ['ɪ', 'i'], // LATIN LETTER SMALL CAPITAL I
+  ['ɰ', 'w'], // LATIN SMALL LETTER TURNED M WITH LONG LEG
+  ['ʏ', 'y'], // LATIN LETTER SMALL CAPITAL Y
+  ['ʟ', 'l'], // LATIN LETTER SMALL CAPITAL L
+  ['ǀ', 'l'], // LATIN LETTER DENTAL CLICK
+  ['Ƅ', 'b'], // LATIN CAPITAL LETTER TONE SIX
+  ['ᴏ', 'o'], // LATIN LETTER SMALL CAPITAL O
+  ['ᴜ', 'u'], // LATIN LETTER SMALL CAPITAL U
+  ['ᴠ', 'v'], // LATIN LETTER SMALL CAPITAL V
+  ['ᴡ', 'w'], // LATIN LETTER SMALL CAPITAL W
+  ['ᴢ', 'z'], // LATIN LETTER SMALL CAPITAL Z
+  ['ẟ', 'd'], // LATIN SMALL LETTER DELTA
+  ['ƙ', 'k'], // LATIN SMALL LETTER K WITH HOOK
+  ['ƽ', 's'], // LATIN SMALL LETTER TONE FIVE
+
+  // Cyrillic
+  ['а', 'a'], // CYRILLIC SMALL LETTER A
+  ['в', 'b'], // CYRILLIC SMALL LETTER VE (renders as small-cap B)
+  ['с', 'c'], // CYRILLIC SMALL LETTER ES
+  ['ԁ', 'd'], // CYRILLIC SMALL LETTER KOMI DE
+  ['е', 'e'], // CYRILLIC SMALL LETTER IE
+  ['є', 'e'], // CYRILLIC SMALL LETTER UKRAINIAN IE
+  ['һ', 'h'], // CYRILLIC SMALL LETTER SHHA
+  ['і', 'i'], // CYRILLIC SMALL LETTER BYELORUSSIAN-UKRAINIAN I
+  ['ј', 'j'], // CYRILLIC SMALL LETTER JE
+  ['к', 'k'], // CYRILLIC SMALL LETTER KA
+  ['ӏ', 'l'], // CYRILLIC SMALL LETTER PALOCHKA
+  ['м', 'm'], // CYRILLIC SMALL LETTER EM
+  ['п', 'n'], // CYRILLIC SMALL LETTER PE
+  ['о', 'o'], // CYRILLIC SMALL LETTER O
+  ['р', 'p'], // CYRILLIC SMALL LETTER ER
+  ['ԛ', 'q'], // CYRILLIC SMALL LETTER QA
+  ['г', 'r'], // CYRILLIC SMALL LETTER GHE
+  ['ѕ', 's'], // CYRILLIC SMALL LETTER DZE
+  ['т', 't'], // CYRILLIC SMALL LETTER TE
+  ['ц', 'u'], // CYRILLIC SMALL LETTER TSE
+  ['ѵ', 'v'], // CYRILLIC SMALL LETTER IZHITSA
+  ['ԝ', 'w'], // CYRILLIC SMALL LETTER WE
+  ['х', 'x'], // CYRILLIC SMALL LETTER HA
+  ['у', 'y'], // CYRILLIC SMALL LETTER U
+  ['ү', 'y'], // CYRILLIC SMALL LETTER STRAIGHT U
+  ['ѡ', 'w'], // CYRILLIC SMALL LETTER OMEGA
+
+  // Greek
+  ['α', 'a'], // GREEK SMALL LETTER ALPHA
+  ['β', 'b'], // GREEK SMALL LETTER BETA
+  ['ε', 'e'], // GREEK SMALL LETTER EPSILON
+  ['η', 'n'], // GREEK SMALL LETTER ETA
+  ['ι', 'i'], // GREEK SMALL LETTER IOTA
+  ['κ', 'k'], // GREEK SMALL LETTER KAPPA
+  ['ν', 'v'], // GREEK SMALL LETTER NU
+  ['ο', 'o'], // GREEK SMALL LETTER OMICRON
+  ['ρ', 'p'], // GREEK SMALL LETTER RHO
+  ['σ', 'o'], // GREEK SMALL LETTER SIGMA
+  ['τ', 't'], // GREEK SMALL LETTER TAU
+  ['υ', 'u'], // GREEK SMALL LETTER UPSILON
+  ['χ', 'x'], // GREEK SMALL LETTER CHI
+  ['γ', 'y'], // GREEK SMALL LETTER GAMMA
+  ['ω', 'w'], // GREEK SMALL LETTER OMEGA
+
+  // Armenian
+  ['ա', 'w'], // ARMENIAN SMALL LETTER AYB
+  ['գ', 'q'], // ARMENIAN SMALL LETTER GIM
+  ['զ', 'q'], // ARMENIAN SMALL LETTER ZA
+  ['հ', 'h'], // ARMENIAN SMALL LETTER HO
+  ['ո', 'n'], // ARMENIAN SMALL LETTER VO
+  ['ռ', 'n'], // ARMENIAN SMALL LETTER RA
+  ['ս', 'u'], // ARMENIAN SMALL LETTER SEH
+  ['ց', 'g'], // ARMENIAN SMALL LETTER CO
+  ['օ', 'o'], // ARMENIAN SMALL LETTER OH
+
+  // Other scripts with Latin-looking letters
+  ['Ꭰ', 'd'], // CHEROKEE LETTER A
+  ['Ꭱ', 'r'], // CHEROKEE LETTER E
+  ['Ꭺ', 'g'], // CHEROKEE LETTER GO
+  ['Ꮃ', 'w'], // CHEROKEE LETTER LA
+  ['Ꮪ', 's'], // CHEROKEE LETTER DU
+  ['ഠ', 'o'], // MALAYALAM LETTER TTHA
+  ['౦', 'o'], // TELUGU DIGIT ZERO
+  ['೦', 'o'], // KANNADA DIGIT ZERO
+  ['०', 'o'], // DEVANAGARI DIGIT ZERO
+  ['০', 'o'], // BENGALI DIGIT ZERO
+  ['٥', 'o'], // ARABIC-INDIC DIGIT FIVE
+  ['۵', 'o'], // EXTENDED ARABIC-INDIC DIGIT FIVE
+  ['١', 'l'], // ARABIC-INDIC DIGIT ONE
+  ['۱', 'l'], // EXTENDED ARABIC-INDIC DIGIT ONE
+  ['ו', 'l'], // HEBREW LETTER VAV
+  ['ן', 'l'], // HEBREW LETTER FINAL NUN
+  ['ס', 'o']  // HEBREW LETTER SAMEKH
+]);
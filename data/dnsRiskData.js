@@ -0,0 +1,47 @@
+/**
+ * DNS Risk Reference Data
+ *
+ * Lookup tables used by utils/dnsAnalysis.js.
+ *
+ * BULLETPROOF_RANGES are IPv4 prefixes of hosting networks that ignore abuse
+ * reports, as published in public threat research (Spamhaus DROP/ASN-DROP
+ * listings, vendor reports on Proton66 and Prospero). The table is a seed:
+ * prefixes move between networks, so keep it small and re-check entries
+ * before adding them.
+ */
+
+export const BULLETPROOF_RANGES = [
+  { cidr: '45.134.26.0/24', asn: 'AS198953', name: 'Proton66 OOO' },
+  { cidr: '45.135.232.0/24', asn: 'AS198953', name: 'Proton66 OOO' },
+  { cidr: '91.212.166.0/24', asn: 'AS198953', name: 'Proton66 OOO' },
+  { cidr: '193.143.1.0/24', asn: 'AS198953', name: 'Proton66 OOO' },
+  { cidr: '91.202.233.0/24', asn: 'AS200593', name: 'Prospero OOO' },
+  { cidr: '91.215.85.0/24', asn: 'AS200593', name: 'Prospero OOO' }
+];
+
+// CNAME targets of free site builders / static hosts: a custom domain pointed at
+// one of these costs nothing to stand up and throw away. Platforms marked
+// mainstream also host a large share of ordinary company and personal sites,
+// so pointing at them is only a weak hint.
+export const FREE_HOSTING_CNAME_SUFFIXES = [
+  { suffix: 'github.io', name: 'GitHub Pages', mainstream: true },
+  { suffix: 'netlify.app', name: 'Netlify', mainstream: true },
+  { suffix: 'vercel-dns.com', name: 'Vercel', mainstream: true },
+  { suffix: 'vercel.app', name: 'Vercel', mainstream: true },
+  { suffix: 'pages.dev', name: 'Cloudflare Pages', mainstream: true },
+  { suffix: 'web.app', name: 'Firebase Hosting', mainstream: true },
+  { suffix: 'firebaseapp.com', name: 'Firebase Hosting', mainstream: true },
+  { suffix: 'glitch.me', name: 'Glitch' },
+  { suffix: 'repl.co', name: 'Replit' },
+  { suffix: 'wixdns.net', name: 'Wix' },
+  { suffix: 'weebly.com', name: 'Weebly' },
+  { suffix: '000webhostapp.com', name: '000webhost' },
+  { suffix: 'ngrok.io', name: 'ngrok' },
+  { suffix: 'ngrok-free.app', name: 'ngrok' }
+];
+
+// Words that mark a domain as a bank/payment site, which should receive mail
+export const FINANCIAL_KEYWORDS = [
+  'bank', 'banking', 'pay', 'payment', 'wallet', 'finance', 'financial',
+  'credit', 'loan', 'invest', 'trading', 'crypto', 'coin', 'exchange'
+];
@@ -0,0 +1,23 @@
+/**
+ * Bundled Favicon Hashes
+ *
+ * Exact hashes (utils/faviconHash.js) of the icon files the brands in
+ * data/brandAssets.js serve, so a page serving a copied favicon is
+ * recognised on a fresh or offline install. seedLogoLibrary() downloads the
+ * current files at runtime and keeps this list from going stale; matches
+ * against either are reported as official.
+ *
+ * Every entry must come from the file as served at url, hashed with
+ * hashFavicon(): on an install with network access, seed the library
+ * (options page, logo matching on) and copy the official favicon entries
+ * of chrome.storage.local "logoLibrary" ({ brand, url, mmh3, sha256 }),
+ * adding the date they were fetched. Never add a hash that was not computed
+ * from the downloaded file: a wrong hash flags an unrelated site.
+ *
+ * Empty in this tree: the brand sites could not be reached when it was
+ * written, so exact matching starts with the first successful seeding.
+ *
+ * Entries: { brand, url, mmh3, sha256, fetchedAt: 'YYYY-MM-DD' }
+ */
+
+export const FAVICON_HASHES = [];
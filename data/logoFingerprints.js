@@ -0,0 +1,253 @@
+/**
+ * Bundled Logo Fingerprints
+ *
+ * Perceptual fingerprints (utils/imageHash.js) of the brands in
+ * data/brandAssets.js, so the logo library can match on a fresh install with
+ * nothing downloaded. No image data is shipped, only the hashes.
+ *
+ * Source artwork, both CC0-1.0:
+ *   logos:<name>          SVG Logos by Gil Barbara (@iconify-json/logos 1.2)
+ *   simple-icons:<slug>   Simple Icons 16.33.0, drawn in the brand colour
+ *
+ * Each SVG was rendered at 288 px, area-averaged down to the 9x8 and 32x32
+ * samples fingerprintImage() uses (over white for the hashes, with alpha for
+ * the histogram) and run through computeDHash/computePHash/computeHistogram.
+ * Square-ish marks are listed as favicon and logo, wide wordmarks as logo
+ * only. To refresh, render the new artwork the same way.
+ *
+ * Brands without CC0 artwork (Amazon, Walmart, Best Buy, Flipkart, Outlook,
+ * Citibank, Kraken, Ledger) rely on the favicons fetched at runtime.
+ *
+ * Entries: { brand, kind: 'favicon'|'logo', origin, dhash, phash, histogram }
+ */
+
+export const LOGO_FINGERPRINTS = [
+  { brand: 'google', kind: 'favicon', origin: 'logos:google-icon', dhash: 'f0cc84181a86ccf0', phash: 'efa5395a608a97a4',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0.0057, 0, 0.2781, 0.0057, 0.0019, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0019, 0.0019, 0, 0.2743, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0038, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2895, 0, 0, 0, 0.1371, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'google', kind: 'logo', origin: 'logos:google-icon', dhash: 'f0cc84181a86ccf0', phash: 'efa5395a608a97a4',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0.0057, 0, 0.2781, 0.0057, 0.0019, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0019, 0.0019, 0, 0.2743, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0038, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2895, 0, 0, 0, 0.1371, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'google', kind: 'logo', origin: 'logos:google', dhash: '820265cb4aadad0c', phash: 'c992a7170e5d3de0',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0.0598, 0, 0.0764, 0, 0.4086, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.309, 0, 0, 0, 0, 0, 0, 0, 0.0997, 0.0465, 0, 0, 0, 0, 0, 0] },
+  { brand: 'gmail', kind: 'favicon', origin: 'logos:google-gmail', dhash: '868c4d2333330382', phash: '872d8bc27270f7a1',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0422, 0.0547, 0.1078, 0, 0.0219, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0047, 0, 0, 0, 0.0078, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0016, 0, 0, 0, 0.0359, 0, 0, 0, 0.4656, 0.0969, 0.0625, 0, 0.0672, 0, 0, 0, 0.0313, 0, 0, 0] },
+  { brand: 'gmail', kind: 'logo', origin: 'logos:google-gmail', dhash: '868c4d2333330382', phash: '872d8bc27270f7a1',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0422, 0.0547, 0.1078, 0, 0.0219, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0047, 0, 0, 0, 0.0078, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0016, 0, 0, 0, 0.0359, 0, 0, 0, 0.4656, 0.0969, 0.0625, 0, 0.0672, 0, 0, 0, 0.0313, 0, 0, 0] },
+  { brand: 'youtube', kind: 'favicon', origin: 'logos:youtube-icon', dhash: 'f080988c8c9880f0', phash: 'cef7338099c0e6d1',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.9379, 0, 0, 0, 0, 0.0072, 0, 0, 0, 0, 0.0031, 0, 0, 0, 0, 0.0518] },
+  { brand: 'youtube', kind: 'logo', origin: 'logos:youtube-icon', dhash: 'f080988c8c9880f0', phash: 'cef7338099c0e6d1',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.9379, 0, 0, 0, 0, 0.0072, 0, 0, 0, 0, 0.0031, 0, 0, 0, 0, 0.0518] },
+  { brand: 'youtube', kind: 'logo', origin: 'logos:youtube', dhash: '8c8c0e5657169a9a', phash: '8e998f64d4669656',
+    histogram: [0.4892, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.4742, 0, 0, 0, 0, 0.0033, 0, 0, 0, 0, 0.0067, 0, 0, 0, 0, 0.0266] },
+  { brand: 'microsoft', kind: 'favicon', origin: 'logos:microsoft-icon', dhash: '0808080808080808', phash: '994c19b3e64c19bb',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.25, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.25, 0, 0, 0, 0, 0, 0, 0, 0.25, 0, 0, 0, 0.25, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'microsoft', kind: 'logo', origin: 'logos:microsoft-icon', dhash: '0808080808080808', phash: '994c19b3e64c19bb',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.25, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.25, 0, 0, 0, 0, 0, 0, 0, 0.25, 0, 0, 0, 0.25, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'microsoft', kind: 'logo', origin: 'logos:microsoft', dhash: '002121392c2c3500', phash: '81978f6bee661099',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.1145, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.4682, 0, 0, 0, 0, 0, 0, 0.0433, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0382, 0.0356, 0, 0, 0.0712, 0, 0, 0, 0, 0, 0, 0, 0.1145, 0, 0, 0, 0.1145, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'bing', kind: 'favicon', origin: 'logos:bing', dhash: '000010180e0e9ce0', phash: '8e85b34ae56691b3',
+    histogram: [0, 0, 0, 0, 0, 0, 0.2857, 0.0653, 0, 0, 0.0018, 0.6332, 0, 0, 0, 0.0141, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'bing', kind: 'logo', origin: 'logos:bing', dhash: '000010180e0e9ce0', phash: '8e85b34ae56691b3',
+    histogram: [0, 0, 0, 0, 0, 0, 0.2857, 0.0653, 0, 0, 0.0018, 0.6332, 0, 0, 0, 0.0141, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'apple', kind: 'favicon', origin: 'simple-icons:apple', dhash: '1858cc808080c0cc', phash: 'aac4d485a95f591b',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'apple', kind: 'logo', origin: 'simple-icons:apple', dhash: '1858cc808080c0cc', phash: 'aac4d485a95f591b',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'icloud', kind: 'favicon', origin: 'simple-icons:icloud', dhash: '38f0c0c0808080c0', phash: 'efe5e4448686bc1c',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'icloud', kind: 'logo', origin: 'simple-icons:icloud', dhash: '38f0c0c0808080c0', phash: 'efe5e4448686bc1c',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'github', kind: 'favicon', origin: 'logos:github-icon', dhash: 'f0a2aa03038e8ccc', phash: 'cb366960b4c996c7',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'github', kind: 'logo', origin: 'logos:github-icon', dhash: 'f0a2aa03038e8ccc', phash: 'cb366960b4c996c7',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'github', kind: 'logo', origin: 'logos:github', dhash: '9a5a6a53925a2ead', phash: '82a28f8f6751f9c1',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'stackoverflow', kind: 'favicon', origin: 'logos:stackoverflow-icon', dhash: '0c366b764c794102', phash: 'e8eb86a5a9d15594',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.3811, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2225, 0, 0, 0, 0.3964, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'stackoverflow', kind: 'logo', origin: 'logos:stackoverflow-icon', dhash: '0c366b764c794102', phash: 'e8eb86a5a9d15594',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.3811, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2225, 0, 0, 0, 0.3964, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'stackoverflow', kind: 'logo', origin: 'logos:stackoverflow', dhash: '808080264e395b02', phash: 'c69b947c8b74057a',
+    histogram: [0.6476, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2048, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0143, 0.0143, 0, 0, 0, 0.0571, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0524, 0, 0, 0, 0.0095, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'yahoo', kind: 'logo', origin: 'logos:yahoo', dhash: '2169c990b45a4800', phash: 'b955d57a832c6e81',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0215, 0.9785, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'adobe', kind: 'favicon', origin: 'logos:adobe-icon', dhash: '0e06061733333919', phash: 'c61bec31cf1439cc',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'adobe', kind: 'logo', origin: 'logos:adobe-icon', dhash: '0e06061733333919', phash: 'c61bec31cf1439cc',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'adobe', kind: 'logo', origin: 'logos:adobe', dhash: '405a525a539e9a80', phash: '84889f47d54d2bb3',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'dropbox', kind: 'favicon', origin: 'logos:dropbox', dhash: 'cc8ccccc8cd46030', phash: 'ae08a2299bf1cf74',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'dropbox', kind: 'logo', origin: 'logos:dropbox', dhash: 'cc8ccccc8cd46030', phash: 'ae08a2299bf1cf74',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'salesforce', kind: 'favicon', origin: 'logos:salesforce', dhash: 'd080b4ad2c80c0e0', phash: 'bf4ebc2ed0b54850',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.8865, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0068, 0, 0, 0, 0.0342, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0684, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0041] },
+  { brand: 'salesforce', kind: 'logo', origin: 'logos:salesforce', dhash: 'd080b4ad2c80c0e0', phash: 'bf4ebc2ed0b54850',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.8865, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0068, 0, 0, 0, 0.0342, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0684, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0041] },
+  { brand: 'intuit', kind: 'favicon', origin: 'simple-icons:intuit', dhash: 'a7a74545454d4949', phash: '80537773d1e48bac',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'intuit', kind: 'logo', origin: 'simple-icons:intuit', dhash: 'a7a74545454d4949', phash: '80537773d1e48bac',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'zoom', kind: 'favicon', origin: 'logos:zoom-icon', dhash: 'f086868e9cb682f0', phash: '8b99b0c63c99e34e',
+    histogram: [0, 0, 0, 0, 0, 0, 0.0035, 0.7252, 0, 0, 0, 0.0094, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0189, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0035, 0, 0, 0, 0.013, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2264] },
+  { brand: 'zoom', kind: 'logo', origin: 'logos:zoom-icon', dhash: 'f086868e9cb682f0', phash: '8b99b0c63c99e34e',
+    histogram: [0, 0, 0, 0, 0, 0, 0.0035, 0.7252, 0, 0, 0, 0.0094, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0189, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0035, 0, 0, 0, 0.013, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2264] },
+  { brand: 'zoom', kind: 'logo', origin: 'logos:zoom', dhash: '1adaa6b464705818', phash: '855b064083a5fbbf',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'facebook', kind: 'favicon', origin: 'logos:facebook', dhash: 'f0c68e8c868ecce8', phash: '9933e566e46c9193',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0.7389, 0, 0, 0, 0.0062, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0074, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0406, 0, 0, 0, 0.0209, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.186] },
+  { brand: 'facebook', kind: 'logo', origin: 'logos:facebook', dhash: 'f0c68e8c868ecce8', phash: '9933e566e46c9193',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0.7389, 0, 0, 0, 0.0062, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0074, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0406, 0, 0, 0, 0.0209, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.186] },
+  { brand: 'facebook', kind: 'favicon', origin: 'simple-icons:facebook', dhash: 'f0c68e8c8e8eccc8', phash: '8c33f467e56c9093',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'facebook', kind: 'logo', origin: 'simple-icons:facebook', dhash: 'f0c68e8c8e8eccc8', phash: '8c33f467e56c9093',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'instagram', kind: 'favicon', origin: 'logos:instagram-icon', dhash: 'c417694d4d6913c4', phash: 'c14b6bb43cb4346b',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'instagram', kind: 'logo', origin: 'logos:instagram-icon', dhash: 'c417694d4d6913c4', phash: 'c14b6bb43cb4346b',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'instagram', kind: 'logo', origin: 'logos:instagram', dhash: '6068ba92b7781810', phash: 'a21980b95fc6476f',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'whatsapp', kind: 'favicon', origin: 'logos:whatsapp-icon', dhash: 'f0e0b0b096c6f030', phash: 'afe0b198c6679a0e',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0.0145, 0.1667, 0, 0, 0, 0.0507, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0048, 0, 0, 0, 0.3092, 0.0072, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0338, 0.006, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.407] },
+  { brand: 'whatsapp', kind: 'logo', origin: 'logos:whatsapp-icon', dhash: 'f0e0b0b096c6f030', phash: 'afe0b198c6679a0e',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0.0145, 0.1667, 0, 0, 0, 0.0507, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0048, 0, 0, 0, 0.3092, 0.0072, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0338, 0.006, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.407] },
+  { brand: 'whatsapp', kind: 'logo', origin: 'logos:whatsapp', dhash: '8080acb5a1380200', phash: '87fff840f807f880',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0.0025, 0.0581, 0, 0, 0, 0.0126, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0025, 0, 0, 0, 0.1591, 0.0101, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0657, 0.0076, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.6818] },
+  { brand: 'twitter', kind: 'favicon', origin: 'simple-icons:x', dhash: 'c6a4d06828549a0c', phash: 'aebb4b3a509e1427',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'twitter', kind: 'logo', origin: 'simple-icons:x', dhash: 'c6a4d06828549a0c', phash: 'aebb4b3a509e1427',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'twitter', kind: 'favicon', origin: 'logos:twitter', dhash: '1c9898c0c0c0e0c0', phash: 'ae4ac4e199b0b9bc',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'twitter', kind: 'logo', origin: 'logos:twitter', dhash: '1c9898c0c0c0e0c0', phash: 'ae4ac4e199b0b9bc',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'linkedin', kind: 'favicon', origin: 'logos:linkedin-icon', dhash: '802022232b292980', phash: 'c06b6b841e9e2e6d',
+    histogram: [0, 0, 0, 0, 0, 0, 0.1186, 0.8814, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'linkedin', kind: 'logo', origin: 'logos:linkedin-icon', dhash: '802022232b292980', phash: 'c06b6b841e9e2e6d',
+    histogram: [0, 0, 0, 0, 0, 0, 0.1186, 0.8814, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'linkedin', kind: 'logo', origin: 'logos:linkedin', dhash: '06a727d5b5a53506', phash: 'd0d8d224fe25dad2',
+    histogram: [0, 0, 0, 0, 0, 0, 0.4527, 0.5473, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'pinterest', kind: 'favicon', origin: 'logos:pinterest', dhash: 'f0ceb25b1b9a94f0', phash: 'ee31eb1ce4219267',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'pinterest', kind: 'logo', origin: 'logos:pinterest', dhash: 'f0ceb25b1b9a94f0', phash: 'ee31eb1ce4219267',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'reddit', kind: 'favicon', origin: 'logos:reddit-icon', dhash: 'f0c28a0f2b96ccf0', phash: 'ba30e9c7e56d8630',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.7217, 0.0086, 0, 0, 0, 0.0209, 0.0234, 0, 0, 0, 0.0197, 0.2057] },
+  { brand: 'reddit', kind: 'logo', origin: 'logos:reddit-icon', dhash: 'f0c28a0f2b96ccf0', phash: 'ba30e9c7e56d8630',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.7217, 0.0086, 0, 0, 0, 0.0209, 0.0234, 0, 0, 0, 0.0197, 0.2057] },
+  { brand: 'reddit', kind: 'logo', origin: 'logos:reddit', dhash: '80848656595c9e80', phash: '8e9f9f60f3484896',
+    histogram: [0.3058, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0097, 0, 0, 0, 0.4709, 0.0218, 0, 0, 0, 0.034, 0.0073, 0, 0, 0, 0.0243, 0.1262] },
+  { brand: 'tiktok', kind: 'favicon', origin: 'logos:tiktok-icon', dhash: '18185ac9889898e0', phash: 'acc8f287b836c25e',
+    histogram: [0.5142, 0, 0, 0, 0.002, 0.0224, 0, 0, 0, 0.002, 0.061, 0, 0, 0, 0.0081, 0.1484, 0.0325, 0, 0, 0, 0, 0.002, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0224, 0.002, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0061, 0.1768, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'tiktok', kind: 'logo', origin: 'logos:tiktok-icon', dhash: '18185ac9889898e0', phash: 'acc8f287b836c25e',
+    histogram: [0.5142, 0, 0, 0, 0.002, 0.0224, 0, 0, 0, 0.002, 0.061, 0, 0, 0, 0.0081, 0.1484, 0.0325, 0, 0, 0, 0, 0.002, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0224, 0.002, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0061, 0.1768, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'tiktok', kind: 'logo', origin: 'logos:tiktok', dhash: '8080a53635373300', phash: '83bf8c42c2697d95',
+    histogram: [0.6938, 0, 0, 0, 0, 0.0625, 0, 0, 0, 0.0656, 0.0156, 0, 0, 0, 0, 0.0281, 0.0813, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.025, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0063, 0.0219, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'discord', kind: 'favicon', origin: 'logos:discord-icon', dhash: 'ccc080969692b296', phash: 'ff38a915962099c7',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'discord', kind: 'logo', origin: 'logos:discord-icon', dhash: 'ccc080969692b296', phash: 'ff38a915962099c7',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'discord', kind: 'logo', origin: 'logos:discord', dhash: '8091a5afaba99500', phash: '87978e60f84d71b2',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0025, 0.9975, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'twitch', kind: 'favicon', origin: 'simple-icons:twitch', dhash: '819595958e88e040', phash: '8f47f828da34687a',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'twitch', kind: 'logo', origin: 'simple-icons:twitch', dhash: '819595958e88e040', phash: '8f47f828da34687a',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'ebay', kind: 'favicon', origin: 'simple-icons:ebay', dhash: '40c9cd555656aa02', phash: 'aabdd9b2c20d7941',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'ebay', kind: 'logo', origin: 'simple-icons:ebay', dhash: '40c9cd555656aa02', phash: 'aabdd9b2c20d7941',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'target', kind: 'favicon', origin: 'simple-icons:target', dhash: 'f0cc96333396ccf0', phash: 'b75be82c65649664',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'target', kind: 'logo', origin: 'simple-icons:target', dhash: 'f0cc96333396ccf0', phash: 'b75be82c65649664',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'etsy', kind: 'favicon', origin: 'simple-icons:etsy', dhash: 'c6c2cdcccccdc3c6', phash: 'bcaa52a561d509f5',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'etsy', kind: 'logo', origin: 'simple-icons:etsy', dhash: 'c6c2cdcccccdc3c6', phash: 'bcaa52a561d509f5',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'aliexpress', kind: 'favicon', origin: 'simple-icons:aliexpress', dhash: 'c0441cca2dd71610', phash: '9e0cbc1489f876c7',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0472, 0, 0, 0, 0, 0.9528, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'aliexpress', kind: 'logo', origin: 'simple-icons:aliexpress', dhash: 'c0441cca2dd71610', phash: '9e0cbc1489f876c7',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0472, 0, 0, 0, 0, 0.9528, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'paypal', kind: 'favicon', origin: 'logos:paypal', dhash: 'c0f0b0b0808080e0', phash: 'bf6eb084f515ec02',
+    histogram: [0, 0.68, 0, 0, 0, 0.0041, 0.0207, 0, 0, 0, 0.0359, 0.2593, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'paypal', kind: 'logo', origin: 'logos:paypal', dhash: 'c0f0b0b0808080e0', phash: 'bf6eb084f515ec02',
+    histogram: [0, 0.68, 0, 0, 0, 0.0041, 0.0207, 0, 0, 0, 0.0359, 0.2593, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'paypal', kind: 'favicon', origin: 'simple-icons:paypal', dhash: 'c0d491b3bca0e060', phash: 'bf6eb0235c9525e0',
+    histogram: [0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'paypal', kind: 'logo', origin: 'simple-icons:paypal', dhash: 'c0d491b3bca0e060', phash: 'bf6eb0235c9525e0',
+    histogram: [0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'stripe', kind: 'favicon', origin: 'simple-icons:stripe', dhash: 'f08e86c0f81c8cf0', phash: 'abba2ac4f615d590',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'stripe', kind: 'logo', origin: 'simple-icons:stripe', dhash: 'f08e86c0f81c8cf0', phash: 'abba2ac4f615d590',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'stripe', kind: 'logo', origin: 'logos:stripe', dhash: 'd0d1692fba985908', phash: 'a6b3a49fc340296f',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'chase', kind: 'favicon', origin: 'simple-icons:chase', dhash: 'f0a086060686c2e0', phash: 'afa5f05bd0b485a4',
+    histogram: [0, 0, 0, 0, 0, 0, 0.0017, 0.9983, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'chase', kind: 'logo', origin: 'simple-icons:chase', dhash: 'f0a086060686c2e0', phash: 'afa5f05bd0b485a4',
+    histogram: [0, 0, 0, 0, 0, 0, 0.0017, 0.9983, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'bankofamerica', kind: 'favicon', origin: 'simple-icons:bankofamerica', dhash: '78f4a852a4687030', phash: 'e61ba6e952068dab',
+    histogram: [0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'bankofamerica', kind: 'logo', origin: 'simple-icons:bankofamerica', dhash: '78f4a852a4687030', phash: 'e61ba6e952068dab',
+    histogram: [0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'wellsfargo', kind: 'favicon', origin: 'simple-icons:wellsfargo', dhash: '80805d1d6b138080', phash: 'c4e53b9e9161c4cd',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'wellsfargo', kind: 'logo', origin: 'simple-icons:wellsfargo', dhash: '80805d1d6b138080', phash: 'c4e53b9e9161c4cd',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'americanexpress', kind: 'favicon', origin: 'simple-icons:americanexpress', dhash: '0000053528080000', phash: '837c7a83d5fc812a',
+    histogram: [0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'americanexpress', kind: 'logo', origin: 'simple-icons:americanexpress', dhash: '0000053528080000', phash: '837c7a83d5fc812a',
+    histogram: [0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'wise', kind: 'favicon', origin: 'simple-icons:wise', dhash: 'c0c6e6c484081818', phash: 'e85a66253fecc113',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'wise', kind: 'logo', origin: 'simple-icons:wise', dhash: 'c0c6e6c484081818', phash: 'e85a66253fecc113',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'hdfc', kind: 'favicon', origin: 'simple-icons:hdfcbank', dhash: '080b333333330b08', phash: 'd0370ccd3db7c252',
+    histogram: [0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'hdfc', kind: 'logo', origin: 'simple-icons:hdfcbank', dhash: '080b333333330b08', phash: 'd0370ccd3db7c252',
+    histogram: [0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'binance', kind: 'favicon', origin: 'simple-icons:binance', dhash: '3070cc9296cc7030', phash: 'b06cb3e4c3168dd9',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'binance', kind: 'logo', origin: 'simple-icons:binance', dhash: '3070cc9296cc7030', phash: 'b06cb3e4c3168dd9',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'coinbase', kind: 'favicon', origin: 'simple-icons:coinbase', dhash: '50506769555a5915', phash: 'f0b2aed85d267845',
+    histogram: [0, 0, 0, 0.0025, 0, 0, 0, 0.9975, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'coinbase', kind: 'logo', origin: 'simple-icons:coinbase', dhash: '50506769555a5915', phash: 'f0b2aed85d267845',
+    histogram: [0, 0, 0, 0.0025, 0, 0, 0, 0.9975, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'trezor', kind: 'favicon', origin: 'simple-icons:trezor', dhash: 'f0ccc40303038ef0', phash: '8b28fdd6f470a22a',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'trezor', kind: 'logo', origin: 'simple-icons:trezor', dhash: 'f0ccc40303038ef0', phash: '8b28fdd6f470a22a',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'metamask', kind: 'favicon', origin: 'logos:metamask-icon', dhash: '0f8e8c8ee8e8d4b2', phash: 'df089695a20fe16d',
+    histogram: [0.0145, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2506, 0, 0, 0, 0.0169, 0.0072, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0337, 0.0024, 0, 0, 0, 0.0024, 0.0096, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.341, 0, 0, 0, 0.2855, 0.0048, 0.0313, 0, 0, 0, 0, 0] },
+  { brand: 'metamask', kind: 'logo', origin: 'logos:metamask-icon', dhash: '0f8e8c8ee8e8d4b2', phash: 'df089695a20fe16d',
+    histogram: [0.0145, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2506, 0, 0, 0, 0.0169, 0.0072, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0337, 0.0024, 0, 0, 0, 0.0024, 0.0096, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.341, 0, 0, 0, 0.2855, 0.0048, 0.0313, 0, 0, 0, 0, 0] },
+  { brand: 'metamask', kind: 'logo', origin: 'logos:metamask', dhash: '00100a0c082a2800', phash: '810487fafc3d7067',
+    histogram: [0.3413, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.1349, 0, 0, 0, 0.004, 0.0079, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0794, 0.004, 0, 0, 0, 0.004, 0.0198, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2817, 0, 0, 0, 0.1151, 0.0079, 0, 0, 0, 0, 0, 0] },
+  { brand: 'netflix', kind: 'favicon', origin: 'logos:netflix-icon', dhash: '0016160e0e161600', phash: 'cfce669b39309864',
+    histogram: [0.7803, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.041, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0996, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0791, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'netflix', kind: 'logo', origin: 'logos:netflix-icon', dhash: '0016160e0e161600', phash: 'cfce669b39309864',
+    histogram: [0.7803, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.041, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0996, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0791, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'netflix', kind: 'logo', origin: 'logos:netflix', dhash: 'e223331333234c0f', phash: '8632fc3bb63cd049',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0071, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.9929, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'spotify', kind: 'favicon', origin: 'logos:spotify-icon', dhash: 'f0c02e1d23a6c0f0', phash: 'abc4e83aa4b5c3ca',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'spotify', kind: 'logo', origin: 'logos:spotify-icon', dhash: 'f0c02e1d23a6c0f0', phash: 'abc4e83aa4b5c3ca',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'spotify', kind: 'logo', origin: 'logos:spotify', dhash: '808246565a549180', phash: '8f989f27e153f090',
+    histogram: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0.0191, 0, 0, 0, 0.9809, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'roblox', kind: 'favicon', origin: 'simple-icons:roblox', dhash: 'c0c0d88c8c84e03c', phash: 'eeb4b130cc14d375',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'roblox', kind: 'logo', origin: 'simple-icons:roblox', dhash: 'c0c0d88c8c84e03c', phash: 'eeb4b130cc14d375',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'steam', kind: 'favicon', origin: 'logos:steam', dhash: 'f0c6878fce3c98f0', phash: 'fa10a3e8f407c1f9',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'steam', kind: 'logo', origin: 'logos:steam', dhash: 'f0c6878fce3c98f0', phash: 'fa10a3e8f407c1f9',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'epicgames', kind: 'favicon', origin: 'simple-icons:epicgames', dhash: '805357577307ccf0', phash: 'd050af0fa76bc26a',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { brand: 'epicgames', kind: 'logo', origin: 'simple-icons:epicgames', dhash: '805357577307ccf0', phash: 'd050af0fa76bc26a',
+    histogram: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] }
+];
@@ -0,0 +1,18 @@
+/**
+ * Priority Brands
+ * 
+ * High-profile phishing targets that require extra scrutiny. Used by DAVSS
+ * (scenario D) and by the lookalike-domain detectors, which compare the
+ * brand label of a domain against these names.
+ * 
+ * Entries are lowercase brand labels as they appear in the registrable
+ * domain (e.g. "paypal" for paypal.com).
+ */
+
+export const PRIORITY_BRANDS = new Set([
+  'paypal', 'google', 'microsoft', 'apple', 'amazon', 'facebook', 'instagram',
+  'roblox', 'chase', 'wellsfargo', 'bankofamerica', 'citibank', 'netflix',
+  'dropbox', 'adobe', 'binance', 'coinbase', 'kraken', 'trezor', 'ledger',
+  'metamask', 'steam', 'epicgames', 'discord', 'twitter', 'linkedin',
+  'spotify', 'twitch', 'youtube', 'gmail', 'outlook', 'icloud'
+]);
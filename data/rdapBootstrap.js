@@ -0,0 +1,48 @@
+/**
+ * RDAP Bootstrap Registry (bundled copy)
+ *
+ * Subset of the IANA RDAP bootstrap file for DNS
+ * (https://data.iana.org/rdap/dns.json, RFC 9224) covering the TLDs most
+ * often seen in browsing and phishing reports. Same shape as the IANA file:
+ * each service is [[tlds...], [base URLs...]].
+ *
+ * utils/rdapClient.js downloads the full registry periodically
+ * (updateRdapBootstrap) and prefers it when present; TLDs missing from both
+ * fall back to the rdap.org redirector.
+ */
+
+export const RDAP_BOOTSTRAP_BUNDLED_VERSION = '2024-01-01';
+
+export const BUNDLED_RDAP_BOOTSTRAP = {
+  description: 'RDAP bootstrap file for Domain Name System registrations (bundled subset)',
+  publication: '2024-01-01T00:00:00Z',
+  version: '1.0',
+  services: [
+    [['com'], ['https://rdap.verisign.com/com/v1/']],
+    [['net'], ['https://rdap.verisign.com/net/v1/']],
+    [['org'], ['https://rdap.publicinterestregistry.org/rdap/']],
+    [
+      ['app', 'boo', 'channel', 'dad', 'day', 'dev', 'eat', 'esq', 'fly', 'foo', 'how', 'ing',
+        'meme', 'mov', 'new', 'nexus', 'page', 'phd', 'prof', 'rsvp', 'soy', 'zip'],
+      ['https://pubapi.registry.google/rdap/']
+    ],
+    [
+      ['info', 'mobi', 'pro', 'io', 'sh', 'ac', 'live', 'email', 'network', 'solutions',
+        'support', 'services', 'digital', 'world', 'today', 'center'],
+      ['https://rdap.identitydigital.services/rdap/']
+    ],
+    [['xyz'], ['https://rdap.centralnic.com/xyz/']],
+    [['online'], ['https://rdap.centralnic.com/online/']],
+    [['site'], ['https://rdap.centralnic.com/site/']],
+    [['store'], ['https://rdap.centralnic.com/store/']],
+    [['tech'], ['https://rdap.centralnic.com/tech/']],
+    [['website'], ['https://rdap.centralnic.com/website/']],
+    [['space'], ['https://rdap.centralnic.com/space/']],
+    [['fun'], ['https://rdap.centralnic.com/fun/']],
+    [['uk'], ['https://rdap.nominet.uk/uk/']],
+    [['br'], ['https://rdap.registro.br/']],
+    [['fr'], ['https://rdap.nic.fr/']],
+    [['nl'], ['https://rdap.sidn.nl/']],
+    [['cz'], ['https://rdap.nic.cz/']]
+  ]
+};
@@ -0,0 +1,62 @@
+/**
+ * RDAP Risk Reference Data
+ *
+ * Lookup tables used by offpage.js to score the registrar, status codes,
+ * registrant privacy and nameservers of an RDAP record.
+ *
+ * Registrars are keyed by IANA Registrar ID, with name fragments as a
+ * fallback for records that omit the ID. The list reflects registrars that
+ * repeatedly top abuse reports (Interisle phishing landscape, Spamhaus
+ * registrar statistics); most of their customers are legitimate, so the
+ * signal is deliberately weak on its own.
+ */
+
+export const ABUSE_PRONE_REGISTRARS = new Map([
+  ['303', 'PDR Ltd. (PublicDomainRegistry)'],
+  ['420', 'Alibaba Cloud Computing (HiChina)'],
+  ['460', 'Web Commerce Communications (WebNIC)'],
+  ['472', 'Dynadot'],
+  ['1068', 'NameCheap'],
+  ['1479', 'NameSilo'],
+  ['1636', 'Hostinger'],
+  ['1923', 'Gname.com'],
+  ['3765', 'NICENIC International']
+]);
+
+export const ABUSE_PRONE_REGISTRAR_NAMES = [
+  'publicdomainregistry', 'hichina', 'alibaba cloud', 'webnic', 'dynadot',
+  'namecheap', 'namesilo', 'hostinger', 'gname', 'nicenic'
+];
+
+// RDAP status values (RFC 8056 mapping of EPP statuses), compared lowercase
+// without spaces. Points follow the offpage.js scale (0-100 for the record).
+export const RISKY_STATUSES = {
+  clienthold: { score: 40, label: 'Registrar has suspended the domain (client hold), usually after abuse reports' },
+  serverhold: { score: 40, label: 'Registry has suspended the domain (server hold), usually after abuse reports' },
+  pendingdelete: { score: 30, label: 'Domain is pending deletion' },
+  redemptionperiod: { score: 30, label: 'Domain expired and is in its redemption period' },
+  inactive: { score: 15, label: 'Domain has no delegation (inactive)' }
+};
+
+// Free/dynamic DNS services: no cost, no verification, popular with throwaway phishing domains
+export const FREE_DNS_PROVIDERS = [
+  { suffix: 'afraid.org', name: 'FreeDNS' },
+  { suffix: 'freenom.com', name: 'Freenom' },
+  { suffix: 'duckdns.org', name: 'Duck DNS' },
+  { suffix: 'dynu.com', name: 'Dynu' },
+  { suffix: 'he.net', name: 'Hurricane Electric Free DNS' },
+  { suffix: 'cloudns.net', name: 'ClouDNS' },
+  { suffix: 'desec.io', name: 'deSEC' },
+  { suffix: 'no-ip.com', name: 'No-IP' },
+  { suffix: '1984.is', name: '1984 FreeDNS' },
+  { suffix: 'dnsexit.com', name: 'DNSExit' }
+];
+
+// Registrant names/organisations used by privacy and proxy services
+export const PRIVACY_PROXY_PATTERNS = [
+  /privacy/i, /proxy/i, /whoisguard/i, /data protected/i,
+  /private by design/i, /identity protect/i
+];
+
+// Registrant fields blanked by the registry/registrar itself (GDPR redaction)
+export const REDACTION_PATTERN = /redacted|not disclosed/i;
@@ -0,0 +1,97 @@
+/**
+ * Well-Known Sites
+ *
+ * Registrable domains of established sites that typosquat.js never reports,
+ * even when their name is a near-miss of a brand (mail.com / gmail,
+ * stream.com / steam): a site this popular is a real service, not a
+ * lookalike registration.
+ *
+ * TOP_SITES: the Moz Top 500 as packaged by top-sites 1.1.222 (MIT,
+ * Kiko Beats, https://github.com/Kikobeats/top-sites), reduced to
+ * registrable domains with getRootDomain (450 entries).
+ *
+ * WELL_KNOWN_SITES: established services outside that list whose name is
+ * one edit away from a brand in data/priorityBrands.js or the trusted list.
+ */
+
+export const WELL_KNOWN_SITES = new Set([
+  'mail.com', 'email.com', 'stream.com'
+]);
+
+export const TOP_SITES = new Set([
+  'google.com', 'youtube.com', 'blogger.com', 'apple.com', 'wordpress.org', 'linkedin.com',
+  'cloudflare.com', 'googleusercontent.com', 'youtu.be', 'whatsapp.com', 'microsoft.com', 'mozilla.org',
+  'wa.me', 'bp.blogspot.com', 'europa.eu', 'wikipedia.org', 't.me', 'adobe.com',
+  'weebly.com', 'vimeo.com', 'istockphoto.com', 'github.com', 'tiktok.com', 'vk.com',
+  'facebook.com', 'brandbucket.com', 'wikimedia.org', 'imdb.com', 'mediafire.com', 'mail.ru',
+  'wordpress.com', 'google.de', 'line.me', 'goo.gl', 'amazon.com', 'medium.com',
+  'yahoo.com', 'google.es', 'gravatar.com', 'theguardian.com', 'dailymotion.com', 'feedburner.com',
+  'bbc.co.uk', 'uol.com.br', 'nih.gov', 'globo.com', 'x.com', 'paypal.com',
+  'ok.ru', 'netvibes.com', 'who.int', 'opera.com', 'nytimes.com', 'googleblog.com',
+  'gstatic.com', 'w3.org', 'myspace.com', 'google.com.br', 'cpanel.net', 'abril.com.br',
+  'cnn.com', 'jimdofree.com', 'dan.com', 'twitter.com', 'reg.ru', 'shopify.com',
+  'discord.gg', 'google.co.jp', 'wix.com', 'nginx.org', 'elpais.com', 'office.com',
+  'nature.com', 'bbc.com', 'huffingtonpost.com', 'time.com', 'aboutads.info', 'storage.googleapis.com',
+  'hugedomains.com', 'scribd.com', 'usatoday.com', 'archive.org', 'amazon.co.jp', 'msn.com',
+  'reuters.com', 'huawei.com', 'booking.com', 'latimes.com', 'independent.co.uk', 'bit.ly',
+  'azurefd.net', 'ig.com.br', 'issuu.com', 'ovh.com', 'dropcatch.com', 'un.org',
+  'afternic.com', 'slideshare.net', 'youronlinechoices.com', 'businessinsider.com', 'oracle.com', 'list-manage.com',
+  'forms.gle', 'linktr.ee', '4shared.com', 'google.fr', 'cdc.gov', 'amazon.co.uk',
+  'fandom.com', 'google.it', 'researchgate.net', 'domainmarket.com', 'instagram.com', 'dailymail.co.uk',
+  'abc.es', 'ytimg.com', 'foxnews.com', 'ft.com', 'live.com', 'discord.com',
+  'www.gov.uk', 'fb.com', 'cnet.com', 't.co', 'elmundo.es', 'correios.com.br',
+  'tinyurl.com', 'washingtonpost.com', 'estadao.com.br', 'aliexpress.com', 'creativecommons.org', 'buydomains.com',
+  'pinterest.com', 'forbes.com', 'telegram.me', 'amazon.de', 'plesk.com', 'terra.com.br',
+  'telegraph.co.uk', 'bloomberg.com', 'wiley.com', 'hatena.ne.jp', 'www.gov.br', 'indiatimes.com',
+  'thesun.co.uk', 'nginx.com', 'google.co.uk', 'planalto.gov.br', 'wp.com', 'dropbox.com',
+  'webmd.com', 'mirror.co.uk', 'spotify.com', 'huffpost.com', 'enable-javascript.com', '.',
+  'dreamstime.com', 'abc.net.au', 'behance.net', 'lemonde.fr', 'ign.com', 'walmart.com',
+  'ssl-images-amazon.com', 'bandcamp.com', 'vistaprint.com', 'rapidshare.com', 'icann.org', 'imageshack.us',
+  'redbull.com', 'thetimes.co.uk', 'ziddu.com', 'sedo.com', 'cbc.ca', 'amazon.it',
+  'leparisien.fr', 'bloglovin.com', 'gmail.com', 'sapo.pt', 'sciencedaily.com', 'insider.com',
+  'amazonaws.com', 'sputniknews.com', 'ndtv.com', 'netlify.app', 'rakuten.co.jp', 'clickbank.net',
+  'hollywoodreporter.com', '20minutos.es', 'trustpilot.com', 'lavanguardia.com', 'namecheap.com', 'cointernet.com.co',
+  'alicdn.com', 'telegra.ph', 'cutt.ly', 'espn.com', 'statista.com', 'theatlantic.com',
+  'marca.com', 'doubleclick.net', 'goodreads.com', 'plos.org', 'hindustantimes.com', 'nintendo.com',
+  'naver.com', 'google.nl', 'surveymonkey.com', 'as.com', 'photobucket.com', 'tmz.com',
+  'yandex.com', 'oup.com', 'qq.com', 'ikea.com', 'taringa.net', 'apache.org',
+  'ea.com', 'nbcnews.com', 'academia.edu', 'cambridge.org', 'mozilla.com', 'android.com',
+  'nypost.com', 'springer.com', 'google.ru', 'amazon.es', 'metro.co.uk', 'wired.com',
+  'mit.edu', 'wikia.com', 'sakura.ne.jp', 'kickstarter.com', 'sciencedirect.com', 'weibo.com',
+  'gizmodo.com', 'timeweb.ru', 'engadget.com', 'hp.com', 'aol.com', 'google.pl',
+  'twitch.tv', 'nydailynews.com', 'soundcloud.com', 'cornell.edu', 'gofundme.com', 'pbs.org',
+  'cpanel.com', 'quora.com', 'rambler.ru', 'stanford.edu', 'offset.com', 'secureserver.net',
+  'safety.google', 'shutterstock.com', 'unsplash.com', 'outlook.com', 'wikihow.com', 'mashable.com',
+  'smh.com.au', 'mystrikingly.com', 'zippyshare.com', 'go.com', 'nicsell.com', 'messenger.com',
+  'home.pl', 'sfgate.com', 'g.co', 'eventbrite.com', 'npr.org', 'disney.com',
+  'telegram.org', 'ca.gov', 'skype.com', 'tripadvisor.com', 'ebay.com', 'zoom.us',
+  'namebright.com', 'techcrunch.com', 'ted.com', 'bing.com', 'hotmart.com', 'playstation.com',
+  'standard.co.uk', 'addtoany.com', 'wsj.com', 'nhk.or.jp', 'canva.com', 'pexels.com',
+  'mynavi.jp', 'thenai.org', 'dw.com', 'akamaihd.net', 'doi.org', 'twimg.com',
+  'deezer.com', 'ouest-france.fr', 'whitehouse.gov', 'yandex.ru', 'steampowered.com', 'arxiv.org',
+  'samsung.com', 'mega.nz', 'pixabay.com', 'lefigaro.fr', 'express.co.uk', 'unesco.org',
+  'zendesk.com', 'themeforest.net', 'clarin.com', 'economist.com', 'newsweek.com', 'detik.com',
+  't-online.de', 'windows.net', 'lazada.co.id', 'netflix.com', 'ibm.com', 'nasa.gov',
+  'amzn.to', 'example.com', 'perfectdomain.com', 'rtve.es', 'ggpht.com', 'hubspot.com',
+  'repubblica.it', 'rt.com', 'dailystar.co.uk', 'psychologytoday.com', 'over-blog.com', 'cnbc.com',
+  'harvard.edu', 'yadi.sk', 'addthis.com', 'privacyshield.gov', 'godaddy.com', 'liveinternet.ru',
+  'nationalgeographic.com', 'sendspace.com', 'change.org', 'php.net', 'go.co', 'calameo.com',
+  'variety.com', 'guardian.co.uk', 'buzzfeed.com', 'loc.gov', 'francetvinfo.fr', 'cbsnews.com',
+  'spiegel.de', 'disqus.com', 'networkadvertising.org', 'britannica.com', 'yahoo.co.jp', 'ovhcloud.com',
+  'theverge.com', 'about.com', 'yelp.com', 'news.com.au', 'amazon.fr', 'livejournal.com',
+  'odoo.com', 'medicalnewstoday.com', 'google.ca', 'goal.com', 'amazon.in', 'noaa.gov',
+  'waze.com', 'nfl.com', 'impress.co.jp', 'ebayimg.com', 'corriere.it', 'ebay.de',
+  'stuff.co.nz', 'focus.de', 'answers.com', 'webnode.page', 'airbnb.com', 'investopedia.com',
+  'excite.co.jp', 'rottentomatoes.com', 'zdnet.com', 'google.co.in', 'usgs.gov', 'mdpi.com',
+  'prnewswire.com', 'redhat.com', 'xing.com', 'chaturbate.com', 'icloud.com', 'amazon.ca',
+  'thedailybeast.com', 'naver.jp', 'nymag.com', 'newyorker.com', 'imgur.com', 'automattic.com',
+  'gnu.org', 'wiktionary.org', 'fifa.com', 'fc2.com', 'marketwatch.com', 'miit.gov.cn',
+  'dribbble.com', 'ria.ru', 'hilton.com', 'legifrance.gouv.fr', 'rollingstone.com', 'ieee.org',
+  'prtimes.jp', 'greenpeace.org', 'intel.com', 'udemy.com', 'bild.de', 'typeform.com',
+  'cbslocal.com', 'bmj.com', 'foursquare.com', 'lifehacker.com', 'scoop.it', 'vice.com',
+  'digitaltrends.com', 'oecd.org', 'qz.com', 'google.com.au', 'teamviewer.com', 'narod.ru',
+  'xbox.com', 'si.edu', 'usda.gov', 'discogs.com', 'house.gov', 'welt.de',
+  'java.com', 'vkontakte.ru', 'boe.es', 'dell.com', 'weforum.org', 'mailchi.mp',
+  'wallpapers.com', 'pcmag.com', 'theconversation.com', 'target.com', 'bfmtv.com', 'elsevier.com',
+  'thehill.com', '123rf.com', 'cisco.com', 'yale.edu', 'onelink.me', 'fortune.com'
+]);
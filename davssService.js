@@ -3,19 +3,20 @@
  * 
  * This module detects brand impersonation by:
  * 1. Capturing a screenshot of the current page
- * 2. Uploading it to ImgBB to get a public URL
- * 3. Using SerpApi (Google Lens) to find visually similar images
- * 4. Analyzing the top search results to check if they match the current domain
+ * 2. Handing it to the configured visual search provider (utils/visualSearch.js:
+ *    Google Lens via SerpApi, Google Cloud Vision, a self-hosted service or,
+ *    in development builds, a mock)
+ * 3. Analyzing the normalized matches to check if they match the current domain
  * 
  * If the most frequent domain in results differs from the current domain,
  * it indicates potential brand impersonation.
  */
 
-/**
- * API Keys - TODO: Store these in chrome.storage.local for better security
- */
-const IMGBB_API_KEY = 'fd7077fb381de903b0f53d11e0269a07';
-const SERPAPI_KEY = '081207b3c5172c4c497812a945b99718c9aebe553d19b09085ece1884dd5e9df';
+import { PRIORITY_BRANDS } from './data/priorityBrands.js';
+import { parseDomain } from './utils/publicSuffix.js';
+import { getVisualSearchProvider } from './utils/visualSearch.js';
+import { getSettings } from './utils/settings.js';
+import { getCredentials, CREDENTIALS } from './utils/credentialVault.js';
 
 /**
  * Configuration for Weighted Evidence Pipeline
@@ -47,41 +48,15 @@ const CONFIG = {
   ]),
 
   // Priority Brands - High-profile targets that require extra scrutiny
-  PRIORITY_BRANDS: new Set([
-    'paypal', 'google', 'microsoft', 'apple', 'amazon', 'facebook', 'instagram',
-    'roblox', 'chase', 'wellsfargo', 'bankofamerica', 'citibank', 'netflix',
-    'dropbox', 'adobe', 'binance', 'coinbase', 'kraken', 'trezor', 'ledger',
-    'metamask', 'steam', 'epicgames', 'discord', 'twitter', 'linkedin',
-    'spotify', 'twitch', 'youtube', 'gmail', 'outlook', 'icloud'
-  ])
+  // (shared with the lookalike-domain detectors, see data/priorityBrands.js)
+  PRIORITY_BRANDS
 };
 
-/**
- * Retrieves API keys from storage or uses defaults
- * 
- * @returns {Promise<Object>} - Object with { imgbbKey, serpapiKey }
- */
-async function getApiKeys() {
-  try {
-    const result = await chrome.storage.local.get(['imgbbApiKey', 'serpapiKey']);
-    return {
-      imgbbKey: result.imgbbApiKey || IMGBB_API_KEY,
-      serpapiKey: result.serpapiKey || SERPAPI_KEY
-    };
-  } catch (error) {
-    console.warn('Could not retrieve API keys from storage:', error);
-    return {
-      imgbbKey: IMGBB_API_KEY,
-      serpapiKey: SERPAPI_KEY
-    };
-  }
-}
-
 /**
  * Weighted Evidence Pipeline - Helper 1: Robust URL Parser
  * 
- * Parses URLs and extracts brand name, TLD, and hostname with proper handling
- * of multi-part TLDs (co.uk, com.au, bank.in, etc.)
+ * Parses URLs and extracts brand name, TLD, and hostname. The TLD is the
+ * public suffix (co.uk, bank.in, github.io, ...) from the Public Suffix List.
  * 
  * @param {string} urlStr - URL to parse
  * @returns {Object} - { hostname, brand, tld, isValid }
@@ -97,39 +72,16 @@ function parseUrlDetails(urlStr) {
     }
 
     const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
-    const parts = hostname.split('.');
-
-    if (parts.length < 2) {
+    if (!hostname.includes('.')) {
       return { isValid: false };
     }
 
-    // Extract TLD (handle multi-part TLDs)
-    let tld = parts[parts.length - 1];
-    let brandIndex = parts.length - 2;
-
-    // Check for multi-part TLDs (co.uk, com.au, bank.in, etc.)
-    if (parts.length >= 3) {
-      const secondLastPart = parts[parts.length - 2];
-      const possibleMultiPartTLD = secondLastPart + '.' + tld;
-
-      // Common multi-part TLD patterns
-      const multiPartTLDs = ['co.uk', 'co.in', 'co.jp', 'co.kr', 'co.nz', 'co.za',
-        'com.au', 'com.br', 'com.mx', 'com.ar', 'com.cn', 'com.tw', 'com.hk',
-        'org.uk', 'net.uk', 'ac.uk', 'gov.uk', 'bank.in', 'net.in', 'org.in'];
-
-      if (multiPartTLDs.includes(possibleMultiPartTLD)) {
-        tld = possibleMultiPartTLD;
-        brandIndex = parts.length - 3;
-      }
-    }
-
-    // Extract brand (the part before TLD)
-    const brand = brandIndex >= 0 ? parts[brandIndex] : parts[0];
+    const { label, suffix } = parseDomain(hostname);
 
     return {
       hostname,
-      brand: brand.toLowerCase(),
-      tld: tld.toLowerCase(),
+      brand: label,
+      tld: suffix,
       isValid: true
     };
 
@@ -145,7 +97,7 @@ function parseUrlDetails(urlStr) {
  * Analyzes visual matches and extracts evidence signals instead of calculating scores.
  * This decouples detection from scoring, making logic more maintainable.
  * 
- * @param {Array} visualMatches - Array of visual match results from SerpApi
+ * @param {Array} visualMatches - Normalized matches from the search provider ({ url, domain, title })
  * @param {Object} currentDetails - Parsed details of current URL
  * @returns {Object} - Signal object with evidence flags
  */
@@ -165,12 +117,9 @@ function extractSignals(visualMatches, currentDetails) {
 
   // Scan all visual matches for evidence
   for (const match of visualMatches) {
-    const link = match.link || match.source || '';
     const title = (match.title || '').toLowerCase();
 
-    if (!link) continue;
-
-    const resultDetails = parseUrlDetails(link);
+    const resultDetails = parseUrlDetails(match.url);
     if (!resultDetails.isValid) continue;
 
     const resultDomain = resultDetails.hostname;
@@ -244,11 +193,12 @@ function standardizeDomain(domain) {
 }
 
 /**
- * Extracts the root domain (eTLD+1) from a hostname, handling complex TLDs
+ * Extracts the root domain (eTLD+1) from a hostname
  * 
- * Security-grade domain extraction that correctly handles:
- * - Simple TLDs: example.com -> example.com
+ * Delegates to the shared Public Suffix List resolver:
+ * - Simple TLDs: store.steampowered.com -> steampowered.com
  * - Complex TLDs: amazon.co.uk -> amazon.co.uk
+ * - Private suffixes: alice.github.io -> alice.github.io
  * - IP addresses: 192.168.1.1 -> 192.168.1.1 (returned as-is)
  * 
  * @param {string} hostname - The hostname string (e.g., "store.steampowered.com" or "amazon.co.uk")
@@ -256,68 +206,11 @@ function standardizeDomain(domain) {
  */
 function extractRootDomain(hostname) {
   if (!hostname) return '';
-
-  // Remove www. prefix if present
-  let cleanHostname = hostname.toLowerCase().replace(/^www\./i, '');
-
-  // Edge Case: Check if it's an IP address
-  const ipPattern = /^\d{1,3}(\.\d{1,3}){3}$/;
-  if (ipPattern.test(cleanHostname)) {
-    return cleanHostname; // Return IP as-is
-  }
-
-  // Define common Second Level TLDs (SLDs) that require special handling
-  const secondLevelTLDs = [
-    '.co.uk', '.gov.uk', '.ac.uk', '.org.uk', '.net.uk',
-    '.ac.in', '.co.in', '.gov.in', '.net.in', '.org.in',
-    '.com.au', '.net.au', '.org.au', '.edu.au', '.gov.au',
-    '.com.br', '.net.br', '.org.br', '.gov.br',
-    '.co.jp', '.ne.jp', '.or.jp', '.ac.jp', '.go.jp',
-    '.co.kr', '.or.kr', '.ac.kr',
-    '.com.cn', '.net.cn', '.org.cn', '.gov.cn', '.edu.cn',
-    '.com.tw', '.org.tw', '.edu.tw', '.gov.tw',
-    '.com.hk', '.org.hk', '.edu.hk', '.gov.hk',
-    '.com.sg', '.org.sg', '.edu.sg', '.gov.sg',
-    '.com.my', '.org.my', '.edu.my', '.gov.my',
-    '.com.ph', '.org.ph', '.edu.ph', '.gov.ph',
-    '.com.id', '.org.id', '.edu.id', '.gov.id',
-    '.com.th', '.org.th', '.edu.th', '.gov.th',
-    '.com.vn', '.org.vn', '.edu.vn', '.gov.vn'
-  ];
-
-  // Check if the hostname ends with a known second-level TLD
-  let matchedSLD = null;
-  for (const sld of secondLevelTLDs) {
-    if (cleanHostname.endsWith(sld)) {
-      matchedSLD = sld;
-      break;
-    }
-  }
-
-  // Split by dots
-  const parts = cleanHostname.split('.');
-
-  if (matchedSLD) {
-    // For second-level TLDs, take the last 3 parts
-    // e.g., "amazon.co.uk" -> ["amazon", "co", "uk"] -> "amazon.co.uk"
-    if (parts.length >= 3) {
-      return parts.slice(-3).join('.');
-    } else {
-      return cleanHostname; // Fallback if not enough parts
-    }
-  } else {
-    // For standard TLDs, take the last 2 parts
-    // e.g., "store.steampowered.com" -> ["store", "steampowered", "com"] -> "steampowered.com"
-    if (parts.length >= 2) {
-      return parts.slice(-2).join('.');
-    } else {
-      return cleanHostname; // Fallback if not enough parts
-    }
-  }
+  return parseDomain(hostname).registrableDomain;
 }
 
 /**
- * Extracts the brand name (first part) from a root domain
+ * Extracts the brand name (the label before the public suffix) from a root domain
  * 
  * Used for brand-based comparison that allows cross-TLD matches:
  * - amazon.co.uk -> "amazon"
@@ -325,23 +218,17 @@ function extractRootDomain(hostname) {
  * - roblox.com -> "roblox"
  * 
  * @param {string} rootDomain - The root domain (e.g., "amazon.co.uk" or "roblox.com")
- * @returns {string} - The brand name (first part before TLD)
+ * @returns {string} - The brand name
  */
 function extractBrand(rootDomain) {
   if (!rootDomain) return '';
-
-  // Split by dots and take the first part
-  const parts = rootDomain.split('.');
-  if (parts.length > 0) {
-    return parts[0].toLowerCase();
-  }
-  return rootDomain.toLowerCase();
+  return parseDomain(rootDomain).label;
 }
 
 /**
  * Extracts the brand name from a URL for title verification
  * 
- * Removes common prefixes (www, secure, login, account, my) and TLDs
+ * Subdomains (www, secure, login, ...) and the public suffix are dropped
  * to get the core brand identity for matching against search result titles.
  * 
  * Examples:
@@ -356,40 +243,7 @@ function extractBrandName(url) {
   if (!url) return '';
 
   try {
-    // Parse URL to get hostname
-    let hostname = url;
-    if (url.startsWith('http://') || url.startsWith('https://')) {
-      const urlObj = new URL(url);
-      hostname = urlObj.hostname;
-    }
-
-    // Remove common prefixes (case-insensitive)
-    hostname = hostname.toLowerCase();
-    hostname = hostname.replace(/^www\./, '');
-    hostname = hostname.replace(/^secure\./, '');
-    hostname = hostname.replace(/^login\./, '');
-    hostname = hostname.replace(/^account\./, '');
-    hostname = hostname.replace(/^my\./, '');
-    hostname = hostname.replace(/^app\./, '');
-
-    // Extract domain before TLD (handle multi-part TLDs)
-    const parts = hostname.split('.');
-
-    // For multi-part TLDs (e.g., co.uk), take second-to-last part
-    // For standard TLDs, take first part
-    if (parts.length >= 3) {
-      // Check if last two parts form known TLD (co.uk, com.au, etc.)
-      const lastTwo = parts.slice(-2).join('.');
-      const multiPartTLDs = ['co.uk', 'com.au', 'co.in', 'co.jp', 'com.br'];
-      if (multiPartTLDs.includes(lastTwo)) {
-        // Take third-from-last part (domain name)
-        return parts[parts.length - 3];
-      }
-    }
-
-    // Standard case: take first part (before TLD)
-    return parts[0];
-
+    return parseDomain(url).label;
   } catch (error) {
     console.warn('[DAVSS] Error extracting brand name:', error);
     return '';
@@ -401,9 +255,10 @@ function extractBrandName(url) {
  * Uses chrome.scripting.executeScript to run in the page context.
  *
  * @param {number} tabId - The tab to inspect.
- * @returns {Promise<{rect: {x:number,y:number,width:number,height:number}, dpr:number} | null>}
+ * @returns {Promise<{rect: {x:number,y:number,width:number,height:number}, dpr:number, linksToRoot:boolean} | null>}
+ *   linksToRoot: the logo is wrapped in a link to the site's home page
  */
-async function getLogoCoordinates(tabId) {
+export async function getLogoCoordinates(tabId) {
   try {
     const [{ result }] = await chrome.scripting.executeScript({
       target: { tabId },
@@ -497,7 +352,8 @@ async function getLogoCoordinates(tabId) {
         const rect = best.getBoundingClientRect();
         return {
           rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
-          dpr: window.devicePixelRatio || 1
+          dpr: window.devicePixelRatio || 1,
+          linksToRoot: isRootLink(best.closest('a'), window.location.hostname)
         };
       }
     });
@@ -517,7 +373,7 @@ async function getLogoCoordinates(tabId) {
  * @param {number} dpr - device pixel ratio
  * @returns {Promise<string>} - Cropped image as data URL
  */
-async function cropImageToRect(dataUrl, rect, dpr = 1) {
+export async function cropImageToRect(dataUrl, rect, dpr = 1) {
   const padding = 10;
   const scale = dpr || 1;
   const sx = Math.max(0, rect.x * scale - padding * scale);
@@ -545,6 +401,63 @@ async function cropImageToRect(dataUrl, rect, dpr = 1) {
   return croppedDataUrl;
 }
 
+/**
+ * Privacy mode: hides everything the user typed or can read, in every frame,
+ * before the screenshot is taken. Text is made transparent and form fields are filled
+ * with a flat colour; only layout and images (logos) stay visible. Waits two
+ * frames so the masked page is what gets painted.
+ *
+ * @param {number} tabId - Tab about to be captured
+ * @param {boolean} masked - true to apply the mask, false to remove it
+ * @returns {Promise<void>}
+ */
+async function setPrivacyMask(tabId, masked) {
+  // The screenshot shows iframes too (embedded login and payment forms)
+  await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    args: [masked],
+    func: (apply) => {
+      const STYLE_ID = 'spare-privacy-mask';
+      document.getElementById(STYLE_ID)?.remove();
+      if (!apply) return true;
+
+      const style = document.createElement('style');
+      style.id = STYLE_ID;
+      style.textContent = `
+        * { color: transparent !important; text-shadow: none !important; caret-color: transparent !important; }
+        *::placeholder { color: transparent !important; }
+        input, textarea, select, [contenteditable=""], [contenteditable="true"] {
+          background: #9e9e9e !important; background-image: none !important;
+        }
+      `;
+      document.documentElement.appendChild(style);
+      return new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(() => resolve(true))));
+    }
+  });
+}
+
+/**
+ * Downscales an image for the popup's "image sent" disclosure
+ *
+ * @param {string} dataUrl - Image that was sent
+ * @param {number} maxSize - Longest side of the thumbnail in px
+ * @returns {Promise<Object>} - { thumbnail, width, height } (width/height of the original)
+ */
+async function createThumbnail(dataUrl, maxSize = 160) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+  const thumbnail = await new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.readAsDataURL(blob);
+  });
+  return { thumbnail, width: bitmap.width, height: bitmap.height };
+}
+
 /**
  * Safe TLDs Whitelist
  * 
@@ -805,127 +718,92 @@ const PLATFORM_DOMAINS = new Set([
 
 
 /**
- * Step 1: Upload screenshot to ImgBB to get a public URL
- * 
- * ImgBB API: https://api.imgbb.com/1/upload
- * Method: POST (FormData)
- * 
- * @param {string} base64Image - Base64 encoded image data URL
- * @returns {Promise<string>} - Public URL of the uploaded image
+ * 1x1 transparent PNG used to test an ImgBB key without uploading page content
  */
-async function uploadToImgBB(base64Image) {
-  // Get API key
-  const { imgbbKey } = await getApiKeys();
-
-  // Extract base64 content (remove data URL prefix if present)
-  let base64Content = base64Image;
-  if (base64Image.includes(',')) {
-    // Remove the data:image/...;base64, prefix
-    base64Content = base64Image.split(',')[1];
-  }
-
-  // Create FormData for the upload
-  const formData = new FormData();
-  formData.append('key', imgbbKey);
-  formData.append('expiration', '600'); // Auto-delete after 10 minutes (600 seconds)
-  formData.append('image', base64Content); // Raw base64 string without prefix
-
-  try {
-    const response = await fetch('https://api.imgbb.com/1/upload', {
-      method: 'POST',
-      body: formData
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`ImgBB upload failed: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-
-    // Check for API errors in response
-    if (data.error) {
-      throw new Error(`ImgBB API error: ${JSON.stringify(data.error)}`);
-    }
-
-    // Return the public URL
-    if (data.data && data.data.url) {
-      return data.data.url;
-    } else {
-      throw new Error('ImgBB response missing URL');
-    }
-
-  } catch (error) {
-    console.error('ImgBB upload error:', error);
-    throw error;
-  }
-}
+const TEST_PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
 
 /**
- * Step 2: Visual Search via SerpApi (Google Lens)
+ * Validates a provider API key with a cheap test call
  * 
- * SerpApi: https://serpapi.com/search
- * Method: GET
- * Engine: google_lens
+ * - imgbb:   uploads a 1x1 pixel that expires after 60 seconds
+ * - serpapi: reads the account endpoint (does not consume search quota)
+ * - vision:  annotates the same 1x1 pixel (counts as one Cloud Vision unit)
  * 
- * @param {string} imageUrl - Public URL of the image from ImgBB
- * @returns {Promise<Array>} - Array of visual match results
+ * @param {string} provider - 'imgbb', 'serpapi' or 'vision'
+ * @param {string} key - API key to test
+ * @returns {Promise<Object>} - { valid: boolean, message: string }
  */
-async function fetchVisualMatches(imageUrl) {
-  // Get API key
-  const { serpapiKey } = await getApiKeys();
-
-  // Build query parameters
-  const params = new URLSearchParams({
-    engine: 'google_lens',
-    api_key: serpapiKey,
-    url: imageUrl
-  });
-
-  const apiUrl = `https://serpapi.com/search?${params.toString()}`;
+export async function validateApiKey(provider, key) {
+  if (!key) {
+    return { valid: false, message: 'No key entered' };
+  }
 
   try {
-    const response = await fetch(apiUrl, {
-      method: 'GET'
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`SerpApi request failed: ${response.status} ${response.statusText} - ${errorText}`);
+    if (provider === 'imgbb') {
+      const formData = new FormData();
+      formData.append('key', key);
+      formData.append('expiration', '60');
+      formData.append('image', TEST_PIXEL_PNG);
+
+      const response = await fetch('https://api.imgbb.com/1/upload', {
+        method: 'POST',
+        body: formData
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.ok && data.success) {
+        return { valid: true, message: 'ImgBB key accepted' };
+      }
+      return { valid: false, message: data.error?.message || `ImgBB rejected the key (${response.status})` };
     }
 
-    const data = await response.json();
-
-    // Check for API errors in response
-    if (data.error) {
-      throw new Error(`SerpApi error: ${JSON.stringify(data.error)}`);
+    if (provider === 'serpapi') {
+      const params = new URLSearchParams({ api_key: key });
+      const response = await fetch(`https://serpapi.com/account.json?${params.toString()}`);
+      const data = await response.json().catch(() => ({}));
+      if (response.ok && !data.error) {
+        const left = data.total_searches_left;
+        return {
+          valid: true,
+          message: left !== undefined ? `SerpApi key accepted (${left} searches left)` : 'SerpApi key accepted'
+        };
+      }
+      return { valid: false, message: data.error || `SerpApi rejected the key (${response.status})` };
     }
 
-    // Return full response object with visual matches, text results, and knowledge graph
-    // This enables OCR text verification in addition to visual similarity
-    return {
-      visualMatches: data.visual_matches || [],
-      textResults: data.text_results || [],
-      knowledgeGraph: data.knowledge_graph || null
-    };
+    if (provider === 'vision') {
+      const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${encodeURIComponent(key)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          requests: [{ image: { content: TEST_PIXEL_PNG }, features: [{ type: 'WEB_DETECTION', maxResults: 1 }] }]
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.ok && !data.responses?.[0]?.error) {
+        return { valid: true, message: 'Cloud Vision key accepted' };
+      }
+      const error = data.error || data.responses?.[0]?.error;
+      return { valid: false, message: error?.message || `Cloud Vision rejected the key (${response.status})` };
+    }
 
+    return { valid: false, message: `Unknown provider: ${provider}` };
   } catch (error) {
-    console.error('SerpApi error:', error);
-    throw error;
+    return { valid: false, message: `Validation request failed: ${error.message}` };
   }
 }
 
 /**
  * Helper: Extract Brand Keywords from OCR Text
  * 
- * Extracts potential brand names from SerpApi text_results and knowledge_graph.
+ * Extracts potential brand names from the text the search provider read in
+ * the image and the entity it recognised.
  * Used for text-based phishing detection.
  * 
- * @param {Array} textResults - Array of text results from SerpApi
- * @param {Object} knowledgeGraph - Knowledge graph object from SerpApi
+ * @param {Array<string>} texts - OCR text from the normalized search result
+ * @param {string|null} entity - Recognised entity name from the normalized search result
  * @returns {Array<string>} - Array of normalized brand keywords
  */
-function extractBrandKeywords(textResults, knowledgeGraph) {
+function extractBrandKeywords(texts, entity) {
   const keywords = new Set();
 
   // Common stop words to filter out
@@ -935,29 +813,11 @@ function extractBrandKeywords(textResults, knowledgeGraph) {
     'www', 'http', 'https', 'com', 'org', 'net', 'secure', 'online'
   ]);
 
-  // Extract from text_results array
-  if (Array.isArray(textResults)) {
-    for (const textItem of textResults) {
-      // text_results can have various structures, try common fields
-      const text = textItem.text || textItem.title || textItem.snippet || '';
-      if (text) {
-        // Split into words, normalize, filter
-        const words = text.toLowerCase()
-          .replace(/[^a-z0-9\s]/g, ' ')
-          .split(/\s+/)
-          .filter(word => word.length > 2 && !stopWords.has(word));
-
-        words.forEach(word => keywords.add(word));
-      }
-    }
-  }
-
-  // Extract from knowledge_graph
-  if (knowledgeGraph && typeof knowledgeGraph === 'object') {
-    // Try common knowledge graph fields
-    const title = knowledgeGraph.title || knowledgeGraph.name || '';
-    if (title) {
-      const words = title.toLowerCase()
+  // Extract from OCR text and the recognised entity alike
+  for (const text of [...(texts || []), entity || '']) {
+    if (text) {
+      // Split into words, normalize, filter
+      const words = text.toLowerCase()
         .replace(/[^a-z0-9\s]/g, ' ')
         .split(/\s+/)
         .filter(word => word.length > 2 && !stopWords.has(word));
@@ -1008,14 +868,14 @@ function checkBrandInURL(brandKeywords, currentUrl) {
  * the most frequent domain in the search results.
  * NOW INCLUDES: OCR text verification to detect brand impersonation.
  * 
- * @param {Array} visualMatches - Array of visual match results from SerpApi
+ * @param {Array} visualMatches - Normalized matches from the search provider ({ url, domain, title })
  * @param {string} currentDomain - Standardized current domain
- * @param {Array} textResults - Array of text results from SerpApi (for OCR)
- * @param {Object} knowledgeGraph - Knowledge graph object from SerpApi
+ * @param {Array<string>} texts - OCR text from the normalized search result
+ * @param {string|null} entity - Recognised entity name from the normalized search result
  * @param {string} currentUrl - Full current URL (for text-URL matching)
  * @returns {Object} - Score object with similarityScore, confidenceScore, and text verification results
  */
-function calculateScore(visualMatches, currentDomain, textResults = [], knowledgeGraph = null, currentUrl = '') {
+function calculateScore(visualMatches, currentDomain, texts = [], entity = null, currentUrl = '') {
   if (!visualMatches || visualMatches.length === 0) {
     return {
       similarityScore: -1,
@@ -1035,34 +895,7 @@ function calculateScore(visualMatches, currentDomain, textResults = [], knowledg
   const noisyMatches = []; // LowValueMatches
 
   for (const match of topResults) {
-    let domain = '';
-
-    // Try to extract domain from 'link' field
-    if (match.link) {
-      try {
-        const url = new URL(match.link);
-        domain = url.hostname;
-      } catch (error) {
-        // If URL parsing fails, try string manipulation
-        const matchResult = match.link.match(/https?:\/\/([^\/]+)/);
-        if (matchResult) {
-          domain = matchResult[1];
-        }
-      }
-    }
-
-    // If no domain from 'link', try 'source' field
-    if (!domain && match.source) {
-      try {
-        const url = new URL(match.source);
-        domain = url.hostname;
-      } catch (error) {
-        const matchResult = match.source.match(/https?:\/\/([^\/]+)/);
-        if (matchResult) {
-          domain = matchResult[1];
-        }
-      }
-    }
+    const domain = match.domain;
 
     // Standardize domain
     if (domain) {
@@ -1265,7 +1098,7 @@ function calculateScore(visualMatches, currentDomain, textResults = [], knowledg
     // Scan ALL visual matches for title mentions
     for (const match of visualMatches) {
       const title = (match.title || '').toLowerCase();
-      const link = (match.link || match.source || '').toLowerCase();
+      const link = (match.url || '').toLowerCase();
 
       // Check if title contains current brand name
       if (title && title.includes(currentBrandName)) {
@@ -1404,7 +1237,7 @@ function calculateScore(visualMatches, currentDomain, textResults = [], knowledg
 
   // Step 6: OCR Text Verification (Override for Low Visual Confidence)
   // Extract brand keywords from logo text and check if they appear in the current URL
-  const brandKeywords = extractBrandKeywords(textResults, knowledgeGraph);
+  const brandKeywords = extractBrandKeywords(texts, entity);
   const urlCheck = checkBrandInURL(brandKeywords, currentUrl);
 
   let textThreatDetected = false;
@@ -1457,8 +1290,8 @@ function calculateScore(visualMatches, currentDomain, textResults = [], knowledg
  * 
  * Orchestrates the entire DAVSS workflow:
  * 1. Captures screenshot of current tab
- * 2. Uploads to ImgBB to get public URL
- * 3. Searches via SerpApi (Google Lens)
+ * 2. Uploads it for the configured visual search provider
+ * 3. Searches for visually similar images (normalized matches)
  * 4. Calculates similarity score
  * 
  * @param {number} tabId - The ID of the current tab to capture
@@ -1471,11 +1304,56 @@ function calculateScore(visualMatches, currentDomain, textResults = [], knowledg
  *     trueDomain: string,        // Most frequent domain from visual search
  *     frequencyCount: number,    // Count of most frequent domain
  *     totalResults: number,      // Total results analyzed
+ *     provider: string,          // Visual search provider id (settings.visualSearchProvider)
+ *     sentImage: Object,         // { kind: 'logo'|'screenshot', masked, publicUrl, thumbnail, width, height }
  *     error: boolean,            // Whether an error occurred
+ *     disabled?: true,           // Not run with the current settings
+ *     disabledReason?: string,   // 'missing_keys' | 'privacy_mode'
  *     errorMessage: string      // Error message if error occurred
  *   }
  */
 export async function calculateDavssScore(tabId, currentUrl) {
+  const settings = await getSettings();
+  const provider = getVisualSearchProvider(settings.visualSearchProvider);
+  const keys = await getCredentials();
+  const context = { keys, settings, currentUrl };
+  const privacyMode = !!settings.davssPrivacyMode;
+
+  // No shared fallback keys exist: without the user's (or policy's) keys DAVSS is off
+  const missingKeys = provider.requiredKeys.filter((name) => !keys[name]);
+  if (missingKeys.length) {
+    return {
+      similarityScore: -1,
+      confidenceScore: 0,
+      currentDomain: '',
+      trueDomain: '',
+      frequencyCount: 0,
+      totalResults: 0,
+      provider: provider.id,
+      error: true,
+      disabled: true,
+      disabledReason: 'missing_keys',
+      errorMessage: `DAVSS disabled: no key configured (${missingKeys.map((name) => CREDENTIALS[name].label).join(', ')})`
+    };
+  }
+
+  // Privacy mode never lets a page image become publicly reachable
+  if (privacyMode && provider.publicUpload) {
+    return {
+      similarityScore: -1,
+      confidenceScore: 0,
+      currentDomain: '',
+      trueDomain: '',
+      frequencyCount: 0,
+      totalResults: 0,
+      provider: provider.id,
+      error: true,
+      disabled: true,
+      disabledReason: 'privacy_mode',
+      errorMessage: `DAVSS disabled: privacy mode needs a direct-upload provider (${provider.name} publishes the image)`
+    };
+  }
+
   try {
     // Step 1: Image Capture
     // Capture the visible tab as a base64 data URL
@@ -1494,18 +1372,23 @@ export async function calculateDavssScore(tabId, currentUrl) {
       }
 
       // Capture visible tab (null windowId means current window)
-      imageROI = await new Promise((resolve, reject) => {
-        chrome.tabs.captureVisibleTab(windowId, {
-          format: 'png',
-          quality: 100
-        }, (dataUrl) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve(dataUrl);
-          }
+      if (privacyMode) await setPrivacyMask(tabId, true);
+      try {
+        imageROI = await new Promise((resolve, reject) => {
+          chrome.tabs.captureVisibleTab(windowId, {
+            format: 'png',
+            quality: 100
+          }, (dataUrl) => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              resolve(dataUrl);
+            }
+          });
         });
-      });
+      } finally {
+        if (privacyMode) await setPrivacyMask(tabId, false).catch(() => {});
+      }
 
       // Attempt logo detection and crop
       const logoInfo = await getLogoCoordinates(tabId);
@@ -1533,12 +1416,35 @@ export async function calculateDavssScore(tabId, currentUrl) {
       };
     }
 
-    // Step 2: Upload to ImgBB
-    let imageUrl;
+    // Privacy mode sends the logo or nothing: the full screenshot may show an inbox or a filled form
+    if (privacyMode && !logoCrop) {
+      return {
+        similarityScore: -1,
+        confidenceScore: 0,
+        currentDomain: '',
+        trueDomain: '',
+        frequencyCount: 0,
+        totalResults: 0,
+        provider: provider.id,
+        error: true,
+        errorMessage: 'Privacy mode: no logo found on the page, and the full screenshot is never sent'
+      };
+    }
+
+    // What leaves the browser, disclosed in the popup
+    const imageToUse = logoCrop || imageROI;
+    const sentImage = {
+      kind: logoCrop ? 'logo' : 'screenshot',
+      masked: privacyMode,
+      publicUrl: !!provider.publicUpload,
+      ...(await createThumbnail(imageToUse).catch(() => ({ thumbnail: null })))
+    };
+
+    // Step 2: Upload for the search provider (a public URL or the raw bytes)
+    let image;
     try {
-      const imageToUse = logoCrop || imageROI;
-      imageUrl = await uploadToImgBB(imageToUse);
-      console.log('[DAVSS] Image uploaded to ImgBB:', imageUrl);
+      image = await provider.upload(imageToUse, context);
+      console.log(`[DAVSS] Image prepared for ${provider.name}:`, image.url || 'direct upload');
     } catch (uploadError) {
       return {
         similarityScore: -1,
@@ -1547,24 +1453,24 @@ export async function calculateDavssScore(tabId, currentUrl) {
         trueDomain: '',
         frequencyCount: 0,
         totalResults: 0,
+        provider: provider.id,
+        sentImage,
         error: true,
-        errorMessage: `Failed to upload image to ImgBB: ${uploadError.message}`
+        errorMessage: `Failed to upload image (${provider.name}): ${uploadError.message}`
       };
     }
 
-    // Step 3: Visual Search via SerpApi (with OCR Text Extraction)
-    let visualMatches, textResults, knowledgeGraph;
+    // Step 3: Visual Search (with OCR Text Extraction), normalized by the provider
+    let visualMatches;
     try {
-      const serpApiResponse = await fetchVisualMatches(imageUrl);
-      visualMatches = serpApiResponse.visualMatches;
-      textResults = serpApiResponse.textResults;
-      knowledgeGraph = serpApiResponse.knowledgeGraph;
+      const search = await provider.search(image, context);
+      visualMatches = search.matches;
 
       console.log('[DAVSS] Visual matches found:', visualMatches.length);
-      console.log('[DAVSS] Text results found:', textResults.length);
-      console.log('[DAVSS] Knowledge graph available:', !!knowledgeGraph);
+      console.log('[DAVSS] Text results found:', search.texts.length);
+      console.log('[DAVSS] Entity recognised:', search.entity);
 
-      if (!visualMatches || visualMatches.length === 0) {
+      if (visualMatches.length === 0) {
         return {
           similarityScore: -1,
           confidenceScore: 0,
@@ -1572,8 +1478,10 @@ export async function calculateDavssScore(tabId, currentUrl) {
           trueDomain: '',
           frequencyCount: 0,
           totalResults: 0,
+          provider: provider.id,
+          sentImage,
           error: true,
-          errorMessage: 'SerpApi returned no visual matches'
+          errorMessage: `${provider.name} returned no visual matches`
         };
       }
     } catch (searchError) {
@@ -1584,8 +1492,10 @@ export async function calculateDavssScore(tabId, currentUrl) {
         trueDomain: '',
         frequencyCount: 0,
         totalResults: 0,
+        provider: provider.id,
+        sentImage,
         error: true,
-        errorMessage: `SerpApi search failed: ${searchError.message}`
+        errorMessage: `Visual search failed (${provider.name}): ${searchError.message}`
       };
     }
 
@@ -1627,6 +1537,8 @@ export async function calculateDavssScore(tabId, currentUrl) {
         trueDomain: currentDetails.hostname,
         status: 'Safe: Visual Match Confirmed',
         scenario: 'A',
+        provider: provider.id,
+        sentImage,
         error: false
       };
     }
@@ -1641,6 +1553,8 @@ export async function calculateDavssScore(tabId, currentUrl) {
         trueDomain: currentDetails.hostname,
         status: 'Safe: Verified Entity on Safe TLD',
         scenario: 'B',
+        provider: provider.id,
+        sentImage,
         error: false
       };
     }
@@ -1653,8 +1567,11 @@ export async function calculateDavssScore(tabId, currentUrl) {
         confidenceScore: 0.8,
         currentDomain: currentDetails.hostname,
         trueDomain: signals.detectedTrueDomain || 'Unknown',
+        impersonatedBrand: currentDetails.brand,
         status: 'Phishing: Brand Match on Risky TLD',
         scenario: 'C',
+        provider: provider.id,
+        sentImage,
         error: false
       };
     }
@@ -1667,8 +1584,11 @@ export async function calculateDavssScore(tabId, currentUrl) {
         confidenceScore: 1.0,
         currentDomain: currentDetails.hostname,
         trueDomain: signals.detectedTrueDomain,
+        impersonatedBrand: signals.priorityBrandName,
         status: `Phishing: ${signals.priorityBrandName.toUpperCase()} Impersonation`,
         scenario: 'D',
+        provider: provider.id,
+        sentImage,
         error: false
       };
     }
@@ -1682,6 +1602,8 @@ export async function calculateDavssScore(tabId, currentUrl) {
       trueDomain: null,
       status: 'Inconclusive: Insufficient Data',
       scenario: 'E',
+      provider: provider.id,
+      sentImage,
       error: false
     };
 
@@ -0,0 +1,119 @@
+// history.js — browse, filter and export the scan history
+
+import { queryHistory, clearHistory, historyToCsv } from "./utils/historyStore.js";
+import { getSettings } from "./utils/settings.js";
+
+// Rows rendered in the table; exports always include every match
+const DISPLAY_LIMIT = 500;
+
+let currentRecords = [];
+let recordingDisabled = false;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function readFilters() {
+  const from = $("filter-from").value;
+  const to = $("filter-to").value;
+  return {
+    verdict: $("filter-verdict").value || undefined,
+    domain: $("filter-domain").value,
+    // Date inputs are local calendar days; "to" covers the whole day
+    from: from ? new Date(`${from}T00:00:00`).getTime() : undefined,
+    to: to ? new Date(`${to}T23:59:59.999`).getTime() : undefined
+  };
+}
+
+function cell(row, text, className) {
+  const td = row.insertCell();
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+}
+
+function describeRdap(rdap) {
+  if (!rdap) return "–";
+  if (rdap.whitelisted) return "Trusted";
+  if (rdap.error) return "Failed";
+  const age = rdap.daysAge === null ? "age unknown" : `${rdap.daysAge} days old`;
+  return `${rdap.rawScore}/100, ${age}`;
+}
+
+function describeDavss(davss) {
+  if (!davss) return "–";
+  if (davss.whitelisted) return "Trusted";
+  if (davss.error) return "Failed";
+  const brand = davss.impersonatedBrand ? ` (${davss.impersonatedBrand})` : "";
+  return `${davss.scenario || "?"}: ${davss.status || "–"}${brand}`;
+}
+
+function render(records) {
+  const tbody = $("rows");
+  while (tbody.firstChild) tbody.removeChild(tbody.firstChild);
+
+  for (const record of records.slice(0, DISPLAY_LIMIT)) {
+    const row = tbody.insertRow();
+    cell(row, new Date(record.timestamp).toLocaleString());
+    const verdict = record.verdict?.verdict || "Pending";
+    cell(row, verdict, `verdict ${verdict.toLowerCase()}`);
+    const url = cell(row, record.url, "url");
+    url.title = record.rootDomain || "";
+    cell(row, describeRdap(record.rdap));
+    cell(row, describeDavss(record.davss));
+    cell(row, record.ml ? `${(record.ml.probability * 100).toFixed(0)}%${record.ml.trained ? "" : " (untrained)"}` : "–");
+  }
+
+  const shown = Math.min(records.length, DISPLAY_LIMIT);
+  $("summary").textContent = (records.length > shown
+    ? `${records.length} scans match (showing the newest ${shown}; exports include all)`
+    : `${records.length} scan${records.length === 1 ? "" : "s"} match`) +
+    (recordingDisabled ? " · recording is turned off in the options page" : "");
+}
+
+async function refresh() {
+  try {
+    currentRecords = await queryHistory(readFilters());
+    render(currentRecords);
+  } catch (error) {
+    console.error("[History] Could not load history", error);
+    $("summary").textContent = "Could not load the scan history";
+  }
+}
+
+function download(filename, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportName(extension) {
+  return `spare-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  for (const id of ["filter-verdict", "filter-from", "filter-to"]) {
+    $(id).addEventListener("change", refresh);
+  }
+  $("filter-domain").addEventListener("input", refresh);
+
+  $("export-csv").addEventListener("click", () => {
+    download(exportName("csv"), "text/csv", historyToCsv(currentRecords));
+  });
+
+  $("export-json").addEventListener("click", () => {
+    download(exportName("json"), "application/json", JSON.stringify(currentRecords, null, 2));
+  });
+
+  $("clear").addEventListener("click", async () => {
+    if (!confirm("Delete the entire scan history? This cannot be undone.")) return;
+    await clearHistory();
+    refresh();
+  });
+
+  recordingDisabled = !(await getSettings()).historyEnabled;
+  refresh();
+});
@@ -0,0 +1,178 @@
+/**
+ * Local Logo Matcher - offline brand impersonation check
+ *
+ * Compares what a page shows against the local logo library
+ * (utils/logoLibrary.js) without sending anything off the device:
+ * 1. The page favicon (the icon the page declares, as reported by content.js,
+ *    else the tab's favicon, else /favicon.ico): perceptually, and by its
+ *    exact MurmurHash3/SHA-256 against the official favicons
+ * 2. The logo crop DAVSS would use (getLogoCoordinates + cropImageToRect);
+ *    only for the active tab, since it needs a screenshot, and only when the
+ *    URL, title or favicon already points at a brand
+ *
+ * A strong match to one of brand X's official fingerprints on a domain X
+ * does not own is impersonation, as is serving X's exact favicon file; a weak
+ * match, or a strong one to a fingerprint learned on a visit, is a
+ * resemblance. On the brand's own (trusted) domains nothing is matched: the
+ * home page's favicon, and its logo when it links back to the home page, are
+ * added to the library instead. Other pages on those domains are not learned
+ * from, they may show user content (profiles, hosted sites, channels).
+ */
+
+import { getLogoCoordinates, cropImageToRect } from './davssService.js';
+import { fingerprintImage } from './utils/imageHash.js';
+import { findBrandForDomain, fingerprintFaviconFile, learnLogo, matchFingerprint, matchFaviconHash } from './utils/logoLibrary.js';
+import { getRootDomain, isDomainWhitelisted } from './utils/domainUtils.js';
+import { BRAND_ASSETS } from './data/brandAssets.js';
+
+const STRENGTH_ORDER = { strong: 0, weak: 1 };
+
+const FAVICON_TIMEOUT_MS = 5000;
+
+function resolveFaviconUrl(declared, tab, url) {
+  for (const candidate of [declared, tab?.favIconUrl]) {
+    if (candidate && /^(https?|data):/i.test(candidate)) return candidate;
+  }
+  return `${new URL(url).origin}/favicon.ico`;
+}
+
+function captureVisibleTab(windowId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.captureVisibleTab(windowId, { format: 'png' }, (dataUrl) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(dataUrl);
+      }
+    });
+  });
+}
+
+// The icon file is downloaded once: the exact hashes need its bytes as served
+// (an icon that does not decode keeps them, without a perceptual fingerprint)
+async function fingerprintFavicon(faviconUrl) {
+  let blob;
+  try {
+    const response = await fetch(faviconUrl, {
+      signal: AbortSignal.timeout(FAVICON_TIMEOUT_MS),
+      credentials: 'omit'
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    blob = await response.blob();
+  } catch (error) {
+    console.log('[LogoMatch] Favicon unavailable:', error.message);
+    return null;
+  }
+  return fingerprintFaviconFile(blob);
+}
+
+// Brand names as whole words, for spotting a brand in the page title
+const BRAND_NAME_PATTERNS = BRAND_ASSETS.map((asset) =>
+  new RegExp(`\\b${asset.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i'));
+
+function mentionsBrand(text) {
+  return !!text && BRAND_NAME_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+function checkedImages(images) {
+  return { logo: !!images.logo, favicon: !!images.favicon };
+}
+
+// The page is the site's home page (the only page learned from)
+function isHomePage(url, domain) {
+  const { hostname, pathname } = new URL(url);
+  return (hostname === domain || hostname === `www.${domain}`) && pathname === '/';
+}
+
+async function fingerprintLogo(tab) {
+  if (!tab?.active) return null;
+  try {
+    const screenshot = await captureVisibleTab(tab.windowId);
+    const logoInfo = await getLogoCoordinates(tab.id);
+    if (!logoInfo?.rect) return null;
+    const fingerprint = await fingerprintImage(await cropImageToRect(screenshot, logoInfo.rect, logoInfo.dpr));
+    return { ...fingerprint, linksToRoot: !!logoInfo.linksToRoot };
+  } catch (error) {
+    console.log('[LogoMatch] Logo crop unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Matches (or, on trusted domains, learns) a tab's logo and favicon
+ *
+ * @param {number} tabId - Tab showing the page
+ * @param {string} url - Page URL
+ * @param {Object} [options] - { faviconUrl, title } reported by the page (FaviconUrl,
+ *   Title features); brandHint when the URL already imitates a brand (lookalike
+ *   domain, brand name outside the registrable domain)
+ * @returns {Promise<Object>} -
+ *   {
+ *     domain: string,
+ *     checked: { logo: boolean, favicon: boolean }, // which images were fingerprinted
+ *     favicon: Object|null,     // { url, mmh3, sha256, match } - match: the brand whose
+ *                               // official favicon is this exact file, if it does not own the domain
+ *     match: Object|null,       // closest match to a brand that does not own the domain
+ *                               // ({ brand, name, kind, officialDomains, distance, colour, strength, source })
+ *     impersonation: boolean,   // match is strong and official, or favicon.match is set
+ *     whitelisted?: true,       // trusted domain: images learned (home page only), not matched
+ *     learned?: number          // fingerprints added to the library
+ *   }
+ */
+export async function analyzeLogo(tabId, url, { faviconUrl = null, title = '', brandHint = false } = {}) {
+  const domain = getRootDomain(url);
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  const iconUrl = resolveFaviconUrl(faviconUrl, tab, url);
+
+  const images = { favicon: await fingerprintFavicon(iconUrl), logo: null };
+  const favicon = images.favicon && {
+    url: iconUrl.startsWith('data:') ? 'data: URL' : iconUrl,
+    mmh3: images.favicon.mmh3,
+    sha256: images.favicon.sha256,
+    match: null
+  };
+
+  if (isDomainWhitelisted(url)) {
+    let learned = 0;
+    if (isHomePage(url, domain) && findBrandForDomain(domain)) {
+      images.logo = await fingerprintLogo(tab);
+      for (const [kind, fingerprint] of Object.entries(images)) {
+        // A logo that does not lead home may be a partner's or an advert
+        if (!fingerprint || (kind === 'logo' && !fingerprint.linksToRoot)) continue;
+        if (await learnLogo(domain, kind, fingerprint)) learned++;
+      }
+    }
+    if (learned) console.log(`[LogoMatch] Learned ${learned} image(s) from ${domain}`);
+    return { domain, checked: checkedImages(images), favicon, match: null, impersonation: false, whitelisted: true, learned };
+  }
+
+  const matches = [];
+  const addMatch = async (kind, fingerprint) => {
+    const match = await matchFingerprint(fingerprint, kind, domain);
+    // The page showing its own brand's images proves nothing either way; a
+    // copied favicon file is already reported through favicon.match
+    if (!match || match.owned) return;
+    if (kind === 'favicon' && favicon?.match?.brand === match.brand) return;
+    matches.push(match);
+  };
+
+  if (favicon) {
+    const exact = await matchFaviconHash(images.favicon, domain);
+    if (exact && !exact.owned) favicon.match = exact;
+    await addMatch('favicon', images.favicon);
+  }
+
+  // The logo crop takes a screenshot and walks the whole DOM: only worth it
+  // when the URL, the title or the favicon already points at a brand
+  if (brandHint || favicon?.match || matches.length || mentionsBrand(title)) {
+    images.logo = await fingerprintLogo(tab);
+    if (images.logo) await addMatch('logo', images.logo);
+  }
+
+  matches.sort((a, b) => STRENGTH_ORDER[a.strength] - STRENGTH_ORDER[b.strength] ||
+    (a.source === 'official' ? 0 : 1) - (b.source === 'official' ? 0 : 1) || a.distance - b.distance);
+
+  const match = matches[0] || null;
+  const impersonation = !!favicon?.match || (match?.strength === 'strong' && match.source === 'official');
+  return { domain, checked: checkedImages(images), favicon, match, impersonation };
+}
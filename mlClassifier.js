@@ -0,0 +1,215 @@
+/**
+ * On-Device ML Classifier
+ *
+ * Scores the PhiUSIIL feature record built by content.js with a serialized
+ * model bundled in the extension. Inference is pure arithmetic over the
+ * feature object - no network call is ever made.
+ *
+ * Model files are versioned JSON documents:
+ *   {
+ *     formatVersion: 1,                 // Serialization format (checked here)
+ *     modelVersion: "2026.10.0",        // Release of the trained weights
+ *     modelType: "logistic_regression" | "gradient_boosted_trees",
+ *     positiveClass: "phishing",
+ *     threshold: 0.5,
+ *     training: {                       // Provenance of the weights, null if not fitted
+ *       dataset: "PhiUSIIL",
+ *       samples: number,                // Rows the model was fitted on
+ *       fittedAt: "YYYY-MM-DD",
+ *       metrics: { accuracy, precision, recall, f1, auc }   // On a held-out split
+ *     },
+ *     ...type-specific fields
+ *   }
+ *
+ * Shipping a retrained model only requires replacing the JSON file, as long
+ * as its formatVersion is one this module understands. A model without
+ * training metadata is still run and shown, but the verdict engine leaves
+ * it out of the fused score.
+ */
+
+const MODEL_PATH = 'data/models/phiusiil-model.json';
+
+/**
+ * Serialization formats this build can execute
+ */
+const SUPPORTED_FORMAT_VERSIONS = new Set([1]);
+
+/**
+ * Standardized inputs are clamped to this range so a single extreme
+ * feature (e.g. a 50k-line page) cannot dominate the score.
+ */
+const Z_CLAMP = 5;
+
+let modelPromise = null;
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function numericFeature(features, name) {
+  const value = Number(features[name]);
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Validates a parsed model document
+ *
+ * @param {Object} model - Parsed model JSON
+ * @throws {Error} - If the format or type is not supported
+ */
+function validateModel(model) {
+  if (!model || typeof model !== 'object') {
+    throw new Error('Model file is not a JSON object');
+  }
+  if (!SUPPORTED_FORMAT_VERSIONS.has(model.formatVersion)) {
+    throw new Error(`Unsupported model formatVersion: ${model.formatVersion}`);
+  }
+  if (model.modelType === 'logistic_regression') {
+    if (!Array.isArray(model.features)) throw new Error('Logistic regression model has no features');
+  } else if (model.modelType === 'gradient_boosted_trees') {
+    if (!Array.isArray(model.trees)) throw new Error('Tree model has no trees');
+  } else {
+    throw new Error(`Unsupported modelType: ${model.modelType}`);
+  }
+}
+
+/**
+ * Logistic regression over standardized features
+ *
+ * Each entry in model.features is { name, mean, scale, weight }.
+ *
+ * @returns {{ probability: number, contributions: Array }}
+ */
+function scoreLogisticRegression(model, features) {
+  let logit = model.intercept || 0;
+  const contributions = [];
+
+  for (const { name, mean = 0, scale = 1, weight } of model.features) {
+    const z = (numericFeature(features, name) - mean) / (scale || 1);
+    const contribution = Math.max(-Z_CLAMP, Math.min(Z_CLAMP, z)) * weight;
+    logit += contribution;
+    contributions.push({ feature: name, contribution });
+  }
+
+  return { probability: sigmoid(logit), contributions };
+}
+
+/**
+ * Walks a single tree to its leaf value
+ *
+ * Nodes are a flat array; split nodes are { feature, threshold, left, right, missing? }
+ * and leaves are { leaf }. Child references are array indices.
+ */
+function evaluateTree(tree, features) {
+  let node = tree.nodes[0];
+  while (node && node.leaf === undefined) {
+    const raw = features[node.feature];
+    let next;
+    if (raw === undefined || raw === null || Number.isNaN(Number(raw))) {
+      next = node.missing !== undefined ? node.missing : node.left;
+    } else {
+      next = Number(raw) < node.threshold ? node.left : node.right;
+    }
+    node = tree.nodes[next];
+  }
+  return node ? node.leaf : 0;
+}
+
+/**
+ * Gradient-boosted trees (XGBoost/LightGBM style binary logistic output)
+ *
+ * @returns {{ probability: number, contributions: Array }}
+ */
+function scoreGradientBoostedTrees(model, features) {
+  const learningRate = model.learningRate ?? 1;
+  let margin = model.baseScore || 0;
+  for (const tree of model.trees) {
+    margin += learningRate * evaluateTree(tree, features);
+  }
+  return { probability: sigmoid(margin), contributions: [] };
+}
+
+/**
+ * @param {Object} model - Parsed model document
+ * @returns {boolean} - true when the weights come with training provenance and metrics
+ */
+function isTrained(model) {
+  return !!(model.training?.dataset && model.training?.metrics);
+}
+
+/**
+ * Loads (once) and validates the bundled model
+ *
+ * @returns {Promise<Object>} - Parsed model document
+ */
+export function loadModel() {
+  if (!modelPromise) {
+    modelPromise = fetch(chrome.runtime.getURL(MODEL_PATH))
+      .then((res) => {
+        if (!res.ok) throw new Error(`Model fetch failed: ${res.status}`);
+        return res.json();
+      })
+      .then((model) => {
+        validateModel(model);
+        console.log(`[ML] Loaded ${model.modelType} model v${model.modelVersion}${isTrained(model) ? '' : ' (not trained)'}`);
+        return model;
+      })
+      .catch((err) => {
+        // Allow a later call to retry instead of caching the failure
+        modelPromise = null;
+        throw err;
+      });
+  }
+  return modelPromise;
+}
+
+/**
+ * Scores a PhiUSIIL feature record
+ *
+ * @param {Object} features - Feature record from content.js
+ * @returns {Promise<Object>} - Classification result:
+ *   {
+ *     probability: number,     // P(phishing), 0..1
+ *     isPhishing: boolean,     // probability >= model threshold
+ *     threshold: number,
+ *     modelVersion: string,
+ *     modelType: string,
+ *     trained: boolean,        // Weights fitted on a dataset (see training metadata)
+ *     topFeatures: Array,      // Largest positive contributions (LR only)
+ *     error: boolean,
+ *     errorMessage: string|null
+ *   }
+ */
+export async function classifyFeatures(features) {
+  if (!features) {
+    return { error: true, errorMessage: 'No features to classify' };
+  }
+
+  try {
+    const model = await loadModel();
+    const { probability, contributions } = model.modelType === 'gradient_boosted_trees'
+      ? scoreGradientBoostedTrees(model, features)
+      : scoreLogisticRegression(model, features);
+
+    const threshold = model.threshold ?? 0.5;
+    const topFeatures = contributions
+      .filter((c) => c.contribution > 0)
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, 5);
+
+    return {
+      probability,
+      isPhishing: probability >= threshold,
+      threshold,
+      modelVersion: model.modelVersion,
+      modelType: model.modelType,
+      trained: isTrained(model),
+      topFeatures,
+      error: false,
+      errorMessage: null
+    };
+  } catch (err) {
+    console.error('[ML] Classification failed:', err);
+    return { error: true, errorMessage: `ML classification failed: ${err.message}` };
+  }
+}
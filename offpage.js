@@ -1,26 +1,195 @@
 // offpage.js
 // Off-page RDAP-based domain risk analysis
 
-async function fetchRDAP(domain) {
-  const urls = [
-    `https://rdap.org/domain/${domain}`,
-    `https://icann.rdap.org/domain/${domain}`
-  ];
-
-  for (const url of urls) {
-    try {
-      const res = await fetch(url);
-      if (res.ok) {
-        return await res.json();
+import { getRegistrableDomain } from "./utils/publicSuffix.js";
+import { lookupDomain } from "./utils/rdapClient.js";
+import {
+  ABUSE_PRONE_REGISTRARS,
+  ABUSE_PRONE_REGISTRAR_NAMES,
+  RISKY_STATUSES,
+  FREE_DNS_PROVIDERS,
+  PRIVACY_PROXY_PATTERNS,
+  REDACTION_PATTERN
+} from "./data/rdapRiskData.js";
+
+// Registry records are often thin; fill in events only the registrar reported
+function mergeRegistrarEvents(data, registrarData) {
+  const events = Array.isArray(data.events) ? data.events : [];
+  const extra = (Array.isArray(registrarData?.events) ? registrarData.events : [])
+    .filter((e) => !events.some((known) => known.eventAction === e.eventAction));
+  return extra.length ? { ...data, events: [...events, ...extra] } : data;
+}
+
+// Default domain-age buckets (overridable from the options page)
+const DEFAULT_AGE_BUCKETS = [
+  { maxDays: 30, score: 50 },
+  { maxDays: 180, score: 35 },
+  { maxDays: 365, score: 25 },
+  { maxDays: 1095, score: 10 },
+  { maxDays: 3650, score: 5 },
+  { maxDays: null, score: 2 }
+];
+
+// First bucket whose maxDays covers the age; maxDays null means "and older"
+function scoreForAge(daysAge, buckets) {
+  for (const bucket of buckets) {
+    if (bucket.maxDays === null || bucket.maxDays === undefined || daysAge <= bucket.maxDays) {
+      return bucket.score;
+    }
+  }
+  return 0;
+}
+
+// ----- RECORD DETAILS (registrar, status, privacy, nameservers) -----
+
+// Points per signal, on the same 0-100 scale as the date scores
+const SIGNAL_SCORES = {
+  abuseProneRegistrar: 10,
+  freeDns: 15,
+  privacyProxy: 10,
+  registrantRedacted: 3
+};
+
+// jCard property value, e.g. vcardValue(entity, "fn") -> "NameCheap, Inc."
+function vcardValue(entity, field) {
+  const props = Array.isArray(entity?.vcardArray?.[1]) ? entity.vcardArray[1] : [];
+  const prop = props.find((p) => Array.isArray(p) && p[0] === field);
+  const value = prop ? prop[3] : null;
+  if (Array.isArray(value)) return value.filter(Boolean).join(" ") || null;
+  return value ? String(value) : null;
+}
+
+// Entities nest (registrar -> abuse contact); flatten them keeping their roles
+function flattenEntities(entities, out = []) {
+  for (const entity of Array.isArray(entities) ? entities : []) {
+    if (!entity || typeof entity !== "object") continue;
+    out.push(entity);
+    flattenEntities(entity.entities, out);
+  }
+  return out;
+}
+
+function listOf(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Extracts registrar, status codes, nameservers and registrant privacy from
+ * the registry record and (if the referral succeeded) the registrar record
+ */
+function parseRdapDetails(data, registrarData) {
+  const entities = [...flattenEntities(data.entities), ...flattenEntities(registrarData?.entities)];
+  const withRole = (role) => entities.filter((e) => listOf(e.roles).includes(role));
+
+  const registrarEntity = withRole("registrar")[0] || null;
+  const ianaId = listOf(registrarEntity?.publicIds)
+    .find((id) => /iana/i.test(id?.type || ""))?.identifier;
+  const registrar = registrarEntity
+    ? {
+        name: vcardValue(registrarEntity, "fn") || registrarEntity.handle || null,
+        ianaId: ianaId ? String(ianaId) : null
       }
-    } catch (_) {
-      // try next endpoint
+    : null;
+
+  const statuses = [...new Set(
+    [...listOf(data.status), ...listOf(registrarData?.status)].map((s) => String(s).toLowerCase())
+  )];
+
+  const nameserverSource = listOf(data.nameservers).length ? data.nameservers : listOf(registrarData?.nameservers);
+  const nameservers = [...new Set(
+    nameserverSource
+      .map((ns) => String(ns?.ldhName || "").toLowerCase().replace(/\.$/, ""))
+      .filter(Boolean)
+  )];
+
+  // RFC 9537 "redacted" members plus the older free-text redaction remarks
+  const registrants = withRole("registrant");
+  const registrantText = registrants
+    .map((e) => [vcardValue(e, "fn"), vcardValue(e, "org")].filter(Boolean).join(" "))
+    .join(" ");
+  const redactedFields = [...listOf(data.redacted), ...listOf(registrarData?.redacted)]
+    .map((r) => r?.name?.description || r?.name?.type || "")
+    .filter(Boolean);
+  const redactionRemark = [...listOf(data.remarks), ...listOf(registrarData?.remarks)]
+    .some((r) => REDACTION_PATTERN.test(r?.title || "") || listOf(r?.description).some((d) => REDACTION_PATTERN.test(d)));
+
+  const redacted = REDACTION_PATTERN.test(registrantText) || redactedFields.length > 0 || redactionRemark;
+  // "REDACTED FOR PRIVACY" is the registry's own redaction, not a proxy service
+  const proxy = !REDACTION_PATTERN.test(registrantText) &&
+    PRIVACY_PROXY_PATTERNS.some((pattern) => pattern.test(registrantText))
+    ? vcardValue(registrants[0], "org") || vcardValue(registrants[0], "fn")
+    : null;
+
+  return {
+    registrar,
+    statuses,
+    nameservers,
+    privacy: { proxy, redacted, redactedFields }
+  };
+}
+
+function findAbuseProneRegistrar(registrar) {
+  if (!registrar) return null;
+  if (registrar.ianaId && ABUSE_PRONE_REGISTRARS.has(registrar.ianaId)) {
+    return ABUSE_PRONE_REGISTRARS.get(registrar.ianaId);
+  }
+  const name = (registrar.name || "").toLowerCase();
+  return ABUSE_PRONE_REGISTRAR_NAMES.some((fragment) => name.includes(fragment)) ? registrar.name : null;
+}
+
+/**
+ * Scores the record details; each signal carries its own explanation
+ *
+ * @returns {Array<Object>} - [{ id, label, score }] with score in points (0-100 scale)
+ */
+function scoreRdapDetails({ registrar, statuses, nameservers, privacy }) {
+  const signals = [];
+
+  for (const status of statuses) {
+    const risky = RISKY_STATUSES[status.replace(/\s+/g, "")];
+    if (risky) signals.push({ id: "domain_status", label: risky.label, score: risky.score });
+  }
+
+  const abuseProne = findAbuseProneRegistrar(registrar);
+  if (abuseProne) {
+    const iana = registrar.ianaId ? ` (IANA ID ${registrar.ianaId})` : "";
+    signals.push({
+      id: "abuse_prone_registrar",
+      label: `Registered through ${abuseProne}${iana}, a registrar frequently used for phishing domains`,
+      score: SIGNAL_SCORES.abuseProneRegistrar
+    });
+  }
+
+  for (const provider of FREE_DNS_PROVIDERS) {
+    const ns = nameservers.find((n) => n === provider.suffix || n.endsWith(`.${provider.suffix}`));
+    if (ns) {
+      signals.push({
+        id: "free_dns",
+        label: `DNS hosted on free provider ${provider.name} (${ns})`,
+        score: SIGNAL_SCORES.freeDns
+      });
+      break;
     }
   }
-  return null;
+
+  if (privacy.proxy) {
+    signals.push({
+      id: "privacy_proxy",
+      label: `Registrant hidden behind a privacy/proxy service (${privacy.proxy})`,
+      score: SIGNAL_SCORES.privacyProxy
+    });
+  } else if (privacy.redacted) {
+    signals.push({
+      id: "registrant_redacted",
+      label: "Registrant details redacted (common since GDPR, weak on its own)",
+      score: SIGNAL_SCORES.registrantRedacted
+    });
+  }
+
+  return signals;
 }
 
-function calculateDomainRisk(data) {
+function calculateDomainRisk(data, { ageBuckets = DEFAULT_AGE_BUCKETS } = {}, registrarData = null) {
   const now = new Date();
 
   const events = Array.isArray(data.events) ? data.events : [];
@@ -48,12 +217,7 @@ function calculateDomainRisk(data) {
   let scoreUpdate = 0;
 
   if (daysAge !== null) {
-    if (daysAge <= 30) scoreAge = 50;
-    else if (daysAge <= 180) scoreAge = 35;
-    else if (daysAge <= 365) scoreAge = 25;
-    else if (daysAge <= 1095) scoreAge = 10;
-    else if (daysAge <= 3650) scoreAge = 5;
-    else scoreAge = 2;
+    scoreAge = scoreForAge(daysAge, ageBuckets);
   }
 
   if (daysLifespan !== null) {
@@ -68,7 +232,11 @@ function calculateDomainRisk(data) {
     else if (daysSinceUpdate <= 30 && daysAge > 365) scoreUpdate = 10;
   }
 
-  const rawScore = scoreAge + scoreLifespan + scoreUpdate;
+  const details = parseRdapDetails(data, registrarData);
+  const signals = scoreRdapDetails(details);
+  const scoreSignals = signals.reduce((sum, s) => sum + s.score, 0);
+
+  const rawScore = Math.min(100, scoreAge + scoreLifespan + scoreUpdate + scoreSignals);
   const normalized = Math.min(1, rawScore / 100);
 
   return {
@@ -79,19 +247,33 @@ function calculateDomainRisk(data) {
     scoreAge,
     scoreLifespan,
     scoreUpdate,
+    ...details,
+    signals,
+    scoreSignals,
     rawScore,
     normalized
   };
 }
 
-export async function analyzeDomain(domain) {
-  const rdapData = await fetchRDAP(domain);
-  if (!rdapData) {
-    return { error: true, reason: "RDAP lookup failed" };
+export async function analyzeDomain(domain, options = {}) {
+  // RDAP servers answer for registrable domains only (foo.co.uk, not login.foo.co.uk)
+  const registrable = getRegistrableDomain(domain);
+  if (!registrable) {
+    return { error: true, reason: "Not a registrable domain" };
   }
+  const lookup = await lookupDomain(registrable, options.rdap);
+  if (lookup.error) {
+    return { error: true, reason: lookup.reason, notFound: lookup.notFound, rdapTried: lookup.tried };
+  }
+  const server = {
+    rdapServer: lookup.server,
+    rdapSource: lookup.source,
+    registrarServer: lookup.registrarServer
+  };
   try {
-    return calculateDomainRisk(rdapData);
+    const data = mergeRegistrarEvents(lookup.data, lookup.registrarData);
+    return { ...calculateDomainRisk(data, options, lookup.registrarData), ...server };
   } catch (e) {
-    return { error: true, reason: "RDAP parse error" };
+    return { error: true, reason: "RDAP parse error", ...server };
   }
 }
@@ -0,0 +1,510 @@
+// options.js — whitelist, API keys and detection thresholds
+
+import { getSettings, saveSettings, DEFAULT_SETTINGS } from "./utils/settings.js";
+import { listOverrides, removeOverride } from "./utils/feedbackStore.js";
+import { FEED_FORMATS, FEED_TYPES } from "./utils/threatFeeds.js";
+import { listVisualSearchProviders, getVisualSearchProvider, ENABLE_MOCK_PROVIDER } from "./utils/visualSearch.js";
+import { MOCK_SCENARIOS } from "./providers/mockSearch.js";
+import { CREDENTIALS, getCredentialStatus, setCredential, removeCredential } from "./utils/credentialVault.js";
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+// One domain per line; accepts pasted URLs and strips www.
+function parseDomainList(text) {
+  const domains = [];
+  const invalid = [];
+  for (const raw of text.split(/[\s,]+/)) {
+    const line = raw.trim().toLowerCase();
+    if (!line) continue;
+    let host = line;
+    try {
+      host = new URL(line.includes("://") ? line : `https://${line}`).hostname;
+    } catch (e) {
+      // fall through to the pattern check
+    }
+    host = host.replace(/^www\./, "");
+    if (DOMAIN_PATTERN.test(host)) {
+      if (!domains.includes(host)) domains.push(host);
+    } else {
+      invalid.push(line);
+    }
+  }
+  return { domains, invalid };
+}
+
+// 0 is meaningful for retention ("no limit"), so only blanks/garbage fall back
+// One http(s) base URL per line; returns { urls, invalid }
+function parseUrlList(text) {
+  const urls = [];
+  const invalid = [];
+  for (const raw of text.split(/\s+/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    try {
+      const url = new URL(line);
+      if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error("Not HTTP");
+      if (!urls.includes(url.href)) urls.push(url.href);
+    } catch (e) {
+      invalid.push(line);
+    }
+  }
+  return { urls, invalid };
+}
+
+function nonNegativeInt(text, fallback) {
+  const value = Number(text);
+  return text.trim() !== "" && Number.isFinite(value) && value >= 0 ? Math.floor(value) : fallback;
+}
+
+function setStatus(id, text, ok) {
+  const el = $(id);
+  el.textContent = text;
+  el.className = "status " + (ok ? "ok" : "bad");
+}
+
+function renderAgeBuckets(buckets) {
+  const table = $("age-buckets");
+  while (table.rows.length > 1) table.deleteRow(1);
+  for (const bucket of buckets) {
+    const row = table.insertRow();
+    const max = document.createElement("input");
+    max.type = "number";
+    max.min = "0";
+    max.value = bucket.maxDays === null ? "" : bucket.maxDays;
+    max.className = "bucket-max";
+    const score = document.createElement("input");
+    score.type = "number";
+    score.min = "0";
+    score.max = "100";
+    score.value = bucket.score;
+    score.className = "bucket-score";
+    row.insertCell().appendChild(max);
+    row.insertCell().appendChild(score);
+  }
+}
+
+function readAgeBuckets() {
+  const buckets = [];
+  for (const row of [...$("age-buckets").rows].slice(1)) {
+    const maxText = row.querySelector(".bucket-max").value.trim();
+    const score = Number(row.querySelector(".bucket-score").value);
+    if (!Number.isFinite(score)) continue;
+    buckets.push({ maxDays: maxText === "" ? null : Number(maxText), score });
+  }
+  // Keep buckets ordered, with the open-ended bucket last
+  return buckets.sort((a, b) => (a.maxDays ?? Infinity) - (b.maxDays ?? Infinity));
+}
+
+// "3 h ago" / "2 days ago" for feed import times
+function formatAge(timestamp) {
+  const hours = Math.floor((Date.now() - timestamp) / (60 * 60 * 1000));
+  if (hours < 1) return "less than an hour ago";
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} days ago`;
+}
+
+// Stable feed id from its name ("My List" -> "my-list")
+function feedId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "feed";
+}
+
+function addFeedRow(feed) {
+  const row = $("feeds").insertRow();
+  row.dataset.id = feed.id || "";
+
+  const enabled = document.createElement("input");
+  enabled.type = "checkbox";
+  enabled.checked = feed.enabled !== false;
+  enabled.className = "feed-enabled";
+  const name = document.createElement("input");
+  name.type = "text";
+  name.value = feed.name || "";
+  name.className = "feed-name";
+  name.style.width = "110px";
+  const url = document.createElement("input");
+  url.type = "text";
+  url.value = feed.url || "";
+  url.className = "feed-url";
+  url.style.width = "300px";
+  const format = document.createElement("select");
+  format.className = "feed-format";
+  for (const value of FEED_FORMATS) format.add(new Option(value, value));
+  format.value = feed.format || "auto";
+  const type = document.createElement("select");
+  type.className = "feed-type";
+  for (const value of FEED_TYPES) type.add(new Option(value, value));
+  type.value = feed.type || "phishing";
+  const remove = document.createElement("button");
+  remove.textContent = "Remove";
+  remove.addEventListener("click", () => row.remove());
+
+  row.insertCell().appendChild(enabled);
+  row.insertCell().appendChild(name);
+  row.insertCell().appendChild(url);
+  row.insertCell().appendChild(format);
+  row.insertCell().appendChild(type);
+  row.insertCell().appendChild(remove);
+}
+
+function renderFeedConfigs(feeds) {
+  const table = $("feeds");
+  while (table.rows.length > 1) table.deleteRow(1);
+  feeds.forEach(addFeedRow);
+}
+
+function readFeedConfigs() {
+  const feeds = [];
+  const invalid = [];
+  for (const row of [...$("feeds").rows].slice(1)) {
+    const url = row.querySelector(".feed-url").value.trim();
+    if (!url) continue;
+    const parsed = parseUrlList(url);
+    if (!parsed.urls.length) {
+      invalid.push(url);
+      continue;
+    }
+    const name = row.querySelector(".feed-name").value.trim() || new URL(parsed.urls[0]).hostname;
+    let id = row.dataset.id || feedId(name);
+    while (feeds.some(f => f.id === id)) id += "-2";
+    feeds.push({
+      id,
+      name,
+      url: parsed.urls[0],
+      format: row.querySelector(".feed-format").value,
+      type: row.querySelector(".feed-type").value,
+      enabled: row.querySelector(".feed-enabled").checked
+    });
+  }
+  return { feeds, invalid };
+}
+
+async function renderImportedFeeds() {
+  const table = $("imported-feeds");
+  while (table.rows.length) table.deleteRow(0);
+  const { feeds = [] } = await chrome.runtime.sendMessage({ type: "list_feeds" }) || {};
+  if (!feeds.length) {
+    table.insertRow().insertCell().textContent = "Nothing imported yet";
+    return;
+  }
+  for (const feed of feeds) {
+    const row = table.insertRow();
+    row.insertCell().textContent = feed.name;
+    row.insertCell().textContent = `${feed.count.toLocaleString()} ${feed.type || "phishing"} URLs`;
+    row.insertCell().textContent = feed.source === "file" ? "from file" : "downloaded";
+    row.insertCell().textContent = `updated ${formatAge(feed.importedAt)}`;
+    const remove = document.createElement("button");
+    remove.textContent = "Delete";
+    remove.addEventListener("click", async () => {
+      await chrome.runtime.sendMessage({ type: "remove_feed", id: feed.id });
+      renderImportedFeeds();
+    });
+    row.insertCell().appendChild(remove);
+  }
+}
+
+async function importFeedFile() {
+  const file = $("feed-file").files[0];
+  if (!file) {
+    setStatus("feed-status", "Choose a file first", false);
+    return;
+  }
+  setStatus("feed-status", "Importing…", true);
+  const name = file.name.replace(/\.[^.]+$/, "");
+  const resp = await chrome.runtime.sendMessage({
+    type: "import_feed",
+    feed: { id: `file-${feedId(name)}`, name, text: await file.text(), format: "auto", type: $("feed-file-type").value }
+  });
+  if (resp?.status === "ok") {
+    setStatus("feed-status", `Imported ${resp.result.count.toLocaleString()} URLs`, true);
+  } else {
+    setStatus("feed-status", resp?.error || "Import failed", false);
+  }
+  renderImportedFeeds();
+}
+
+async function updateFeeds() {
+  setStatus("feed-status", "Downloading…", true);
+  const resp = await chrome.runtime.sendMessage({ type: "refresh_feeds", force: true });
+  const failed = (resp?.result || []).filter(r => r.reason);
+  if (resp?.status !== "ok") {
+    setStatus("feed-status", resp?.error || "Download failed", false);
+  } else if (failed.length) {
+    setStatus("feed-status", failed.map(r => `${r.id}: ${r.reason}`).join("; "), false);
+  } else {
+    setStatus("feed-status", "Feeds updated", true);
+  }
+  renderImportedFeeds();
+}
+
+async function renderLogoLibrary() {
+  const { summary } = await chrome.runtime.sendMessage({ type: "get_logo_library" }) || {};
+  if (!summary) {
+    setStatus("logo-library", "Logo library unavailable", false);
+    return;
+  }
+  setStatus(
+    "logo-library",
+    `${summary.brands} brands: ${summary.bundled} built-in fingerprints, ${summary.bundledHashes} built-in favicon hashes, ${summary.official} downloaded favicons, ${summary.learned} learned logos and favicons`,
+    summary.total > 0
+  );
+}
+
+async function updateLogoLibrary(type) {
+  setStatus("logo-library", type === "seed_logo_library" ? "Downloading…" : "Clearing…", true);
+  const resp = await chrome.runtime.sendMessage({ type, force: true });
+  if (resp?.status !== "ok") {
+    setStatus("logo-library", resp?.error || "Update failed", false);
+    return;
+  }
+  renderLogoLibrary();
+}
+
+// Saved keys are never shown again; the field only says where the key comes from
+async function renderCredentials() {
+  const status = await getCredentialStatus();
+  for (const input of document.querySelectorAll("[data-credential]")) {
+    const name = input.dataset.credential;
+    const entry = status[name];
+    const remove = document.querySelector(`[data-remove="${name}"]`);
+    input.value = "";
+    input.disabled = entry.source === "policy";
+    remove.hidden = entry.source !== "user";
+    if (entry.source === "policy") {
+      input.placeholder = "Set by your administrator";
+      setStatus(`${name}-status`, "", true);
+    } else if (entry.source === "user") {
+      input.placeholder = "Saved – type to replace";
+      setStatus(`${name}-status`, entry.validatedAt
+        ? `Validated ${new Date(entry.validatedAt).toLocaleDateString()}`
+        : "Saved (not validated)", true);
+    } else {
+      input.placeholder = "Not configured";
+      setStatus(`${name}-status`, "", true);
+    }
+  }
+  renderDavssState(status);
+}
+
+// Whether DAVSS can run with the selected provider and the configured keys
+async function renderDavssState(status) {
+  status = status || await getCredentialStatus();
+  const provider = listVisualSearchProviders().find(p => p.id === $("visual-provider").value);
+  const missing = (provider?.requiredKeys || []).filter(name => !status[name].configured);
+  if ($("davss-privacy").checked && provider?.publicUpload) {
+    setStatus("davss-state", `DAVSS disabled: privacy mode needs a direct-upload provider (${provider.name} publishes the image)`, false);
+  } else if (missing.length) {
+    setStatus("davss-state", `DAVSS disabled: no key configured (${missing.map(name => CREDENTIALS[name].label).join(", ")})`, false);
+  } else {
+    setStatus("davss-state", `DAVSS ready (${provider?.name})`, true);
+  }
+}
+
+// Validates and stores every key typed into the form; returns the rejected
+// ones as [{ name, value, message }]
+async function saveCredentials() {
+  const failed = [];
+  for (const input of document.querySelectorAll("[data-credential]")) {
+    const name = input.dataset.credential;
+    const value = input.value.trim();
+    if (!value || input.disabled) continue;
+
+    let validatedAt = null;
+    if (input.dataset.validate) {
+      setStatus(`${name}-status`, "Checking…", true);
+      const resp = await chrome.runtime.sendMessage({ type: "validate_api_key", provider: input.dataset.validate, key: value });
+      if (!resp?.valid) {
+        failed.push({ name, value, message: resp?.message || "No response" });
+        continue;
+      }
+      validatedAt = Date.now();
+    }
+    await setCredential(name, value, { validatedAt });
+  }
+  return failed;
+}
+
+async function renderReports() {
+  const table = $("reports");
+  while (table.rows.length) table.deleteRow(0);
+  const reports = await listOverrides();
+  $("export-reports").disabled = reports.length === 0;
+  if (!reports.length) {
+    table.insertRow().insertCell().textContent = "No reports yet";
+    return;
+  }
+  for (const report of reports) {
+    const row = table.insertRow();
+    row.insertCell().textContent = report.domain;
+    row.insertCell().textContent = report.label === "safe" ? "Safe" : "Phishing";
+    row.insertCell().textContent = new Date(report.reportedAt).toLocaleString();
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", async () => {
+      await removeOverride(report.domain);
+      renderReports();
+    });
+    row.insertCell().appendChild(remove);
+  }
+}
+
+async function exportReports() {
+  const reports = await listOverrides();
+  const url = URL.createObjectURL(new Blob([JSON.stringify(reports, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "spare-reports.json";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function load() {
+  const settings = await getSettings();
+  $("trusted").value = settings.userTrustedDomains.join("\n");
+  $("blocked").value = settings.userBlockedDomains.join("\n");
+  $("protected").value = settings.protectedDomains.join("\n");
+  $("auto-scan").checked = settings.autoScan;
+  $("auto-davss").checked = settings.autoDavss;
+  $("davss-confidence").value = settings.davssMinConfidence;
+  $("rdap-ttl").value = settings.rdapCacheTtlDays;
+  $("davss-ttl").value = settings.davssCacheTtlHours;
+  $("rdap-servers").value = settings.rdapServers.join("\n");
+  $("rdap-bootstrap").value = settings.rdapBootstrapUrl;
+  $("rdap-timeout").value = settings.rdapTimeoutMs;
+  $("dns-enabled").checked = settings.dnsAnalysisEnabled;
+  $("logo-matching").checked = settings.localLogoMatching;
+  $("doh-resolver").value = settings.dohResolverUrl;
+  // A retired or development-only provider shows (and saves) as the default
+  $("visual-provider").value = getVisualSearchProvider(settings.visualSearchProvider).id;
+  $("davss-privacy").checked = settings.davssPrivacyMode;
+  $("selfhosted-url").value = settings.selfHostedSearchUrl;
+  $("mock-scenario").value = settings.mockSearchScenario;
+  renderFeedConfigs(settings.threatFeeds);
+  $("feed-refresh").value = settings.threatFeedRefreshHours;
+  $("history-enabled").checked = settings.historyEnabled;
+  $("history-days").value = settings.historyRetentionDays;
+  $("history-max").value = settings.historyMaxEntries;
+  renderAgeBuckets(settings.rdapAgeBuckets);
+
+  await renderCredentials();
+}
+
+async function save() {
+  const trusted = parseDomainList($("trusted").value);
+  const blocked = parseDomainList($("blocked").value);
+  const protectedList = parseDomainList($("protected").value);
+  const invalid = [...trusted.invalid, ...blocked.invalid, ...protectedList.invalid];
+  if (invalid.length) {
+    setStatus("save-status", `Not a domain: ${invalid.join(", ")}`, false);
+    return;
+  }
+
+  const confidence = Number($("davss-confidence").value);
+  if (!(confidence >= 0 && confidence <= 1)) {
+    setStatus("save-status", "DAVSS confidence cutoff must be between 0 and 1", false);
+    return;
+  }
+
+  const ageBuckets = readAgeBuckets();
+  if (!ageBuckets.length) {
+    setStatus("save-status", "At least one RDAP age bucket is required", false);
+    return;
+  }
+
+  const rdapServers = parseUrlList($("rdap-servers").value);
+  const rdapBootstrap = parseUrlList($("rdap-bootstrap").value);
+  const dohResolver = parseUrlList($("doh-resolver").value);
+  const threatFeeds = readFeedConfigs();
+  const selfHosted = parseUrlList($("selfhosted-url").value);
+  const badUrls = [
+    ...rdapServers.invalid, ...rdapBootstrap.invalid, ...dohResolver.invalid,
+    ...threatFeeds.invalid, ...selfHosted.invalid
+  ];
+  if (badUrls.length) {
+    setStatus("save-status", `Not an http(s) URL: ${badUrls.join(", ")}`, false);
+    return;
+  }
+
+  const visualSearchProvider = $("visual-provider").value;
+  if (visualSearchProvider === "selfhosted" && !selfHosted.urls.length) {
+    setStatus("save-status", "The self-hosted provider needs a service URL", false);
+    return;
+  }
+
+  await saveSettings({
+    userTrustedDomains: trusted.domains,
+    userBlockedDomains: blocked.domains,
+    protectedDomains: protectedList.domains,
+    autoScan: $("auto-scan").checked,
+    autoDavss: $("auto-davss").checked,
+    davssMinConfidence: confidence,
+    rdapCacheTtlDays: Math.max(0, Number($("rdap-ttl").value) || DEFAULT_SETTINGS.rdapCacheTtlDays),
+    davssCacheTtlHours: Math.max(0, Number($("davss-ttl").value) || DEFAULT_SETTINGS.davssCacheTtlHours),
+    rdapAgeBuckets: ageBuckets,
+    rdapServers: rdapServers.urls,
+    rdapBootstrapUrl: rdapBootstrap.urls[0] || DEFAULT_SETTINGS.rdapBootstrapUrl,
+    rdapTimeoutMs: Math.max(1000, nonNegativeInt($("rdap-timeout").value, DEFAULT_SETTINGS.rdapTimeoutMs)),
+    dnsAnalysisEnabled: $("dns-enabled").checked,
+    localLogoMatching: $("logo-matching").checked,
+    dohResolverUrl: dohResolver.urls[0] || DEFAULT_SETTINGS.dohResolverUrl,
+    visualSearchProvider,
+    davssPrivacyMode: $("davss-privacy").checked,
+    selfHostedSearchUrl: selfHosted.urls[0] || "",
+    mockSearchScenario: $("mock-scenario").value,
+    threatFeeds: threatFeeds.feeds,
+    threatFeedRefreshHours: Math.max(1, nonNegativeInt($("feed-refresh").value, DEFAULT_SETTINGS.threatFeedRefreshHours)),
+    historyEnabled: $("history-enabled").checked,
+    historyRetentionDays: nonNegativeInt($("history-days").value, DEFAULT_SETTINGS.historyRetentionDays),
+    historyMaxEntries: nonNegativeInt($("history-max").value, DEFAULT_SETTINGS.historyMaxEntries)
+  });
+
+  const failedKeys = await saveCredentials();
+
+  await load();
+  if (failedKeys.length) {
+    // Keep rejected keys in the form so they can be corrected
+    for (const { name, value, message } of failedKeys) {
+      document.querySelector(`[data-credential="${name}"]`).value = value;
+      setStatus(`${name}-status`, message, false);
+    }
+    setStatus("save-status", `Saved, except rejected keys: ${failedKeys.map(f => CREDENTIALS[f.name].label).join(", ")}`, false);
+  } else {
+    setStatus("save-status", "Saved", true);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  for (const provider of listVisualSearchProviders()) {
+    $("visual-provider").add(new Option(provider.name, provider.id));
+  }
+  for (const scenario of MOCK_SCENARIOS) {
+    $("mock-scenario").add(new Option(scenario, scenario));
+  }
+  $("mock-scenario-row").hidden = !ENABLE_MOCK_PROVIDER;
+  load();
+  renderReports();
+  renderImportedFeeds();
+  renderLogoLibrary();
+
+  $("save").addEventListener("click", save);
+  $("add-feed").addEventListener("click", () => addFeedRow({ format: "auto" }));
+  $("import-feed").addEventListener("click", importFeedFile);
+  $("update-feeds").addEventListener("click", updateFeeds);
+  $("export-reports").addEventListener("click", exportReports);
+  $("seed-logos").addEventListener("click", () => updateLogoLibrary("seed_logo_library"));
+  $("clear-logos").addEventListener("click", () => updateLogoLibrary("clear_learned_logos"));
+
+  $("visual-provider").addEventListener("change", () => renderDavssState());
+  $("davss-privacy").addEventListener("change", () => renderDavssState());
+
+  for (const button of document.querySelectorAll("[data-remove]")) {
+    button.addEventListener("click", async (event) => {
+      event.preventDefault();
+      await removeCredential(button.dataset.remove);
+      renderCredentials();
+    });
+  }
+});
@@ -0,0 +1,141 @@
+// passwordWatch.js
+// S.P.A.R.E – Password reuse alert.
+// Hashes what is typed into password fields (PBKDF2 with a per-install salt)
+// and lets the background compare it with passwords used on protected
+// domains. The plaintext never leaves this function scope.
+
+(function passwordWatch() {
+  if (typeof chrome === "undefined" || !chrome.runtime || !chrome.runtime.sendMessage) return;
+  if (!crypto || !crypto.subtle) return; // WebCrypto needs a secure context
+
+  const PBKDF2_ITERATIONS = 100000;
+  const MIN_LENGTH = 6;
+  const INPUT_DEBOUNCE_MS = 500;
+
+  let saltPromise = null;
+  const lastChecked = new WeakMap(); // input -> last "hash:final" reported
+  const timers = new WeakMap();
+  let warningShown = false;
+
+  function getSalt() {
+    if (!saltPromise) {
+      saltPromise = new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ type: "get_password_salt" }, (resp) => {
+          if (chrome.runtime.lastError || !resp || !resp.salt) {
+            saltPromise = null;
+            reject(new Error("No salt"));
+            return;
+          }
+          resolve(Uint8Array.from(atob(resp.salt), (c) => c.charCodeAt(0)));
+        });
+      });
+    }
+    return saltPromise;
+  }
+
+  async function hashPassword(password) {
+    const salt = await getSalt();
+    const keyMaterial = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(password),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations: PBKDF2_ITERATIONS },
+      keyMaterial,
+      256
+    );
+    return [...new Uint8Array(bits)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  function showReuseWarning(protectedDomains) {
+    if (warningShown) return;
+    warningShown = true;
+
+    const host = document.createElement("div");
+    host.style.cssText = "all: initial; position: fixed; top: 0; left: 0; right: 0; z-index: 2147483647;";
+    const root = host.attachShadow({ mode: "closed" });
+    root.innerHTML = `
+      <style>
+        .bar { background: #b71c1c; color: #fff; font: 14px Arial, Helvetica, sans-serif;
+          padding: 12px 16px; display: flex; align-items: center; gap: 12px;
+          box-shadow: 0 2px 10px rgba(0,0,0,0.4); }
+        .msg { flex: 1; line-height: 1.4; }
+        button { font-size: 13px; padding: 6px 10px; border: 1px solid #fff;
+          background: transparent; color: #fff; border-radius: 4px; cursor: pointer; }
+      </style>
+      <div class="bar" role="alert">
+        <span class="msg"></span>
+        <button class="dismiss">Dismiss</button>
+      </div>`;
+    root.querySelector(".msg").textContent =
+      `S.P.A.R.E: You just typed your ${protectedDomains.join(" / ")} password on ` +
+      `${location.hostname}, which is not ${protectedDomains.length > 1 ? "one of those sites" : "that site"}. ` +
+      `Do not submit it. If you already did, change that password now.`;
+    root.querySelector(".dismiss").addEventListener("click", (event) => {
+      if (!event.isTrusted) return;
+      host.remove();
+    });
+    (document.body || document.documentElement).appendChild(host);
+  }
+
+  // final: the value is settled (change/submit), not a pause mid-typing
+  async function check(input, final) {
+    const value = input.value;
+    if (!value || value.length < MIN_LENGTH) return;
+
+    let hash;
+    try {
+      hash = await hashPassword(value);
+    } catch (e) {
+      return;
+    }
+    const checkKey = `${hash}:${final}`;
+    if (lastChecked.get(input) === checkKey) return;
+    lastChecked.set(input, checkKey);
+
+    chrome.runtime.sendMessage({ type: "password_entered", hash, final }, (resp) => {
+      if (chrome.runtime.lastError) return;
+      if (resp && resp.status === "reuse") {
+        showReuseWarning(resp.protectedDomains || []);
+      }
+    });
+  }
+
+  function isPasswordInput(el) {
+    return el instanceof HTMLInputElement && el.type === "password";
+  }
+
+  // Debounced while typing so the alert fires before the user submits
+  document.addEventListener(
+    "input",
+    (event) => {
+      const input = event.target;
+      if (!isPasswordInput(input)) return;
+      clearTimeout(timers.get(input));
+      timers.set(input, setTimeout(() => check(input, false), INPUT_DEBOUNCE_MS));
+    },
+    true
+  );
+
+  // Immediately on leaving the field (covers autofill + paste without typing)
+  document.addEventListener(
+    "change",
+    (event) => {
+      if (isPasswordInput(event.target)) check(event.target, true);
+    },
+    true
+  );
+
+  document.addEventListener(
+    "submit",
+    (event) => {
+      const form = event.target;
+      if (!(form instanceof HTMLFormElement)) return;
+      form.querySelectorAll('input[type="password"]').forEach((input) => check(input, true));
+    },
+    true
+  );
+})();
@@ -1,77 +1,543 @@
-// popup.js — display on-page + off-page results
+// popup.js — verdict summary + per-analysis sections
 
 document.addEventListener("DOMContentLoaded", () => {
   const output = document.getElementById("output");
   output.textContent = "Loading...";
 
-  function show(onpage, offpage, davss) {
+  document.getElementById("options").addEventListener("click", () => chrome.runtime.openOptionsPage());
+  document.getElementById("history").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
+  });
+
+  // Visual search providers (utils/visualSearch.js), as shown in the DAVSS section
+  const PROVIDER_NAMES = {
+    serpapi: "Google Lens (SerpApi)",
+    vision: "Google Cloud Vision",
+    selfhosted: "Self-hosted service",
+    mock: "Local mock"
+  };
+
+  // What to change in Settings when DAVSS is off (davss.disabledReason)
+  const DISABLED_HINTS = {
+    missing_keys: "Add the key in Settings, or choose another visual search provider.",
+    privacy_mode: "Choose Google Cloud Vision or the self-hosted service in Settings, or turn privacy mode off."
+  };
+
+  // ----- RENDER HELPERS -----
+
+  function clear(el) {
+    while (el.firstChild) el.removeChild(el.firstChild);
+  }
+
+  function message(el, text, className = "muted") {
+    clear(el);
+    const span = document.createElement("span");
+    span.className = className;
+    span.textContent = text;
+    el.appendChild(span);
+  }
+
+  // rows: [label, value, flag?] — flag true marks a risk indicator, false a good sign
+  function rows(el, entries) {
+    clear(el);
+    for (const [label, value, flag] of entries) {
+      const row = document.createElement("div");
+      row.className = "row";
+      const l = document.createElement("span");
+      l.textContent = label;
+      const v = document.createElement("span");
+      v.className = "value" + (flag === true ? " flag" : flag === false ? " ok" : "");
+      v.textContent = value;
+      row.append(l, v);
+      el.appendChild(row);
+    }
+  }
+
+  function yesNo(value) {
+    return value ? "Yes" : "No";
+  }
+
+  function days(value) {
+    return value === null || value === undefined ? "Unknown" : `${value} days`;
+  }
+
+  function cacheNote(result) {
+    if (!result?.cache?.hit) return null;
+    const minutes = Math.round((Date.now() - result.cache.storedAt) / 60000);
+    return ["Cached result", `${minutes} min old`];
+  }
+
+  // "3 h ago" / "2 days ago"
+  function ageOf(timestamp) {
+    const hours = Math.floor((Date.now() - timestamp) / 3600000);
+    if (hours < 1) return "under 1 h ago";
+    return hours < 48 ? `${hours} h ago` : `${Math.floor(hours / 24)} days ago`;
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  // ----- SECTIONS -----
+
+  // Which threat feed matched, or which feeds were checked and how fresh they are
+  function feedNote(feedCheck) {
+    if (!feedCheck) return "";
+    if (feedCheck.matched) {
+      const { feedName, feedType = "phishing", importedAt } = feedCheck.match;
+      return `Listed in the ${feedName} ${feedType} feed (updated ${ageOf(importedAt)})`;
+    }
+    if (feedCheck.error) return "Threat feed lookup failed";
+    if (!feedCheck.feeds.length) return "No threat feeds downloaded yet";
+    return "Not in threat feeds: " +
+      feedCheck.feeds.map(f => `${f.name} (updated ${ageOf(f.importedAt)})`).join(", ");
+  }
+
+  function renderVerdict(verdict) {
+    const box = document.getElementById("verdict");
+    const label = document.getElementById("verdict-label");
+    const meta = document.getElementById("verdict-meta");
+    const list = document.getElementById("verdict-signals");
+    const feeds = document.getElementById("verdict-feeds");
+    clear(list);
+    box.className = "";
+
+    if (!verdict) {
+      label.textContent = "Analyzing…";
+      meta.textContent = "";
+      feeds.textContent = "";
+      return;
+    }
+
+    box.className = (verdict.verdict || "").toLowerCase();
+    label.textContent = verdict.verdict;
+    meta.textContent = verdict.whitelisted
+      ? "Trusted domain"
+      : `Risk ${(verdict.score * 100).toFixed(0)}% · confidence ${(verdict.confidence * 100).toFixed(0)}%` +
+        (verdict.degraded ? " · some analyses unavailable" : "");
+    feeds.textContent = feedNote(verdict.feedCheck);
+
+    for (const s of (verdict.signals || []).slice(0, 4)) {
+      const li = document.createElement("li");
+      li.textContent = s.label;
+      list.appendChild(li);
+    }
+  }
+
+  function renderOnPage(features, ml) {
+    const el = document.getElementById("onpage");
+    if (!features) {
+      message(el, "No data yet (page still loading or not scannable)");
+      return;
+    }
+    const entries = [
+      ["Password field", yesNo(features.HasPasswordField), !!features.HasPasswordField],
+      ["Form submits to another host", yesNo(features.HasExternalFormSubmit), !!features.HasExternalFormSubmit],
+      ["HTTPS", yesNo(features.IsHTTPS), !features.IsHTTPS],
+      ["Raw IP address", yesNo(features.IsDomainIP), !!features.IsDomainIP],
+      ["Hidden form fields", yesNo(features.HasHiddenFields)],
+      ["External links", String(features.NoOfExternalRef)]
+    ];
+    if (features.NoOfDeceptiveBrands) {
+      const where = [...new Set((features.DeceptionMatches || []).map(m => m.location))].join(", ");
+      entries.push(["Brand outside the domain", `${features.DeceptiveBrand} (${where})`, true]);
+    }
+    if (ml && !ml.error && !ml.trained) {
+      entries.push([`ML model v${ml.modelVersion}`, "Not trained yet (not used in the verdict)"]);
+    } else if (ml && !ml.error) {
+      entries.push([
+        `ML model v${ml.modelVersion}`,
+        `${(ml.probability * 100).toFixed(0)}% phishing`,
+        ml.isPhishing
+      ]);
+    } else if (ml?.error) {
+      entries.push(["ML model", "Unavailable"]);
+    }
+    rows(el, entries);
+  }
+
+  function renderLexical(lexical) {
+    const el = document.getElementById("lexical");
+    if (!lexical) {
+      message(el, "No data yet");
+      return;
+    }
+    const { homoglyph, typosquat } = lexical;
+    const entries = [];
+
+    if (homoglyph.unicodeHostname !== homoglyph.hostname) {
+      entries.push(["Displayed as", homoglyph.unicodeHostname, homoglyph.isSpoof]);
+    }
+    if (homoglyph.isSpoof) {
+      entries.push(["Lookalike characters of", homoglyph.impersonatedDomain || homoglyph.impersonatedBrand, true]);
+    } else if (homoglyph.mixedScriptLabels.length) {
+      entries.push(["Mixed scripts", homoglyph.mixedScriptLabels.map(l => l.scripts.join(" + ")).join("; "), true]);
+    }
+
+    if (typosquat.isTyposquat) {
+      entries.push(["Resembles", typosquat.brandDomain || typosquat.brand, true]);
+      entries.push(["How", typosquat.transformations.map(t => t.replace(/_/g, " ")).join(", ")]);
+    }
+
+    if (!entries.length) {
+      message(el, "Does not imitate a known brand", "ok");
+      return;
+    }
+    rows(el, entries);
+  }
+
+  function renderLogo(logoMatch) {
+    const el = document.getElementById("logo");
+    if (!logoMatch) {
+      message(el, "Not compared yet");
+      return;
+    }
+    if (logoMatch.disabled) {
+      message(el, "Turned off in Settings");
+      return;
+    }
+    if (logoMatch.error) {
+      message(el, logoMatch.errorMessage || "Logo match failed", "error");
+      return;
+    }
+    const compared = [logoMatch.checked.logo && "logo", logoMatch.checked.favicon && "favicon"].filter(Boolean);
+    if (!compared.length) {
+      message(el, "No logo or favicon found to compare");
+      return;
+    }
+    if (logoMatch.whitelisted) {
+      message(el, logoMatch.learned
+        ? `Trusted domain: ${compared.join(" and ")} added to the logo library`
+        : "Trusted domain: not compared", "ok");
+      return;
+    }
+    const entries = [];
+    const copied = logoMatch.favicon?.match;
+    if (copied) {
+      entries.push(["Favicon copied from", copied.name, true]);
+      entries.push(["Official domains", copied.officialDomains.join(", ")]);
+    }
+    if (logoMatch.match) {
+      const { name, kind, officialDomains, distance, strength } = logoMatch.match;
+      entries.push([kind === "favicon" ? "Favicon of" : "Logo of", name, true]);
+      if (!copied || copied.brand !== logoMatch.match.brand) {
+        entries.push(["Official domains", officialDomains.join(", ")]);
+      }
+      entries.push(["Distance", `${distance} / 64 (${strength} match)`, strength === "strong"]);
+      entries.push(["Compared with", logoMatch.match.source === "official" ? "Official fingerprint" : "Fingerprint learned on a visit"]);
+    }
+    if (!entries.length) {
+      entries.push(["Compared", `${compared.join(" and ")}: no known brand`, false]);
+    }
+    if (logoMatch.favicon) {
+      entries.push(["Favicon hash (mmh3)", String(logoMatch.favicon.mmh3)]);
+    }
+    rows(el, entries);
+  }
+
+  function rdapEntries(offpage) {
+    if (offpage.error) {
+      return [["Registration data", offpage.reason || "RDAP lookup failed", true]];
+    }
+    const entries = [
+      ["Domain", offpage.domain || "Unknown"],
+      ["Age", days(offpage.daysAge), offpage.daysAge !== null && offpage.daysAge <= 180],
+      ["Registration lifespan", days(offpage.daysLifespan), offpage.daysLifespan !== null && offpage.daysLifespan <= 365],
+      ["Last changed", offpage.daysSinceUpdate === null ? "Unknown" : `${offpage.daysSinceUpdate} days ago`],
+      ["RDAP risk score", `${offpage.rawScore} / 100`, offpage.normalized >= 0.5]
+    ];
+    if (offpage.registrar) {
+      const iana = offpage.registrar.ianaId ? ` (IANA ${offpage.registrar.ianaId})` : "";
+      entries.push(["Registrar", `${offpage.registrar.name || "Unknown"}${iana}`]);
+    }
+    if (offpage.statuses?.length) {
+      entries.push(["Status", offpage.statuses.join(", ")]);
+    }
+    if (offpage.nameservers?.length) {
+      entries.push(["Nameservers", offpage.nameservers.join(", ")]);
+    }
+    // Per-signal explanations (registrar, holds, free DNS, privacy)
+    for (const s of offpage.signals || []) {
+      entries.push([`+${s.score}`, s.label, true]);
+    }
+    if (offpage.rdapServer) {
+      const registrar = offpage.registrarServer ? ` + registrar ${hostOf(offpage.registrarServer)}` : "";
+      entries.push(["Answered by", `${hostOf(offpage.rdapServer)}${registrar}`]);
+    }
+    const cached = cacheNote(offpage);
+    if (cached) entries.push(cached);
+    return entries;
+  }
+
+  function dnsEntries(dns) {
+    if (!dns) return [];
+    if (dns.error) return [["DNS", dns.reason || "DNS lookup failed"]];
+    const addresses = [...dns.records.A, ...dns.records.AAAA].map(r => r.data);
+    const entries = [
+      ["Addresses", addresses.length ? addresses.slice(0, 4).join(", ") + (addresses.length > 4 ? ` (+${addresses.length - 4})` : "") : "None", dns.nxdomain],
+      ["Mail (MX)", dns.records.MX.length ? `${dns.records.MX.length} server(s)` : "None"],
+      ["SPF / DMARC", `${dns.spf ? "Yes" : "No"} / ${dns.dmarc ? "Yes" : "No"}`]
+    ];
+    if (dns.records.CNAME.length) {
+      entries.push(["CNAME", dns.records.CNAME.map(r => r.data.replace(/\.$/, "")).join(", ")]);
+    }
+    for (const s of dns.signals) {
+      entries.push([`+${s.score}`, s.label, true]);
+    }
+    if (dns.resolver) entries.push(["Resolved via", dns.resolver]);
+    return entries;
+  }
+
+  function renderOffPage(offpage) {
+    const el = document.getElementById("offpage");
+    if (!offpage) {
+      message(el, "Looking up registration data…");
+      return;
+    }
+    if (offpage.whitelisted) {
+      message(el, `${offpage.domain} is in the trusted whitelist`, "ok");
+      return;
+    }
+    if (offpage.error && !offpage.dns) {
+      message(el, offpage.reason || "RDAP lookup failed", "error");
+      return;
+    }
+    rows(el, [...rdapEntries(offpage), ...dnsEntries(offpage.dns)]);
+  }
+
+  // Discloses exactly which image DAVSS sent to the search provider
+  function appendSentImage(el, sentImage) {
+    if (!sentImage) return;
+    const details = [
+      sentImage.kind === "logo" ? "Logo crop" : "Full screenshot",
+      sentImage.masked ? "text masked" : null,
+      sentImage.publicUrl ? "hosted publicly for 10 min" : "uploaded directly"
+    ].filter(Boolean).join(" · ");
+    const row = document.createElement("div");
+    row.className = "row";
+    const l = document.createElement("span");
+    l.textContent = "Image sent";
+    const v = document.createElement("span");
+    v.className = "value";
+    v.textContent = details;
+    row.append(l, v);
+    el.appendChild(row);
+
+    if (sentImage.thumbnail) {
+      const img = document.createElement("img");
+      img.className = "sent-image";
+      img.src = sentImage.thumbnail;
+      img.alt = `${details} (${sentImage.width}×${sentImage.height})`;
+      img.title = img.alt;
+      el.appendChild(img);
+    }
+  }
+
+  function renderDavss(davss, pending) {
+    const el = document.getElementById("davss");
+    if (!davss) {
+      message(el, pending ? "Searching for visually similar sites…" : "Waiting for domain analysis…");
+      return;
+    }
+    if (davss.whitelisted) {
+      message(el, "Skipped for trusted domain", "ok");
+      return;
+    }
+    if (davss.disabled) {
+      message(el, `${davss.errorMessage}. ${DISABLED_HINTS[davss.disabledReason] || "Check the visual search settings."}`);
+      return;
+    }
+    if (davss.error) {
+      message(el, davss.errorMessage || "Visual analysis failed", "error");
+      appendSentImage(el, davss.sentImage);
+      return;
+    }
+    const impersonating = davss.scenario === "C" || davss.scenario === "D";
+    const entries = [
+      ["Scenario", davss.scenario || "–", impersonating],
+      ["Result", davss.status || "–", impersonating]
+    ];
+    if (impersonating) {
+      entries.push(["Impersonated brand", (davss.impersonatedBrand || "Unknown").toUpperCase(), true]);
+      entries.push(["Real domain", davss.trueDomain || "Unknown"]);
+    }
+    entries.push(["Confidence", `${((davss.confidenceScore || 0) * 100).toFixed(0)}%`]);
+    if (davss.provider) entries.push(["Search provider", PROVIDER_NAMES[davss.provider] || davss.provider]);
+    const cached = cacheNote(davss);
+    if (cached) entries.push(cached);
+    rows(el, entries);
+    appendSentImage(el, davss.sentImage);
+  }
+
+  // Buttons carry data-action; the click handler is attached once the tab is known
+  function renderFeedback(verdict) {
+    const el = document.getElementById("feedback");
+    if (!verdict) {
+      message(el, "Available once the page is analyzed");
+      return;
+    }
+    clear(el);
+    const note = document.createElement("div");
+
+    if (verdict.override) {
+      const when = new Date(verdict.override.reportedAt).toLocaleDateString();
+      note.textContent = `You reported this site as ${verdict.override.label} on ${when}. ` +
+        "Your report takes precedence over S.P.A.R.E's analysis.";
+      el.append(note, feedbackButton("Undo my report", "remove"));
+      return;
+    }
+
+    note.className = "muted";
+    note.textContent = "Is this verdict wrong? Your report overrides it for this domain on this device.";
+    el.append(
+      note,
+      feedbackButton("Report as phishing", "phishing"),
+      feedbackButton("Report as safe", "safe")
+    );
+  }
+
+  function feedbackButton(text, action) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.dataset.action = action;
+    return button;
+  }
+
+  function renderRaw(state) {
     const payload = {
-      OnPage: onpage || "No data yet",
-      OffPage: offpage || { error: true, reason: "RDAP not run or failed" },
-      Visual: davss || { error: true, errorMessage: "DAVSS not run or failed" }
+      Verdict: state?.verdict || "Pending",
+      OnPage: state?.features || "No data yet",
+      ML: state?.ml || "Not run",
+      Lookalike: state?.lexical || "Not run",
+      LogoMatch: state?.logoMatch || "Not run",
+      OffPage: state?.offpage || { error: true, reason: "RDAP not run or failed" },
+      Visual: state?.davss || { error: true, errorMessage: "DAVSS not run or failed" }
     };
     output.textContent = JSON.stringify(payload, null, 2);
   }
 
-  // First: get stored on-page + off-page + davss (if any)
-  chrome.storage.local.get(["latestFeatures", "offpage_results", "davss_results"], (res) => {
-    const storedOn = res.latestFeatures || null;
-    const storedOff = res.offpage_results || null;
-    const storedDavss = res.davss_results || null;
-    show(storedOn, storedOff, storedDavss);
-  });
+  function show(state, davssPending = false) {
+    renderVerdict(state?.verdict || null);
+    renderOnPage(state?.features || null, state?.ml || null);
+    renderLexical(state?.lexical || null);
+    renderLogo(state?.logoMatch || null);
+    renderOffPage(state?.offpage || null);
+    renderDavss(state?.davss || null, davssPending);
+    renderFeedback(state?.verdict || null);
+    renderRaw(state);
+  }
 
-  // Then: ask background for freshest on-page value
-  chrome.runtime.sendMessage({ type: "get_latest_features" }, (resp1) => {
-    const onpage = resp1?.features || null;
+  function showUnsupported(text) {
+    renderVerdict(null);
+    document.getElementById("verdict-label").textContent = "Not analyzed";
+    document.getElementById("verdict-meta").textContent = text;
+    message(document.getElementById("onpage"), text);
+    message(document.getElementById("lexical"), text);
+    message(document.getElementById("logo"), text);
+    message(document.getElementById("offpage"), text);
+    message(document.getElementById("davss"), text);
+    message(document.getElementById("feedback"), text);
+    renderRaw(null);
+  }
 
-    // Now trigger off-page RDAP and DAVSS for the active tab
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (!tabs || !tabs[0] || !tabs[0].url) {
-        show(onpage, null, null);
-        return;
-      }
+  // ----- FLOW -----
 
-      const tab = tabs[0];
-      
-      // Check if URL is valid for analysis (skip chrome://, extension://, etc.)
-      let domain = null;
-      try {
-        const urlObj = new URL(tab.url);
-        if (urlObj.protocol === 'http:' || urlObj.protocol === 'https:') {
-          domain = urlObj.hostname.toLowerCase().replace(/^www\./, "");
-        }
-      } catch (e) {
-        // Invalid URL, skip analysis
-        show(onpage, null, { error: true, errorMessage: "Invalid URL for analysis" });
-        return;
+  // All results are per tab: resolve the active tab first
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs || !tabs[0] || !tabs[0].url) {
+      showUnsupported("No active tab");
+      return;
+    }
+
+    const tab = tabs[0];
+
+    // Check if URL is valid for analysis (skip chrome://, extension://, etc.)
+    let domain = null;
+    try {
+      const urlObj = new URL(tab.url);
+      if (urlObj.protocol === 'http:' || urlObj.protocol === 'https:') {
+        domain = urlObj.hostname.toLowerCase().replace(/^www\./, "");
       }
+    } catch (e) {
+      showUnsupported("Invalid URL for analysis");
+      return;
+    }
+
+    if (!domain) {
+      showUnsupported("URL protocol not supported for analysis");
+      return;
+    }
 
-      if (!domain) {
-        show(onpage, null, { error: true, errorMessage: "URL protocol not supported for analysis" });
+    function refreshState(callback) {
+      chrome.runtime.sendMessage({ type: "get_tab_state", tabId: tab.id }, (resp) => {
+        callback(resp?.state || null);
+      });
+    }
+
+    // Reuse results the automatic scan already produced; run only what is missing
+    // (the Rescan button forces both analyses to bypass the cache)
+    function runIfMissing(existing, msg, callback) {
+      if (existing && !msg.forceRefresh) {
+        callback();
         return;
       }
+      chrome.runtime.sendMessage(msg, () => callback());
+    }
+
+    function analyze(initial, forceRefresh) {
+      // The logo match is local and quick; it runs alongside RDAP
+      runIfMissing(
+        initial?.logoMatch,
+        { type: "run_logo_analysis", tabId: tab.id, url: tab.url },
+        () => refreshState((state) => {
+          renderLogo(state?.logoMatch || null);
+          renderVerdict(state?.verdict || null);
+        })
+      );
 
       // Run off-page analysis (pass URL for whitelist checking)
-      chrome.runtime.sendMessage(
-        { type: "run_offpage_analysis", domain, url: tab.url },
-        (resp2) => {
-          const offpage = resp2?.offpage || null;
-
-          // Run DAVSS analysis
-          chrome.runtime.sendMessage(
-            {
-              type: "run_davss_analysis",
-              tabId: tab.id,
-              url: tab.url
-            },
-            (resp3) => {
-              const davss = resp3?.davss || null;
-              show(onpage, offpage, davss);
-            }
+      runIfMissing(
+        initial?.offpage,
+        { type: "run_offpage_analysis", tabId: tab.id, domain, url: tab.url, forceRefresh },
+        () => refreshState((afterOffpage) => {
+          // RDAP section is final now; DAVSS takes longer (screenshot + search)
+          show(forceRefresh ? { ...afterOffpage, davss: null, verdict: null } : afterOffpage, true);
+
+          runIfMissing(
+            initial?.davss,
+            { type: "run_davss_analysis", tabId: tab.id, url: tab.url, forceRefresh },
+            () => refreshState((latest) => show(latest))
           );
-        }
+        })
       );
+    }
+
+    document.getElementById("feedback").addEventListener("click", (event) => {
+      const action = event.target.dataset?.action;
+      if (!action) return;
+      event.target.disabled = true;
+      const msg = action === "remove"
+        ? { type: "remove_override", tabId: tab.id }
+        : { type: "report_verdict", tabId: tab.id, label: action };
+      chrome.runtime.sendMessage(msg, () => refreshState((state) => show(state)));
+    });
+
+    document.getElementById("rescan").addEventListener("click", () => {
+      refreshState((state) => {
+        // Keep on-page data (it does not change on rescan); reset the rest to loading
+        show({ features: state?.features, ml: state?.ml, lexical: state?.lexical });
+        analyze(null, true);
+      });
+    });
+
+    // First: show whatever the background already has for this tab, then fill the gaps
+    refreshState((state) => {
+      show(state);
+      analyze(state, false);
     });
   });
 });
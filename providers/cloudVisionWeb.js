@@ -0,0 +1,74 @@
+/**
+ * Google Cloud Vision (web detection)
+ *
+ * The image is sent inline as base64 in the annotate request, so no public
+ * copy of the screenshot is ever created.
+ *
+ *   webDetection.pagesWithMatchingImages  -> matches (url, pageTitle)
+ *   logoAnnotations                       -> entity (recognised logo), else
+ *   webDetection.bestGuessLabels          -> entity
+ *
+ * https://cloud.google.com/vision/docs/detecting-web
+ */
+
+import { searchResult, readJson } from './matchUtils.js';
+
+const ENDPOINT = 'https://vision.googleapis.com/v1/images:annotate';
+
+const MAX_RESULTS = 20;
+
+// pageTitle comes with the matched words wrapped in <b> tags
+function stripTags(text) {
+  return String(text || '').replace(/<[^>]*>/g, '');
+}
+
+export const cloudVisionWeb = {
+  id: 'vision',
+  name: 'Google Cloud Vision',
+  requiredKeys: ['visionKey'],
+  publicUpload: false,
+
+  /**
+   * Nothing to host: the bytes go straight into the annotate request
+   *
+   * @param {string} dataUrl - Image as a base64 data URL
+   * @returns {Promise<Object>} - { content } (base64 without the data: prefix)
+   */
+  async upload(dataUrl) {
+    return { content: dataUrl.slice(dataUrl.indexOf(',') + 1) };
+  },
+
+  /**
+   * @param {Object} image - { content } from upload()
+   * @param {Object} context - { keys }
+   * @returns {Promise<Object>} - Normalized { matches, texts, entity }
+   */
+  async search(image, { keys }) {
+    const response = await fetch(`${ENDPOINT}?key=${encodeURIComponent(keys.visionKey)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        requests: [{
+          image: { content: image.content },
+          features: [
+            { type: 'WEB_DETECTION', maxResults: MAX_RESULTS },
+            { type: 'LOGO_DETECTION', maxResults: 1 }
+          ]
+        }]
+      })
+    });
+    const data = await readJson(response, 'Cloud Vision');
+    const [result = {}] = data.responses || [];
+    if (result.error) {
+      throw new Error(`Cloud Vision error: ${result.error.message || JSON.stringify(result.error)}`);
+    }
+
+    const web = result.webDetection || {};
+    const logo = (result.logoAnnotations || [])[0];
+    return searchResult({
+      matches: (web.pagesWithMatchingImages || [])
+        .map((page) => ({ url: page.url, title: stripTags(page.pageTitle) })),
+      entity: logo?.description || web.bestGuessLabels?.[0]?.label || null
+    });
+  }
+};
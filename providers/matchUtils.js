@@ -0,0 +1,72 @@
+/**
+ * Visual Search Result Helpers
+ *
+ * Shared by the provider adapters to turn their native responses into the
+ * normalized shape DAVSS consumes (see utils/visualSearch.js).
+ */
+
+/**
+ * Builds a normalized match entry
+ *
+ * @param {Object} raw - { url, title, score }
+ * @returns {Object|null} - { url, domain, title, score } or null without a usable http(s) URL
+ */
+export function normalizeMatch({ url, title = '', score = null }) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return {
+      url: parsed.href,
+      domain: parsed.hostname.toLowerCase().replace(/^www\./, ''),
+      title: String(title || ''),
+      score: typeof score === 'number' ? score : null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Assembles a normalized search result, dropping unusable matches
+ *
+ * @param {Object} result - { matches, texts, entity }
+ * @returns {Object} - { matches, texts, entity }
+ */
+export function searchResult({ matches = [], texts = [], entity = null }) {
+  return {
+    matches: matches.map(normalizeMatch).filter(Boolean),
+    texts: texts.map((text) => String(text || '').trim()).filter(Boolean),
+    entity: entity ? String(entity) : null
+  };
+}
+
+/**
+ * Converts a data URL (as produced by captureVisibleTab / cropImageToRect) to a Blob
+ *
+ * @param {string} dataUrl - data:image/...;base64,...
+ * @returns {Promise<Blob>}
+ */
+export async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+/**
+ * Reads a JSON response, turning HTTP and API errors into exceptions
+ *
+ * @param {Response} response - fetch() response
+ * @param {string} service - Name used in error messages
+ * @returns {Promise<Object>} - Parsed body
+ */
+export async function readJson(response, service) {
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`${service} request failed: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+  const data = await response.json();
+  if (data && data.error) {
+    throw new Error(`${service} error: ${JSON.stringify(data.error)}`);
+  }
+  return data;
+}
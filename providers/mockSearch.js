@@ -0,0 +1,62 @@
+/**
+ * Local Mock Provider
+ *
+ * Answers from canned results without any network traffic or API keys, for
+ * development only: it is offered only when ENABLE_MOCK_PROVIDER is set in
+ * utils/visualSearch.js. The answer is chosen by settings.mockSearchScenario:
+ *
+ *   impersonation  results point at paypal.com (drives scenario D off PayPal)
+ *   self           results point at the page's own domain (scenario A)
+ *   empty          no matches (DAVSS reports an error)
+ */
+
+import { searchResult } from './matchUtils.js';
+
+export const MOCK_SCENARIOS = ['impersonation', 'self', 'empty'];
+
+export const mockSearch = {
+  id: 'mock',
+  name: 'Local mock (no network)',
+  requiredKeys: [],
+  publicUpload: false,
+
+  /**
+   * @returns {Promise<Object>} - { mock: true }; the image is never read
+   */
+  async upload() {
+    return { mock: true };
+  },
+
+  /**
+   * @param {Object} image - Ignored
+   * @param {Object} context - { settings, currentUrl }
+   * @returns {Promise<Object>} - Normalized { matches, texts, entity }
+   */
+  async search(image, { settings, currentUrl }) {
+    const scenario = settings.mockSearchScenario || 'impersonation';
+
+    if (scenario === 'self') {
+      const origin = new URL(currentUrl).origin;
+      return searchResult({
+        matches: [
+          { url: `${origin}/`, title: 'Home' },
+          { url: `${origin}/login`, title: 'Sign in' }
+        ]
+      });
+    }
+
+    if (scenario === 'empty') {
+      return searchResult({});
+    }
+
+    return searchResult({
+      matches: [
+        { url: 'https://www.paypal.com/signin', title: 'Log in to your PayPal account' },
+        { url: 'https://www.paypal.com/', title: 'PayPal: Pay, Send and Save Money' },
+        { url: 'https://www.reddit.com/r/paypal/', title: 'r/paypal' }
+      ],
+      texts: ['PayPal'],
+      entity: 'PayPal'
+    });
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Self-Hosted Similarity Service
+ *
+ * For organisations running their own reverse-image index. The image is
+ * POSTed as raw bytes to the configured URL (optionally with a bearer token)
+ * and the service answers in the normalized shape directly:
+ *
+ *   POST <selfHostedSearchUrl>
+ *   Content-Type: image/png
+ *   Authorization: Bearer <selfHostedToken>      (when set)
+ *
+ *   200 { "matches": [{ "url": "https://www.paypal.com/", "title": "PayPal", "score": 0.93 }],
+ *         "texts": ["PayPal"],
+ *         "entity": "PayPal" }
+ */
+
+import { searchResult, readJson, dataUrlToBlob } from './matchUtils.js';
+
+export const selfHostedSearch = {
+  id: 'selfhosted',
+  name: 'Self-hosted similarity service',
+  requiredKeys: [],
+  publicUpload: false,
+
+  /**
+   * @param {string} dataUrl - Image as a data URL
+   * @returns {Promise<Object>} - { blob }
+   */
+  async upload(dataUrl) {
+    return { blob: await dataUrlToBlob(dataUrl) };
+  },
+
+  /**
+   * @param {Object} image - { blob } from upload()
+   * @param {Object} context - { keys, settings }
+   * @returns {Promise<Object>} - Normalized { matches, texts, entity }
+   */
+  async search(image, { keys, settings }) {
+    if (!settings.selfHostedSearchUrl) {
+      throw new Error('No self-hosted search URL configured');
+    }
+    const headers = { 'Content-Type': image.blob.type || 'image/png' };
+    if (keys.selfHostedToken) headers.Authorization = `Bearer ${keys.selfHostedToken}`;
+
+    const response = await fetch(settings.selfHostedSearchUrl, {
+      method: 'POST',
+      headers,
+      body: image.blob
+    });
+    const data = await readJson(response, 'Self-hosted search');
+
+    // Best match first, whatever order the service used
+    const matches = Array.isArray(data.matches) ? [...data.matches] : [];
+    if (matches.every((m) => typeof m.score === 'number')) {
+      matches.sort((a, b) => b.score - a.score);
+    }
+    return searchResult({
+      matches,
+      texts: Array.isArray(data.texts) ? data.texts : [],
+      entity: data.entity || null
+    });
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Google Lens via SerpApi
+ *
+ * SerpApi only accepts an image URL, so the screenshot is first uploaded to
+ * ImgBB (auto-deleted after 10 minutes) and the public URL is searched.
+ *
+ *   visual_matches   -> matches (link, title)
+ *   text_results     -> texts (OCR of the image)
+ *   knowledge_graph  -> entity
+ */
+
+import { searchResult, readJson } from './matchUtils.js';
+
+export const serpApiLens = {
+  id: 'serpapi',
+  name: 'Google Lens (SerpApi + ImgBB)',
+  requiredKeys: ['imgbbKey', 'serpapiKey'],
+  publicUpload: true,
+
+  /**
+   * ImgBB API: https://api.imgbb.com/1/upload (POST, FormData)
+   *
+   * @param {string} dataUrl - Image as a data URL
+   * @param {Object} context - { keys }
+   * @returns {Promise<Object>} - { url } public URL of the uploaded image
+   */
+  async upload(dataUrl, { keys }) {
+    // ImgBB wants the raw base64 string without the data:image/...;base64, prefix
+    const base64Content = dataUrl.includes(',') ? dataUrl.split(',')[1] : dataUrl;
+
+    const formData = new FormData();
+    formData.append('key', keys.imgbbKey);
+    formData.append('expiration', '600'); // Auto-delete after 10 minutes (600 seconds)
+    formData.append('image', base64Content);
+
+    const response = await fetch('https://api.imgbb.com/1/upload', {
+      method: 'POST',
+      body: formData
+    });
+    const data = await readJson(response, 'ImgBB');
+    if (!data.data || !data.data.url) {
+      throw new Error('ImgBB response missing URL');
+    }
+    return { url: data.data.url };
+  },
+
+  /**
+   * SerpApi: https://serpapi.com/search?engine=google_lens (GET)
+   *
+   * @param {Object} image - { url } from upload()
+   * @param {Object} context - { keys }
+   * @returns {Promise<Object>} - Normalized { matches, texts, entity }
+   */
+  async search(image, { keys }) {
+    const params = new URLSearchParams({
+      engine: 'google_lens',
+      api_key: keys.serpapiKey,
+      url: image.url
+    });
+    const response = await fetch(`https://serpapi.com/search?${params.toString()}`);
+    const data = await readJson(response, 'SerpApi');
+    const graph = Array.isArray(data.knowledge_graph) ? data.knowledge_graph[0] : data.knowledge_graph;
+
+    return searchResult({
+      matches: (data.visual_matches || []).map((match) => ({
+        url: match.link || match.source,
+        title: match.title
+      })),
+      // text_results entries vary; try the common fields
+      texts: (data.text_results || []).map((item) => item.text || item.title || item.snippet),
+      entity: graph ? (graph.title || graph.name) : null
+    });
+  }
+};
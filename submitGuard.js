@@ -0,0 +1,175 @@
+// submitGuard.js
+// S.P.A.R.E – Pauses credential submissions on pages whose verdict is not Safe
+
+(function submitGuard() {
+  if (typeof chrome === "undefined" || !chrome.runtime || !chrome.runtime.sendMessage) return;
+
+  // Events shared with submitGuardMain.js (page world)
+  const STATE_EVENT = "spare-guard-state";
+  const REQUEST_EVENT = "spare-guard-request";
+  const RESPONSE_EVENT = "spare-guard-response";
+
+  let guard = { active: false };
+
+  // Forms the user already confirmed once; their next submit passes through
+  const allowedOnce = new WeakSet();
+
+  function hasPasswordField(form) {
+    return !!form.querySelector('input[type="password"]');
+  }
+
+  function isExternalSubmit(form) {
+    const action = (form.getAttribute("action") || "").trim();
+    if (!action) return false;
+    try {
+      return new URL(action, location.href).hostname !== location.hostname;
+    } catch {
+      return true;
+    }
+  }
+
+  function isGuardedForm(form) {
+    return hasPasswordField(form) || isExternalSubmit(form);
+  }
+
+  function setGuardState(next) {
+    guard = next || { active: false };
+    document.dispatchEvent(
+      new CustomEvent(STATE_EVENT, { detail: { active: !!guard.active } })
+    );
+  }
+
+  // ----- CONFIRMATION DIALOG -----
+  // Rendered in a closed shadow root so page CSS/scripts cannot restyle or click it
+
+  let dialogOpen = false;
+
+  function confirmSubmission(context) {
+    if (dialogOpen) return Promise.resolve("cancel");
+    dialogOpen = true;
+
+    return new Promise((resolve) => {
+      const host = document.createElement("div");
+      host.style.cssText = "all: initial; position: fixed; inset: 0; z-index: 2147483647;";
+      const root = host.attachShadow({ mode: "closed" });
+
+      const reasons = (guard.reasons || []).length
+        ? guard.reasons
+        : ["S.P.A.R.E could not confirm this site is legitimate"];
+
+      root.innerHTML = `
+        <style>
+          .backdrop { position: fixed; inset: 0; background: rgba(0,0,0,0.55);
+            display: flex; align-items: center; justify-content: center;
+            font-family: Arial, Helvetica, sans-serif; }
+          .box { background: #fff; color: #222; max-width: 440px; padding: 20px 24px;
+            border-radius: 6px; border-top: 6px solid #d32f2f; box-shadow: 0 4px 20px rgba(0,0,0,0.4); }
+          h2 { margin: 0 0 10px 0; font-size: 18px; color: #b71c1c; }
+          p, li { font-size: 14px; line-height: 1.4; }
+          ul { padding-left: 18px; }
+          .actions { display: flex; gap: 8px; justify-content: flex-end; flex-wrap: wrap; margin-top: 16px; }
+          button { font-size: 13px; padding: 8px 12px; border-radius: 4px; cursor: pointer;
+            border: 1px solid #999; background: #f5f5f5; }
+          .primary { background: #d32f2f; color: #fff; border-color: #d32f2f; }
+        </style>
+        <div class="backdrop">
+          <div class="box" role="alertdialog" aria-modal="true">
+            <h2></h2>
+            <p class="intro"></p>
+            <ul class="reasons"></ul>
+            <div class="actions">
+              <button class="always">Always allow on this site</button>
+              <button class="once">Submit anyway</button>
+              <button class="primary cancel">Don't submit</button>
+            </div>
+          </div>
+        </div>`;
+
+      root.querySelector("h2").textContent = `${guard.verdict || "Suspicious"} site: submission paused`;
+      root.querySelector(".intro").textContent =
+        `This page is trying to send ${context === "password" ? "your password" : "form data"} ` +
+        `from ${location.hostname}. S.P.A.R.E paused it because:`;
+      const list = root.querySelector(".reasons");
+      for (const reason of reasons) {
+        const li = document.createElement("li");
+        li.textContent = reason;
+        list.appendChild(li);
+      }
+
+      function finish(decision) {
+        return (event) => {
+          // Ignore synthetic clicks dispatched by page scripts
+          if (!event.isTrusted) return;
+          host.remove();
+          dialogOpen = false;
+          resolve(decision);
+        };
+      }
+
+      root.querySelector(".cancel").addEventListener("click", finish("cancel"));
+      root.querySelector(".once").addEventListener("click", finish("once"));
+      root.querySelector(".always").addEventListener("click", finish("always"));
+
+      (document.body || document.documentElement).appendChild(host);
+      root.querySelector(".cancel").focus();
+    });
+  }
+
+  async function decide(context) {
+    const decision = await confirmSubmission(context);
+    if (decision === "always") {
+      chrome.runtime.sendMessage({ type: "bypass_submit_guard" }, () => {});
+      setGuardState({ active: false });
+    }
+    return decision !== "cancel";
+  }
+
+  // ----- NATIVE FORM SUBMITS (user clicks / Enter / requestSubmit) -----
+  document.addEventListener(
+    "submit",
+    (event) => {
+      const form = event.target;
+      if (!guard.active || !(form instanceof HTMLFormElement)) return;
+      if (allowedOnce.has(form)) {
+        allowedOnce.delete(form);
+        return;
+      }
+      if (!isGuardedForm(form)) return;
+
+      event.preventDefault();
+      event.stopImmediatePropagation();
+
+      const submitter = event.submitter || null;
+      decide(hasPasswordField(form) ? "password" : "form").then((allow) => {
+        if (!allow) return;
+        allowedOnce.add(form);
+        form.requestSubmit(submitter && submitter.form === form ? submitter : undefined);
+      });
+    },
+    true
+  );
+
+  // ----- PROGRAMMATIC SUBMITS (form.submit(), fetch, XHR) FROM THE PAGE WORLD -----
+  document.addEventListener(REQUEST_EVENT, (event) => {
+    const { id, context } = event.detail || {};
+    if (!id) return;
+    const respond = (allow) =>
+      document.dispatchEvent(new CustomEvent(RESPONSE_EVENT, { detail: { id, allow } }));
+
+    if (!guard.active) {
+      respond(true);
+      return;
+    }
+    decide(context).then(respond);
+  });
+
+  // ----- GUARD STATE FROM BACKGROUND -----
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg && msg.type === "guard_state") setGuardState(msg.guard);
+  });
+
+  chrome.runtime.sendMessage({ type: "get_guard_state" }, (resp) => {
+    if (chrome.runtime.lastError) return;
+    setGuardState(resp && resp.guard);
+  });
+})();
@@ -0,0 +1,112 @@
+// submitGuardMain.js
+// S.P.A.R.E – Page-world half of the submission guard.
+// Content scripts live in an isolated world and cannot see form.submit() or
+// fetch()/XHR calls made by page scripts, so this file (injected with
+// world: "MAIN") wraps those entry points and asks submitGuard.js for a
+// decision before letting credentials leave the page.
+
+(function submitGuardMain() {
+  const STATE_EVENT = "spare-guard-state";
+  const REQUEST_EVENT = "spare-guard-request";
+  const RESPONSE_EVENT = "spare-guard-response";
+
+  let active = false;
+  let nextId = 1;
+  const pending = new Map();
+
+  document.addEventListener(STATE_EVENT, (event) => {
+    active = !!(event.detail && event.detail.active);
+  });
+
+  document.addEventListener(RESPONSE_EVENT, (event) => {
+    const { id, allow } = event.detail || {};
+    const resolve = pending.get(id);
+    if (!resolve) return;
+    pending.delete(id);
+    resolve(!!allow);
+  });
+
+  function requestDecision(context) {
+    return new Promise((resolve) => {
+      const id = `g${nextId++}`;
+      pending.set(id, resolve);
+      document.dispatchEvent(new CustomEvent(REQUEST_EVENT, { detail: { id, context } }));
+    });
+  }
+
+  // Values currently typed into password fields on the page
+  function passwordValues() {
+    return [...document.querySelectorAll('input[type="password"]')]
+      .map((input) => input.value)
+      .filter((value) => value && value.length >= 4);
+  }
+
+  // Does a request body carry one of the typed passwords?
+  function bodyContainsPassword(body) {
+    const values = passwordValues();
+    if (!values.length || body === null || body === undefined) return false;
+
+    let text = "";
+    try {
+      if (typeof body === "string") {
+        text = body;
+      } else if (body instanceof URLSearchParams) {
+        text = body.toString() + "\n" + [...body.values()].join("\n");
+      } else if (body instanceof FormData) {
+        text = [...body.values()].filter((v) => typeof v === "string").join("\n");
+      } else {
+        return false; // Blobs/streams/buffers are not inspected
+      }
+    } catch {
+      return false;
+    }
+
+    return values.some(
+      (value) => text.includes(value) || text.includes(encodeURIComponent(value))
+    );
+  }
+
+  // ----- form.submit() (does not fire a submit event) -----
+  const nativeSubmit = HTMLFormElement.prototype.submit;
+  HTMLFormElement.prototype.submit = function guardedSubmit() {
+    const form = this;
+    const hasPassword = [...form.querySelectorAll('input[type="password"]')].some((i) => i.value);
+    if (!active || !hasPassword) {
+      return nativeSubmit.call(form);
+    }
+    requestDecision("password").then((allow) => {
+      if (allow) nativeSubmit.call(form);
+    });
+  };
+
+  // ----- fetch() -----
+  const nativeFetch = window.fetch;
+  window.fetch = function guardedFetch(input, init) {
+    const body = init && init.body;
+    if (!active || !bodyContainsPassword(body)) {
+      return nativeFetch.apply(this, arguments);
+    }
+    const args = arguments;
+    return requestDecision("password").then((allow) => {
+      if (!allow) throw new TypeError("Request blocked by S.P.A.R.E");
+      return nativeFetch.apply(window, args);
+    });
+  };
+
+  // ----- XMLHttpRequest.send() -----
+  const nativeSend = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.send = function guardedSend(body) {
+    const xhr = this;
+    if (!active || !bodyContainsPassword(body)) {
+      return nativeSend.apply(xhr, arguments);
+    }
+    const args = arguments;
+    requestDecision("password").then((allow) => {
+      if (allow) {
+        nativeSend.apply(xhr, args);
+      } else {
+        xhr.abort();
+      }
+    });
+  };
+})();
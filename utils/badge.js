@@ -0,0 +1,44 @@
+/**
+ * Action Badge
+ *
+ * Reflects a tab's fused verdict on the toolbar icon so users get a signal
+ * without opening the popup.
+ */
+
+const BADGES = {
+  Safe: { text: '✓', color: '#00aa00' },
+  Suspicious: { text: '!', color: '#ff9900' },
+  Phishing: { text: '✕', color: '#ff0000' }
+};
+
+/**
+ * Updates the badge for a tab from a verdict object
+ *
+ * @param {number} tabId - Tab whose badge to set
+ * @param {Object|null} verdict - Result of computeVerdict()
+ */
+export async function setVerdictBadge(tabId, verdict) {
+  if (!tabId) return;
+
+  try {
+    if (verdict?.whitelisted) {
+      // Trusted domains keep the bright green check
+      await chrome.action.setBadgeText({ text: '✓', tabId });
+      await chrome.action.setBadgeBackgroundColor({ color: '#00ff00', tabId });
+      return;
+    }
+
+    const badge = verdict && BADGES[verdict.verdict];
+    if (!badge) {
+      await chrome.action.setBadgeText({ text: '', tabId });
+      return;
+    }
+
+    await chrome.action.setBadgeText({ text: badge.text, tabId });
+    await chrome.action.setBadgeBackgroundColor({ color: badge.color, tabId });
+    await chrome.action.setTitle({ title: `S.P.A.R.E: ${verdict.verdict}`, tabId });
+  } catch (error) {
+    // Tab may have closed while the analysis was running
+    console.warn('[Badge] Could not update badge:', error);
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Credential Vault
+ *
+ * Holds the API keys of the visual search providers. Nothing is bundled:
+ * a key is either pushed by enterprise policy (chrome.storage.managed, see
+ * managed_schema.json) or entered by the user on the options page.
+ *
+ * User-entered keys are encrypted at rest with AES-GCM. The encryption key is
+ * a non-extractable WebCrypto key generated on first use and kept in
+ * IndexedDB, so the ciphertext in chrome.storage.local is useless without
+ * this browser profile:
+ *
+ *   chrome.storage.local "credentials": {
+ *     imgbbKey: { iv, data, updatedAt, validatedAt }   // base64 iv + ciphertext
+ *   }
+ *
+ * Policy values win over user values and are never copied into the vault.
+ */
+
+const DB_NAME = 'spare-vault';
+const DB_VERSION = 1;
+const STORE = 'keys';
+const MASTER_KEY_ID = 'master';
+const STORAGE_KEY = 'credentials';
+
+/**
+ * Known credentials. validator is the validateApiKey() provider name (null:
+ * no test call exists); legacyKey is the plaintext chrome.storage.local key
+ * used before the vault existed (null: the credential never had one).
+ */
+export const CREDENTIALS = {
+  imgbbKey: { label: 'ImgBB key', validator: 'imgbb', legacyKey: 'imgbbApiKey' },
+  serpapiKey: { label: 'SerpApi key', validator: 'serpapi', legacyKey: 'serpapiKey' },
+  visionKey: { label: 'Google Cloud Vision key', validator: 'vision', legacyKey: null },
+  selfHostedToken: { label: 'Self-hosted service token', validator: null, legacyKey: 'selfHostedToken' }
+};
+
+let dbPromise = null;
+let masterKeyPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs fn against the object store inside a single transaction
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the store; may return an IDBRequest
+ * @returns {Promise<*>} - The request's result once the transaction completes
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// The AES-GCM key, created once per profile; a CryptoKey survives IndexedDB
+// structured cloning without ever being exportable
+function getMasterKey() {
+  if (!masterKeyPromise) {
+    masterKeyPromise = (async () => {
+      const stored = await withStore('readonly', (store) => store.get(MASTER_KEY_ID));
+      if (stored) return stored.key;
+
+      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      // Another context may have raced us; keep whichever key was stored first
+      await withStore('readwrite', (store) => store.add({ id: MASTER_KEY_ID, key })).catch(() => {});
+      const winner = await withStore('readonly', (store) => store.get(MASTER_KEY_ID));
+      return winner.key;
+    })().catch((error) => {
+      masterKeyPromise = null;
+      throw error;
+    });
+  }
+  return masterKeyPromise;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+async function encrypt(plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getMasterKey(), new TextEncoder().encode(plaintext));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decrypt({ iv, data }) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, await getMasterKey(), fromBase64(data));
+  return new TextDecoder().decode(plain);
+}
+
+async function readEntries() {
+  const { [STORAGE_KEY]: entries } = await chrome.storage.local.get(STORAGE_KEY);
+  return entries || {};
+}
+
+// Policy-provided values (managed storage is absent outside managed browsers)
+async function readPolicy() {
+  try {
+    return (await chrome.storage.managed.get(Object.keys(CREDENTIALS))) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function assertKnown(name) {
+  if (!CREDENTIALS[name]) throw new Error(`Unknown credential: ${name}`);
+}
+
+/**
+ * Stores a user-entered credential, encrypted
+ *
+ * @param {string} name - One of CREDENTIALS
+ * @param {string} value - Plaintext key
+ * @param {Object} [options] - { validatedAt } when a test call accepted the key
+ * @returns {Promise<void>}
+ */
+export async function setCredential(name, value, { validatedAt = null } = {}) {
+  assertKnown(name);
+  const entries = await readEntries();
+  entries[name] = { ...(await encrypt(value)), updatedAt: Date.now(), validatedAt };
+  await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+}
+
+/**
+ * Deletes a user-entered credential (policy values are unaffected)
+ *
+ * @param {string} name - One of CREDENTIALS
+ * @returns {Promise<void>}
+ */
+export async function removeCredential(name) {
+  assertKnown(name);
+  const entries = await readEntries();
+  delete entries[name];
+  await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+}
+
+/**
+ * Returns every credential in plaintext, policy first, then the vault
+ *
+ * @returns {Promise<Object>} - { imgbbKey, serpapiKey, visionKey, selfHostedToken } ('' when unset)
+ */
+export async function getCredentials() {
+  const [policy, entries] = await Promise.all([readPolicy(), readEntries()]);
+  const credentials = {};
+  for (const name of Object.keys(CREDENTIALS)) {
+    credentials[name] = '';
+    if (policy[name]) {
+      credentials[name] = String(policy[name]);
+    } else if (entries[name]) {
+      try {
+        credentials[name] = await decrypt(entries[name]);
+      } catch (error) {
+        // The encryption key is gone (profile data cleared): the entry is unrecoverable
+        console.warn(`[Vault] Could not decrypt ${name}; it must be entered again`, error);
+      }
+    }
+  }
+  return credentials;
+}
+
+/**
+ * Describes which credentials are configured, without revealing them
+ *
+ * @returns {Promise<Object>} - { [name]: { configured, source: 'policy'|'user'|null, updatedAt, validatedAt } }
+ */
+export async function getCredentialStatus() {
+  const [policy, entries] = await Promise.all([readPolicy(), readEntries()]);
+  const status = {};
+  for (const name of Object.keys(CREDENTIALS)) {
+    if (policy[name]) {
+      status[name] = { configured: true, source: 'policy', updatedAt: null, validatedAt: null };
+    } else if (entries[name]) {
+      const { updatedAt, validatedAt } = entries[name];
+      status[name] = { configured: true, source: 'user', updatedAt, validatedAt };
+    } else {
+      status[name] = { configured: false, source: null, updatedAt: null, validatedAt: null };
+    }
+  }
+  return status;
+}
+
+/**
+ * Moves plaintext keys saved by earlier versions into the vault
+ *
+ * @returns {Promise<number>} - Number of keys migrated
+ */
+export async function migrateLegacyKeys() {
+  const legacyKeys = Object.values(CREDENTIALS).map((c) => c.legacyKey).filter(Boolean);
+  const legacy = await chrome.storage.local.get(legacyKeys);
+  let migrated = 0;
+  for (const [name, { legacyKey }] of Object.entries(CREDENTIALS)) {
+    if (legacyKey && legacy[legacyKey]) {
+      await setCredential(name, String(legacy[legacyKey]));
+      migrated++;
+    }
+  }
+  await chrome.storage.local.remove(legacyKeys);
+  return migrated;
+}
@@ -0,0 +1,278 @@
+/**
+ * DNS Infrastructure Analysis (DNS-over-HTTPS)
+ *
+ * Complements the RDAP registration data with how the site is actually
+ * hosted. Records are fetched from a DoH resolver speaking the JSON API
+ * (application/dns-json, as served by Cloudflare and Google):
+ *
+ *   host:          A, AAAA, CNAME
+ *   root domain:   NS, MX, TXT (SPF), _dmarc TXT (DMARC)
+ *
+ * and turned into signals:
+ *   fast_flux            many A records with short TTLs spread over networks
+ *   no_mx_financial      bank/payment-looking domain that cannot receive mail
+ *   no_email_auth        mail domain without SPF and DMARC
+ *   bulletproof_hosting  address inside a bundled bulletproof-hosting range
+ *   free_hosting_cname   host is a CNAME to a free hosting platform (weak
+ *                        for mainstream ones such as Netlify and Vercel)
+ *
+ * The resolver URL is configurable so a local stand-in can answer instead.
+ */
+
+import { BULLETPROOF_RANGES, FREE_HOSTING_CNAME_SUFFIXES, FINANCIAL_KEYWORDS } from '../data/dnsRiskData.js';
+import { PRIORITY_BRANDS } from '../data/priorityBrands.js';
+import { parseDomain } from './publicSuffix.js';
+
+export const DEFAULT_DOH_RESOLVER = 'https://cloudflare-dns.com/dns-query';
+
+// DNS RR type codes used in DoH JSON answers
+const RR_TYPES = { A: 1, NS: 2, CNAME: 5, MX: 15, TXT: 16, AAAA: 28 };
+
+// Fast-flux: at least this many A records, all with TTL at or below the limit
+const FAST_FLUX_MIN_RECORDS = 5;
+const FAST_FLUX_MAX_TTL = 300;
+// ...spread over at least this many distinct /16 networks
+const FAST_FLUX_MIN_NETWORKS = 3;
+
+// Points per signal, on the same 0-100 scale as the RDAP score
+const SIGNAL_SCORES = {
+  fastFlux: 30,
+  noMxFinancial: 15,
+  noEmailAuth: 5,
+  bulletproofHosting: 35,
+  freeHostingCname: 20,
+  mainstreamHostingCname: 5
+};
+
+// ----- DoH -----
+
+async function fetchWithTimeout(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { signal: controller.signal, headers: { Accept: 'application/dns-json' } });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Resolves one record type through the DoH JSON API
+ *
+ * @param {string} name - Query name
+ * @param {string} type - 'A' | 'AAAA' | 'CNAME' | 'NS' | 'MX' | 'TXT'
+ * @param {Object} options - { resolverUrl, timeoutMs }
+ * @returns {Promise<Object>} - { records: [{ data, ttl }], status } where status
+ *   is the DNS RCODE (0 = NOERROR, 3 = NXDOMAIN); throws on transport errors
+ */
+export async function resolveRecords(name, type, { resolverUrl = DEFAULT_DOH_RESOLVER, timeoutMs = 5000 } = {}) {
+  const url = new URL(resolverUrl);
+  url.searchParams.set('name', name);
+  url.searchParams.set('type', type);
+
+  const res = await fetchWithTimeout(url.href, timeoutMs);
+  if (!res.ok) throw new Error(`DoH HTTP ${res.status}`);
+  const body = await res.json();
+
+  // Answers for A/AAAA also carry the CNAME chain; keep only the type asked for
+  const records = (Array.isArray(body.Answer) ? body.Answer : [])
+    .filter((answer) => answer.type === RR_TYPES[type])
+    .map((answer) => ({ data: String(answer.data || ''), ttl: Number(answer.TTL) || 0 }));
+
+  return { records, status: Number(body.Status) || 0 };
+}
+
+// TXT data arrives quoted and may be split into 255-byte strings
+function joinTxt(data) {
+  return data.replace(/"\s*"/g, '').replace(/^"|"$/g, '');
+}
+
+function trimDot(name) {
+  return name.toLowerCase().replace(/\.$/, '');
+}
+
+// ----- IP RANGES -----
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)) return null;
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+// Built lazily: [{ network, mask, range }]
+let parsedRanges = null;
+
+function findBulletproofRange(ip) {
+  if (!parsedRanges) {
+    parsedRanges = BULLETPROOF_RANGES.map((range) => {
+      const [base, bits] = range.cidr.split('/');
+      const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+      return { network: (ipv4ToInt(base) & mask) >>> 0, mask, range };
+    });
+  }
+  const value = ipv4ToInt(ip);
+  if (value === null) return null;
+  const hit = parsedRanges.find(({ network, mask }) => ((value & mask) >>> 0) === network);
+  return hit ? hit.range : null;
+}
+
+// ----- SIGNALS -----
+
+// "hdfcbank", "paypal", "crypto-wallet": a keyword at either end of a hyphen token
+function isFinancialDomain(label) {
+  if (PRIORITY_BRANDS.has(label)) return true;
+  return label.split('-').some((token) =>
+    FINANCIAL_KEYWORDS.some((keyword) => token.startsWith(keyword) || token.endsWith(keyword)));
+}
+
+function deriveSignals({ label, records, spf, dmarc }) {
+  const signals = [];
+  const a = records.A;
+
+  const networks = new Set(a.map((r) => r.data.split('.').slice(0, 2).join('.')));
+  if (a.length >= FAST_FLUX_MIN_RECORDS && a.every((r) => r.ttl <= FAST_FLUX_MAX_TTL) &&
+    networks.size >= FAST_FLUX_MIN_NETWORKS) {
+    signals.push({
+      id: 'fast_flux',
+      label: `${a.length} A records with TTL ≤ ${FAST_FLUX_MAX_TTL}s across ${networks.size} networks (fast-flux pattern)`,
+      score: SIGNAL_SCORES.fastFlux
+    });
+  }
+
+  for (const record of a) {
+    const range = findBulletproofRange(record.data);
+    if (range) {
+      signals.push({
+        id: 'bulletproof_hosting',
+        label: `Hosted at ${record.data} in ${range.name} (${range.asn}), a bulletproof hosting network`,
+        score: SIGNAL_SCORES.bulletproofHosting
+      });
+      break;
+    }
+  }
+
+  for (const cname of records.CNAME) {
+    const target = trimDot(cname.data);
+    const platform = FREE_HOSTING_CNAME_SUFFIXES
+      .find(({ suffix }) => target === suffix || target.endsWith(`.${suffix}`));
+    if (platform) {
+      signals.push({
+        id: 'free_hosting_cname',
+        label: `Points to free hosting on ${platform.name} (CNAME ${target})`,
+        score: platform.mainstream ? SIGNAL_SCORES.mainstreamHostingCname : SIGNAL_SCORES.freeHostingCname
+      });
+      break;
+    }
+  }
+
+  if (!records.MX.length && isFinancialDomain(label)) {
+    signals.push({
+      id: 'no_mx_financial',
+      label: 'Bank/payment-looking domain has no mail servers (MX), unlike real financial institutions',
+      score: SIGNAL_SCORES.noMxFinancial
+    });
+  }
+
+  if (records.MX.length && !spf && !dmarc) {
+    signals.push({
+      id: 'no_email_auth',
+      label: 'Receives mail but publishes neither SPF nor DMARC',
+      score: SIGNAL_SCORES.noEmailAuth
+    });
+  }
+
+  return signals;
+}
+
+// ----- ANALYSIS -----
+
+/**
+ * Queries the DNS records of a host and derives infrastructure signals
+ *
+ * @param {string} urlOrHostname - Page URL or hostname
+ * @param {Object} [options] - { resolverUrl, timeoutMs }
+ * @returns {Promise<Object>} - {
+ *     hostname, rootDomain, resolver,
+ *     records: { A, AAAA, CNAME, NS, MX },   // [{ data, ttl }]
+ *     spf, dmarc,                           // policy text or null
+ *     nxdomain,                             // host does not exist
+ *     signals,                              // [{ id, label, score }]
+ *     rawScore, normalized
+ *   }
+ *   or { error: true, reason, resolver } when the resolver is unreachable
+ */
+export async function analyzeDns(urlOrHostname, options = {}) {
+  const resolverUrl = options.resolverUrl || DEFAULT_DOH_RESOLVER;
+  const { hostname, registrableDomain, label } = parseDomain(urlOrHostname);
+  const resolver = (() => {
+    try {
+      return new URL(resolverUrl).host;
+    } catch (error) {
+      return resolverUrl;
+    }
+  })();
+
+  if (!hostname) return { error: true, reason: 'Empty hostname', resolver };
+
+  // Bare IP hosts have no records to query; only the range table applies
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname)) {
+    const records = { A: [{ data: hostname, ttl: 0 }], AAAA: [], CNAME: [], NS: [], MX: [] };
+    const signals = deriveSignals({ label: '', records, spf: null, dmarc: null });
+    const rawScore = Math.min(100, signals.reduce((sum, s) => sum + s.score, 0));
+    return {
+      hostname,
+      rootDomain: hostname,
+      resolver: null,
+      records,
+      spf: null,
+      dmarc: null,
+      nxdomain: false,
+      signals,
+      rawScore,
+      normalized: rawScore / 100
+    };
+  }
+  const queryOptions = { resolverUrl, timeoutMs: options.timeoutMs };
+
+  try {
+    const [a, aaaa, cname, ns, mx, txt, dmarcTxt] = await Promise.all([
+      resolveRecords(hostname, 'A', queryOptions),
+      resolveRecords(hostname, 'AAAA', queryOptions),
+      resolveRecords(hostname, 'CNAME', queryOptions),
+      resolveRecords(registrableDomain, 'NS', queryOptions),
+      resolveRecords(registrableDomain, 'MX', queryOptions),
+      resolveRecords(registrableDomain, 'TXT', queryOptions),
+      resolveRecords(`_dmarc.${registrableDomain}`, 'TXT', queryOptions)
+    ]);
+
+    const records = {
+      A: a.records,
+      AAAA: aaaa.records,
+      CNAME: cname.records,
+      NS: ns.records,
+      // "0 ." is a null MX (RFC 7505): the domain explicitly accepts no mail
+      MX: mx.records.filter((r) => trimDot(r.data.split(/\s+/).pop() || '') !== '')
+    };
+    const spf = txt.records.map((r) => joinTxt(r.data)).find((t) => /^v=spf1\b/i.test(t)) || null;
+    const dmarc = dmarcTxt.records.map((r) => joinTxt(r.data)).find((t) => /^v=DMARC1\b/i.test(t)) || null;
+
+    const signals = deriveSignals({ label, records, spf, dmarc });
+    const rawScore = Math.min(100, signals.reduce((sum, s) => sum + s.score, 0));
+
+    return {
+      hostname,
+      rootDomain: registrableDomain,
+      resolver,
+      records,
+      spf,
+      dmarc,
+      nxdomain: a.status === 3,
+      signals,
+      rawScore,
+      normalized: rawScore / 100
+    };
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? 'DNS lookup timed out' : `DNS lookup failed (${error.message})`;
+    return { error: true, reason, resolver };
+  }
+}
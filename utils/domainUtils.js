@@ -1,90 +1,59 @@
 /**
  * Domain Utilities
  * 
- * Helper functions for domain parsing and whitelist checking.
+ * Helper functions for domain parsing and whitelist checking. Registrable
+ * domains come from the Public Suffix List (see publicSuffix.js).
  */
 
 import { TRUSTED_DOMAINS } from '../data/trustedList.js';
+import { parseDomain } from './publicSuffix.js';
 
 /**
- * Known two-part TLDs (e.g., .co.uk, .com.au)
- * These require special handling when extracting root domains.
+ * User-managed lists from the options page (root domains).
+ * Populated by setUserDomainLists() whenever settings load or change.
  */
-const TWO_PART_TLDS = new Set([
-  'co.uk', 'com.au', 'co.nz', 'co.za', 'com.br', 'com.mx',
-  'com.ar', 'com.co', 'com.pe', 'com.ve', 'com.ec', 'com.uy',
-  'com.py', 'com.bo', 'com.cl', 'com.cr', 'com.gt', 'com.hn',
-  'com.ni', 'com.pa', 'com.sv', 'com.do', 'com.pr', 'com.cu',
-  'gov.uk', 'org.uk', 'ac.uk', 'net.au', 'org.au', 'edu.au',
-  'gov.au', 'net.nz', 'org.nz', 'ac.nz', 'co.jp', 'ne.jp',
-  'or.jp', 'ac.jp', 'go.jp', 'co.kr', 'or.kr', 'ac.kr',
-  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn', 'com.tw',
-  'org.tw', 'edu.tw', 'gov.tw', 'com.hk', 'org.hk', 'edu.hk',
-  'gov.hk', 'com.sg', 'org.sg', 'edu.sg', 'gov.sg', 'com.my',
-  'org.my', 'edu.my', 'gov.my', 'com.ph', 'org.ph', 'edu.ph',
-  'gov.ph', 'com.id', 'org.id', 'edu.id', 'gov.id', 'com.th',
-  'org.th', 'edu.th', 'gov.th', 'com.vn', 'org.vn', 'edu.vn',
-  'gov.vn'
+let userTrustedDomains = new Set();
+let userBlockedDomains = new Set();
+
+/**
+ * Country-code TLDs sold to anyone as generic names (paypal.io, amazon.co):
+ * a brand under one of them is not the brand's country site.
+ */
+const OPEN_COUNTRY_TLDS = new Set([
+  'ai', 'cc', 'cf', 'co', 'ga', 'gg', 'gq', 'io', 'la', 'ly', 'me', 'ml',
+  'nu', 'sh', 'so', 'tk', 'to', 'tv', 'vc', 'ws'
 ]);
 
 /**
- * Extracts the root domain from a URL or hostname
+ * Extracts the root (registrable) domain from a URL or hostname
  * 
  * Examples:
  * - secure.pay.amazon.com -> amazon.com
  * - www.google.co.uk -> google.co.uk
- * - subdomain.example.com -> example.com
+ * - alice.github.io -> alice.github.io (github.io is a public suffix)
  * 
  * @param {string} urlOrHostname - Full URL or hostname string
- * @returns {string} - Root domain (e.g., "amazon.com" or "google.co.uk")
+ * @returns {string} - Root domain (e.g., "amazon.com" or "google.co.uk");
+ *   the bare hostname when it is itself a public suffix or a single label
  */
 function extractRootDomain(urlOrHostname) {
   if (!urlOrHostname) return '';
   
-  let hostname = '';
-  
-  try {
-    // If it's a full URL, parse it
-    if (urlOrHostname.startsWith('http://') || urlOrHostname.startsWith('https://')) {
-      const url = new URL(urlOrHostname);
-      hostname = url.hostname;
-    } else {
-      // Assume it's already a hostname
-      hostname = urlOrHostname;
-    }
-  } catch (error) {
-    // If URL parsing fails, try to extract hostname manually
-    const match = urlOrHostname.match(/https?:\/\/([^\/]+)/);
-    if (match) {
-      hostname = match[1];
-    } else {
-      hostname = urlOrHostname;
-    }
-  }
-  
-  // Remove www. prefix (case-insensitive)
-  hostname = hostname.replace(/^www\./i, '');
-  
-  // Split into parts
-  const parts = hostname.toLowerCase().split('.');
-  
-  if (parts.length < 2) {
-    return hostname.toLowerCase();
-  }
-  
-  // Check if the last two parts form a known two-part TLD
-  const lastTwoParts = parts.slice(-2).join('.');
-  if (TWO_PART_TLDS.has(lastTwoParts)) {
-    // For two-part TLDs, we need the last 3 parts (domain.co.uk)
-    if (parts.length >= 3) {
-      return parts.slice(-3).join('.');
-    } else {
-      return hostname.toLowerCase();
-    }
-  } else {
-    // Standard case: take the last 2 parts (domain.tld)
-    return parts.slice(-2).join('.');
-  }
+  // parseDomain falls back to the hostname when there is no registrable part
+  return parseDomain(urlOrHostname).registrableDomain;
+}
+
+/**
+ * Replaces the user-managed trusted/blocked domain lists
+ * 
+ * @param {Object} lists - { trusted: string[], blocked: string[] } of root domains
+ */
+export function setUserDomainLists({ trusted = [], blocked = [] } = {}) {
+  const normalize = (list) => new Set(
+    list.map((d) => extractRootDomain(String(d).trim())).filter(Boolean)
+  );
+  userTrustedDomains = normalize(trusted);
+  userBlockedDomains = normalize(blocked);
 }
 
 /**
@@ -92,8 +61,10 @@ function extractRootDomain(urlOrHostname) {
  * 
  * This function:
  * 1. Parses the URL to extract the hostname
- * 2. Extracts the root domain (handling subdomains and multi-part TLDs)
- * 3. Checks if the root domain exists in the TRUSTED_DOMAINS Set
+ * 2. Extracts the root domain (Public Suffix List, so subdomains, co.uk and
+ *    private suffixes like github.io are handled)
+ * 3. Checks if the root domain exists in the TRUSTED_DOMAINS Set or the
+ *    user's own trusted list (a user block always wins)
  * 
  * @param {string} url - The URL to check
  * @returns {boolean} - True if the domain is whitelisted, false otherwise
@@ -103,13 +74,31 @@ export function isDomainWhitelisted(url) {
   
   try {
     const rootDomain = extractRootDomain(url);
-    return TRUSTED_DOMAINS.has(rootDomain);
+    if (userBlockedDomains.has(rootDomain)) return false;
+    return TRUSTED_DOMAINS.has(rootDomain) || userTrustedDomains.has(rootDomain);
   } catch (error) {
     console.error('[DomainUtils] Error checking whitelist:', error);
     return false; // On error, assume not whitelisted (fail secure)
   }
 }
 
+/**
+ * Checks if the user blocked a domain on the options page
+ * 
+ * @param {string} url - The URL to check
+ * @returns {boolean} - True if the root domain is on the user's block list
+ */
+export function isDomainBlocked(url) {
+  if (!url) return false;
+  
+  try {
+    return userBlockedDomains.has(extractRootDomain(url));
+  } catch (error) {
+    console.error('[DomainUtils] Error checking block list:', error);
+    return false;
+  }
+}
+
 /**
  * Gets the root domain from a URL (for logging/debugging)
  * 
@@ -120,3 +109,23 @@ export function getRootDomain(url) {
   return extractRootDomain(url);
 }
 
+/**
+ * Checks whether a domain is a country site of an official domain: the same
+ * registrable label under a country-code suffix ("google.co.uk",
+ * "amazon.com.au" for "google.com", "amazon.com"). Generic-use ccTLDs and
+ * private suffixes (paypal.github.io) do not count.
+ * 
+ * @param {string} rootDomain - Registrable domain to check
+ * @param {string} officialDomain - A brand's registrable domain
+ * @returns {boolean} - True for the same label under a country suffix
+ */
+export function isCountryVariant(rootDomain, officialDomain) {
+  if (!rootDomain || !officialDomain) return false;
+
+  const candidate = parseDomain(rootDomain);
+  if (candidate.isPrivate || candidate.registrableDomain !== rootDomain) return false;
+  const countryCode = candidate.suffix.split('.').pop();
+  if (!/^[a-z]{2}$/.test(countryCode) || OPEN_COUNTRY_TLDS.has(countryCode)) return false;
+
+  return candidate.label === parseDomain(officialDomain).label;
+}
@@ -0,0 +1,69 @@
+/**
+ * Per-Domain Exceptions
+ *
+ * Records deliberate user decisions to bypass a protection for a specific
+ * root domain (e.g. "proceed anyway" on the warning interstitial).
+ * Stored in chrome.storage.local under "domainExceptions":
+ *
+ *   { "paypa1-login.xyz": { interstitial: { grantedAt: 1700000000000 } } }
+ */
+
+const STORAGE_KEY = 'domainExceptions';
+
+async function readExceptions() {
+  const { [STORAGE_KEY]: exceptions = {} } = await chrome.storage.local.get(STORAGE_KEY);
+  return exceptions;
+}
+
+/**
+ * Checks whether the user bypassed a protection for a domain
+ *
+ * @param {string} rootDomain - Registrable domain
+ * @param {string} kind - Protection name (e.g. 'interstitial')
+ * @returns {Promise<boolean>} - True if an exception was granted
+ */
+export async function hasException(rootDomain, kind) {
+  if (!rootDomain) return false;
+  try {
+    const exceptions = await readExceptions();
+    return !!exceptions[rootDomain]?.[kind];
+  } catch (error) {
+    console.warn('[Exceptions] Could not read exceptions:', error);
+    return false; // On error, keep the protection active (fail secure)
+  }
+}
+
+/**
+ * Records an exception for a domain
+ *
+ * @param {string} rootDomain - Registrable domain
+ * @param {string} kind - Protection name
+ */
+export async function grantException(rootDomain, kind) {
+  if (!rootDomain) return;
+  const exceptions = await readExceptions();
+  exceptions[rootDomain] = {
+    ...(exceptions[rootDomain] || {}),
+    [kind]: { grantedAt: Date.now() }
+  };
+  await chrome.storage.local.set({ [STORAGE_KEY]: exceptions });
+  console.log(`[Exceptions] Granted ${kind} exception for ${rootDomain}`);
+}
+
+/**
+ * Removes an exception (or all exceptions) for a domain
+ *
+ * @param {string} rootDomain - Registrable domain
+ * @param {string} [kind] - Protection name; omit to remove every exception
+ */
+export async function revokeException(rootDomain, kind) {
+  const exceptions = await readExceptions();
+  if (!exceptions[rootDomain]) return;
+  if (kind) {
+    delete exceptions[rootDomain][kind];
+    if (Object.keys(exceptions[rootDomain]).length === 0) delete exceptions[rootDomain];
+  } else {
+    delete exceptions[rootDomain];
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY]: exceptions });
+}
@@ -0,0 +1,104 @@
+/**
+ * Favicon Hashes
+ *
+ * Phishing kits usually copy the target's favicon byte-for-byte, so an exact
+ * hash of the icon file identifies the brand it was taken from:
+ *
+ *   mmh3    MurmurHash3 (x86, 32-bit, seed 0, signed) of the base64-encoded
+ *           file with a newline every 76 characters: the "favicon hash"
+ *           used by Shodan and other scanners (http.favicon.hash:<mmh3>)
+ *   sha256  SHA-256 of the raw bytes, hex
+ *
+ * The perceptual fingerprint of the same icon comes from imageHash.js.
+ */
+
+const BASE64_LINE = 76;
+
+/**
+ * MurmurHash3 x86 32-bit
+ *
+ * @param {Uint8Array} bytes - Input
+ * @param {number} [seed] - Seed (0 like Python's mmh3.hash)
+ * @returns {number} - Signed 32-bit hash
+ */
+export function murmurHash3(bytes, seed = 0) {
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const tail = bytes.length & ~3;
+  let h = seed | 0;
+  let k;
+
+  for (let i = 0; i < tail; i += 4) {
+    k = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  k = 0;
+  switch (bytes.length & 3) {
+    case 3:
+      k ^= bytes[tail + 2] << 16;
+    // falls through
+    case 2:
+      k ^= bytes[tail + 1] << 8;
+    // falls through
+    case 1:
+      k ^= bytes[tail];
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, c2);
+      h ^= k;
+  }
+
+  h ^= bytes.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h | 0;
+}
+
+// base64 with MIME line breaks, as Python's base64.encodebytes() produces
+function base64Lines(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  const encoded = btoa(binary);
+  let lines = '';
+  for (let i = 0; i < encoded.length; i += BASE64_LINE) {
+    lines += `${encoded.slice(i, i + BASE64_LINE)}\n`;
+  }
+  return lines;
+}
+
+/**
+ * Shodan-compatible favicon hash
+ *
+ * @param {Uint8Array} bytes - Icon file
+ * @returns {number} - Signed 32-bit MurmurHash3
+ */
+export function faviconMmh3(bytes) {
+  return murmurHash3(new TextEncoder().encode(base64Lines(bytes)));
+}
+
+/**
+ * Exact hashes of an icon file
+ *
+ * @param {Blob} blob - Icon as downloaded
+ * @returns {Promise<Object>} - { mmh3, sha256, size }
+ */
+export async function hashFavicon(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return {
+    mmh3: faviconMmh3(bytes),
+    sha256: Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join(''),
+    size: bytes.length
+  };
+}
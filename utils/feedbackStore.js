@@ -0,0 +1,118 @@
+/**
+ * User Verdict Overrides
+ *
+ * Lets the user correct a false positive ("this site is safe") or a false
+ * negative ("this site is phishing") for a root domain. The label takes
+ * precedence over automatic analysis in computeVerdict, and the evidence
+ * the extension had at the time is kept with it so misclassifications can
+ * be reviewed later. Stored in chrome.storage.local under "userOverrides":
+ *
+ *   {
+ *     "example.com": {
+ *       label: "safe",            // or "phishing"
+ *       reportedAt: 1700000000000,
+ *       url: "https://example.com/login",
+ *       evidence: { features, ml, offpage, davss, verdict }
+ *     }
+ *   }
+ *
+ * Evidence is stored without image data (the DAVSS sent-image thumbnail, an
+ * inline data: favicon URL): up to MAX_OVERRIDES reports share the
+ * storage.local quota.
+ */
+
+const STORAGE_KEY = 'userOverrides';
+
+export const OVERRIDE_LABELS = new Set(['safe', 'phishing']);
+
+// Keep storage bounded: oldest reports are dropped first
+const MAX_OVERRIDES = 500;
+
+function withoutImageData(evidence) {
+  if (!evidence) return evidence;
+  const { features, davss } = evidence;
+  return {
+    ...evidence,
+    features: features?.FaviconUrl?.startsWith('data:') ? { ...features, FaviconUrl: 'data: URL' } : features,
+    davss: davss?.sentImage?.thumbnail ? { ...davss, sentImage: { ...davss.sentImage, thumbnail: null } } : davss
+  };
+}
+
+async function readOverrides() {
+  const { [STORAGE_KEY]: overrides = {} } = await chrome.storage.local.get(STORAGE_KEY);
+  return overrides;
+}
+
+/**
+ * Returns the user's label for a domain
+ *
+ * @param {string} rootDomain - Registrable domain
+ * @returns {Promise<Object|null>} - { label, reportedAt } or null
+ */
+export async function getOverride(rootDomain) {
+  if (!rootDomain) return null;
+  try {
+    const overrides = await readOverrides();
+    const entry = overrides[rootDomain];
+    return entry ? { label: entry.label, reportedAt: entry.reportedAt } : null;
+  } catch (error) {
+    console.warn('[Feedback] Could not read overrides:', error);
+    return null;
+  }
+}
+
+/**
+ * Records the user's label for a domain, replacing any earlier report
+ *
+ * @param {string} rootDomain - Registrable domain
+ * @param {string} label - 'safe' or 'phishing'
+ * @param {Object} report
+ * @param {string} report.url - Page the report was made on
+ * @param {Object} report.evidence - Analysis results at the time of the report
+ * @returns {Promise<Object>} - The stored entry
+ */
+export async function recordOverride(rootDomain, label, { url, evidence }) {
+  if (!rootDomain) throw new Error('Missing domain');
+  if (!OVERRIDE_LABELS.has(label)) throw new Error(`Unknown label: ${label}`);
+
+  const overrides = await readOverrides();
+  delete overrides[rootDomain]; // re-insert so it counts as the newest
+  overrides[rootDomain] = { label, reportedAt: Date.now(), url, evidence };
+
+  const domains = Object.keys(overrides);
+  for (const domain of domains.slice(0, Math.max(0, domains.length - MAX_OVERRIDES))) {
+    delete overrides[domain];
+  }
+  // Also strips reports stored before image data was left out
+  for (const entry of Object.values(overrides)) {
+    entry.evidence = withoutImageData(entry.evidence);
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: overrides });
+  console.log(`[Feedback] ${rootDomain} reported as ${label}`);
+  return overrides[rootDomain];
+}
+
+/**
+ * Removes the user's label for a domain
+ *
+ * @param {string} rootDomain - Registrable domain
+ */
+export async function removeOverride(rootDomain) {
+  const overrides = await readOverrides();
+  if (!overrides[rootDomain]) return;
+  delete overrides[rootDomain];
+  await chrome.storage.local.set({ [STORAGE_KEY]: overrides });
+}
+
+/**
+ * Returns every report with its evidence bundle, newest first
+ *
+ * @returns {Promise<Array<Object>>} - Entries with a `domain` field added
+ */
+export async function listOverrides() {
+  const overrides = await readOverrides();
+  return Object.entries(overrides)
+    .map(([domain, entry]) => ({ domain, ...entry }))
+    .sort((a, b) => b.reportedAt - a.reportedAt);
+}
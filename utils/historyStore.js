@@ -0,0 +1,275 @@
+/**
+ * Scan History
+ *
+ * Records every analysed navigation in IndexedDB so past verdicts can be
+ * browsed and exported from history.html. One record per tab navigation,
+ * updated in place as RDAP / DAVSS / ML results arrive and the verdict is
+ * re-fused:
+ *
+ *   {
+ *     id: "12:1700000000000",   // tabId:navigatedAt
+ *     url, rootDomain,
+ *     timestamp,                // navigation start (ms)
+ *     updatedAt,                // last time any result changed
+ *     features,                 // on-page feature snapshot
+ *     ml:     { probability, isPhishing, modelVersion, trained } | null,
+ *     rdap:   { rawScore, normalized, daysAge, daysLifespan, daysSinceUpdate, whitelisted, error } | null,
+ *     davss:  { scenario, status, confidenceScore, impersonatedBrand, trueDomain, error } | null,
+ *     verdict:{ verdict, score, confidence } | null
+ *   }
+ *
+ * IndexedDB is shared by the service worker and extension pages, so the
+ * history page reads and clears the store directly.
+ */
+
+const DB_NAME = 'spare-history';
+const DB_VERSION = 1;
+const STORE = 'scans';
+
+// Prune every N writes so a long session cannot grow past the retention limits
+const PRUNE_EVERY_WRITES = 50;
+
+let dbPromise = null;
+let writesSincePrune = 0;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('rootDomain', 'rootDomain');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs fn against the object store inside a single transaction
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the store; may return an IDBRequest
+ * @returns {Promise<*>} - The request's result once the transaction completes
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function summarizeMl(ml) {
+  if (!ml || ml.error) return null;
+  return {
+    probability: ml.probability,
+    isPhishing: ml.isPhishing,
+    modelVersion: ml.modelVersion,
+    trained: !!ml.trained
+  };
+}
+
+function summarizeRdap(offpage) {
+  if (!offpage) return null;
+  if (offpage.error) return { error: true };
+  if (offpage.whitelisted) return { whitelisted: true };
+  return {
+    rawScore: offpage.rawScore,
+    normalized: offpage.normalized,
+    daysAge: offpage.daysAge ?? null,
+    daysLifespan: offpage.daysLifespan ?? null,
+    daysSinceUpdate: offpage.daysSinceUpdate ?? null
+  };
+}
+
+function summarizeDavss(davss) {
+  if (!davss) return null;
+  if (davss.error) return { error: true };
+  if (davss.whitelisted) return { whitelisted: true };
+  return {
+    scenario: davss.scenario || null,
+    status: davss.status || null,
+    confidenceScore: davss.confidenceScore ?? null,
+    impersonatedBrand: davss.impersonatedBrand || null,
+    trueDomain: davss.trueDomain || null
+  };
+}
+
+/**
+ * Creates or updates the history record for a tab navigation
+ *
+ * @param {Object} state - Tab state (see tabState.js)
+ * @param {string} rootDomain - Registrable domain of state.url
+ * @param {Object} [retention] - { maxEntries, maxAgeDays } applied periodically
+ * @returns {Promise<void>}
+ */
+export async function recordScan(state, rootDomain, retention) {
+  if (!state || !state.url) return;
+
+  const record = {
+    id: `${state.tabId}:${state.navigatedAt}`,
+    url: state.url,
+    rootDomain: rootDomain || null,
+    timestamp: state.navigatedAt,
+    updatedAt: Date.now(),
+    features: state.features || null,
+    ml: summarizeMl(state.ml),
+    rdap: summarizeRdap(state.offpage),
+    davss: summarizeDavss(state.davss),
+    verdict: state.verdict
+      ? {
+        verdict: state.verdict.verdict,
+        score: state.verdict.score,
+        confidence: state.verdict.confidence
+      }
+      : null
+  };
+
+  try {
+    await withStore('readwrite', store => store.put(record));
+  } catch (error) {
+    console.warn('[History] Could not record scan:', error);
+    return;
+  }
+
+  if (retention && ++writesSincePrune >= PRUNE_EVERY_WRITES) {
+    writesSincePrune = 0;
+    await pruneHistory(retention).catch(err => console.warn('[History] Prune failed:', err));
+  }
+}
+
+/**
+ * Returns history records, newest first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.verdict] - Only this verdict ("Safe", "Phishing", ...)
+ * @param {string} [filters.domain] - Substring match on rootDomain or URL
+ * @param {number} [filters.from] - Earliest timestamp (ms, inclusive)
+ * @param {number} [filters.to] - Latest timestamp (ms, inclusive)
+ * @param {number} [filters.limit] - Maximum records returned
+ * @returns {Promise<Array<Object>>} - Matching records
+ */
+export async function queryHistory({ verdict, domain, from, to, limit } = {}) {
+  const lower = Number.isFinite(from) ? from : 0;
+  const upper = Number.isFinite(to) ? to : Number.MAX_SAFE_INTEGER;
+  const needle = (domain || '').trim().toLowerCase();
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const results = [];
+    const tx = db.transaction(STORE, 'readonly');
+    const range = IDBKeyRange.bound(lower, upper);
+    const request = tx.objectStore(STORE).index('timestamp').openCursor(range, 'prev');
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (limit && results.length >= limit)) return;
+      const record = cursor.value;
+      const verdictMatches = !verdict || record.verdict?.verdict === verdict;
+      const domainMatches = !needle ||
+        (record.rootDomain || '').includes(needle) ||
+        record.url.toLowerCase().includes(needle);
+      if (verdictMatches && domainMatches) results.push(record);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(results);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Deletes every history record
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  await withStore('readwrite', store => store.clear());
+}
+
+/**
+ * Applies retention limits: drops records older than maxAgeDays, then the
+ * oldest records beyond maxEntries
+ *
+ * @param {Object} retention
+ * @param {number} retention.maxEntries - Records to keep (0 = unlimited)
+ * @param {number} retention.maxAgeDays - Days to keep records (0 = forever)
+ * @returns {Promise<number>} - Number of records deleted
+ */
+export async function pruneHistory({ maxEntries, maxAgeDays }) {
+  const db = await openDb();
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+  return new Promise((resolve, reject) => {
+    let kept = 0;
+    let deleted = 0;
+    const tx = db.transaction(STORE, 'readwrite');
+    const request = tx.objectStore(STORE).index('timestamp').openCursor(null, 'prev');
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const tooOld = cutoff && cursor.value.timestamp < cutoff;
+      const overLimit = maxEntries > 0 && kept >= maxEntries;
+      if (tooOld || overLimit) {
+        cursor.delete();
+        deleted++;
+      } else {
+        kept++;
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(deleted);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ----- EXPORT -----
+
+const CSV_COLUMNS = [
+  ['timestamp', r => new Date(r.timestamp).toISOString()],
+  ['url', r => r.url],
+  ['rootDomain', r => r.rootDomain],
+  ['verdict', r => r.verdict?.verdict],
+  ['verdictScore', r => r.verdict?.score],
+  ['verdictConfidence', r => r.verdict?.confidence],
+  ['mlProbability', r => r.ml?.probability],
+  ['mlTrained', r => r.ml?.trained],
+  ['rdapScore', r => r.rdap?.rawScore],
+  ['rdapDaysAge', r => r.rdap?.daysAge],
+  ['davssScenario', r => r.davss?.scenario],
+  ['davssStatus', r => r.davss?.status],
+  ['davssBrand', r => r.davss?.impersonatedBrand],
+  ['hasPasswordField', r => r.features?.HasPasswordField],
+  ['hasExternalFormSubmit', r => r.features?.HasExternalFormSubmit],
+  ['isHttps', r => r.features?.IsHTTPS]
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes records as CSV (summary columns; use JSON for the full snapshot)
+ *
+ * @param {Array<Object>} records - History records
+ * @returns {string} - CSV text with a header row
+ */
+export function historyToCsv(records) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const record of records) {
+    lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(record))).join(','));
+  }
+  return lines.join('\r\n');
+}
@@ -0,0 +1,303 @@
+/**
+ * Homoglyph / IDN Spoof Detection
+ *
+ * Browsers hand us hostnames in their ASCII (punycode) form, so a Cyrillic
+ * "раypal.com" arrives as "xn--ypal-43d9g.com" and looks unrelated to PayPal.
+ * This module:
+ * 1. Decodes punycode labels back to Unicode (RFC 3492)
+ * 2. Flags labels that mix scripts (e.g. Latin + Cyrillic) or are written
+ *    entirely in a non-Latin script that renders like Latin
+ * 3. Reduces the domain to its confusables skeleton (UTS #39) and compares it
+ *    with TRUSTED_DOMAINS and the priority brand list
+ *
+ * A skeleton match on a domain that is not the real one is a strong
+ * impersonation signal: the user cannot tell the two apart by looking. Only
+ * hosts with punycode labels or non-ASCII lookalike characters are matched;
+ * all-ASCII lookalikes ("paypa1", "rnicrosoft") are near-misses for
+ * typosquat.js, which weighs them as non-decisive evidence.
+ */
+
+import { CONFUSABLES } from '../data/confusables.js';
+import { PRIORITY_BRANDS } from '../data/priorityBrands.js';
+import { TRUSTED_DOMAINS } from '../data/trustedList.js';
+import { getRootDomain } from './domainUtils.js';
+
+// ----- PUNYCODE (RFC 3492) -----
+
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+
+function adapt(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+  let k = 0;
+  while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+    delta = Math.floor(delta / (BASE - T_MIN));
+    k += BASE;
+  }
+  return k + Math.floor(((BASE - T_MIN + 1) * delta) / (delta + SKEW));
+}
+
+function digitValue(codePoint) {
+  if (codePoint >= 48 && codePoint < 58) return codePoint - 22; // 0-9 -> 26-35
+  if (codePoint >= 65 && codePoint < 91) return codePoint - 65; // A-Z -> 0-25
+  if (codePoint >= 97 && codePoint < 123) return codePoint - 97; // a-z -> 0-25
+  return BASE;
+}
+
+/**
+ * Decodes a punycode string (without the "xn--" prefix)
+ *
+ * @param {string} input - Punycode-encoded label
+ * @returns {string} - Unicode label
+ * @throws {Error} - If the input is not valid punycode
+ */
+export function decodePunycode(input) {
+  const output = [];
+  const basicEnd = input.lastIndexOf('-');
+  for (let j = 0; j < Math.max(basicEnd, 0); j++) {
+    output.push(input.charCodeAt(j));
+  }
+
+  let n = INITIAL_N;
+  let bias = INITIAL_BIAS;
+  let i = 0;
+
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+    const oldI = i;
+    for (let w = 1, k = BASE; ; k += BASE) {
+      if (index >= input.length) throw new Error('Invalid punycode: truncated');
+      const digit = digitValue(input.charCodeAt(index++));
+      if (digit >= BASE) throw new Error('Invalid punycode: bad digit');
+      i += digit * w;
+      const t = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+      if (digit < t) break;
+      w *= BASE - t;
+    }
+    const length = output.length + 1;
+    bias = adapt(i - oldI, length, oldI === 0);
+    n += Math.floor(i / length);
+    if (n > 0x10ffff) throw new Error('Invalid punycode: code point out of range');
+    i %= length;
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...output);
+}
+
+/**
+ * Converts an ASCII hostname to its Unicode display form
+ *
+ * @param {string} hostname - Hostname as returned by URL.hostname
+ * @returns {string} - Hostname with every xn-- label decoded (invalid labels kept as-is)
+ */
+export function toUnicodeHostname(hostname) {
+  return hostname
+    .split('.')
+    .map((label) => {
+      if (!label.toLowerCase().startsWith('xn--')) return label;
+      try {
+        return decodePunycode(label.slice(4).toLowerCase());
+      } catch (error) {
+        return label;
+      }
+    })
+    .join('.');
+}
+
+// ----- SCRIPTS -----
+
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Cherokee', 'Hebrew',
+  'Arabic', 'Devanagari', 'Bengali', 'Telugu', 'Kannada', 'Malayalam', 'Tamil',
+  'Thai', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo'
+].map((name) => [name, new RegExp(`\\p{Script=${name}}`, 'u')]);
+
+// Script mixes that are normal in real domains (UTS #39 "highly restrictive")
+const ALLOWED_MIXES = [
+  new Set(['Latin', 'Han', 'Hiragana', 'Katakana']),
+  new Set(['Latin', 'Han', 'Bopomofo']),
+  new Set(['Latin', 'Han', 'Hangul'])
+];
+
+function scriptOf(char) {
+  for (const [name, pattern] of SCRIPTS) {
+    if (pattern.test(char)) return name;
+  }
+  return /[\p{L}]/u.test(char) ? 'Other' : 'Common'; // digits, hyphen, marks
+}
+
+/**
+ * Lists the scripts used by a label (Common characters excluded)
+ *
+ * @param {string} label - Unicode domain label
+ * @returns {Set<string>} - Script names
+ */
+export function scriptsOf(label) {
+  const scripts = new Set();
+  for (const char of label) {
+    const script = scriptOf(char);
+    if (script !== 'Common') scripts.add(script);
+  }
+  return scripts;
+}
+
+function isMixedScript(scripts) {
+  if (scripts.size <= 1) return false;
+  return !ALLOWED_MIXES.some((allowed) => [...scripts].every((s) => allowed.has(s)));
+}
+
+// ----- SKELETON -----
+
+function prototypeOf(char) {
+  return CONFUSABLES.get(char) ?? CONFUSABLES.get(char.toLowerCase()) ?? char.toLowerCase();
+}
+
+/**
+ * Reduces a string to its confusables skeleton: two strings that render
+ * alike ("раypal" / "paypal", "rnicrosoft" / "microsoft") share a skeleton.
+ * Diacritics are dropped as well, since "pàypal" passes for "paypal" at a glance.
+ *
+ * @param {string} text - Label or domain
+ * @returns {string} - Skeleton
+ */
+export function skeleton(text) {
+  let result = '';
+  for (const char of text.normalize('NFKC').normalize('NFD')) {
+    if (/\p{M}/u.test(char)) continue;
+    // Prototypes are ASCII; map them once more so "м" -> "m" -> "rn" like ASCII "m"
+    for (const ascii of prototypeOf(char)) {
+      result += prototypeOf(ascii);
+    }
+  }
+  return result;
+}
+
+// Built lazily: skeleton -> real domain / brand
+let trustedIndex = null;
+let brandIndex = null;
+
+function brandLabel(rootDomain) {
+  return rootDomain.split('.')[0];
+}
+
+function buildIndexes() {
+  trustedIndex = new Map();
+  brandIndex = new Map();
+  for (const domain of TRUSTED_DOMAINS) {
+    trustedIndex.set(skeleton(domain), domain);
+    brandIndex.set(skeleton(brandLabel(domain)), brandLabel(domain));
+  }
+  for (const brand of PRIORITY_BRANDS) {
+    brandIndex.set(skeleton(brand), brand);
+  }
+}
+
+// ----- ANALYSIS -----
+
+function parseHostname(urlOrHostname) {
+  try {
+    const input = /^[a-z][a-z0-9+.-]*:\/\//i.test(urlOrHostname) ? urlOrHostname : `https://${urlOrHostname}`;
+    return new URL(input).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Checks a URL for lookalike-character impersonation
+ *
+ * @param {string} urlOrHostname - Page URL or hostname
+ * @returns {Object} - {
+ *     hostname,            // ASCII form
+ *     unicodeHostname,     // decoded display form
+ *     isPunycode,          // any xn-- label present
+ *     mixedScriptLabels,   // [{ label, scripts }]
+ *     wholeScriptLabels,   // non-Latin labels made only of Latin lookalikes
+ *     confusableChars,     // [{ char, codePoint, script, looksLike }]
+ *     skeleton,            // skeleton of the registrable domain
+ *     impersonatedBrand,   // brand label imitated, or null
+ *     impersonatedDomain,  // trusted domain imitated, or null
+ *     matchType,           // 'trusted_domain' | 'brand' | null
+ *     isSpoof              // true when a brand/domain is imitated with
+ *                          // punycode or non-ASCII lookalike characters
+ *   }
+ */
+export function analyzeHomoglyphs(urlOrHostname) {
+  const hostname = parseHostname(urlOrHostname || '');
+  const unicodeHostname = toUnicodeHostname(hostname);
+  const result = {
+    hostname,
+    unicodeHostname,
+    isPunycode: hostname.split('.').some((label) => label.startsWith('xn--')),
+    mixedScriptLabels: [],
+    wholeScriptLabels: [],
+    confusableChars: [],
+    skeleton: '',
+    impersonatedBrand: null,
+    impersonatedDomain: null,
+    matchType: null,
+    isSpoof: false
+  };
+  if (!hostname) return result;
+
+  for (const label of unicodeHostname.split('.')) {
+    const scripts = scriptsOf(label);
+    if (isMixedScript(scripts)) {
+      result.mixedScriptLabels.push({ label, scripts: [...scripts] });
+    } else if (scripts.size === 1 && !scripts.has('Latin') &&
+      [...label].every((char) => scriptOf(char) === 'Common' || CONFUSABLES.has(char))) {
+      result.wholeScriptLabels.push({ label, script: [...scripts][0] });
+    }
+  }
+
+  const seen = new Set();
+  for (const char of unicodeHostname) {
+    if (char.charCodeAt(0) < 128 || seen.has(char) || !CONFUSABLES.has(char)) continue;
+    seen.add(char);
+    result.confusableChars.push({
+      char,
+      codePoint: `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
+      script: scriptOf(char),
+      looksLike: CONFUSABLES.get(char)
+    });
+  }
+
+  const asciiRoot = getRootDomain(hostname);
+  const unicodeRoot = getRootDomain(unicodeHostname);
+  result.skeleton = skeleton(unicodeRoot);
+
+  // The real domain is never a spoof of itself
+  if (TRUSTED_DOMAINS.has(asciiRoot)) return result;
+  // Plain ASCII renders as what it is: digit and letter swaps are typosquats
+  if (!result.isPunycode && !result.confusableChars.length) return result;
+  if (!trustedIndex) buildIndexes();
+
+  const imitatedDomain = trustedIndex.get(result.skeleton);
+  if (imitatedDomain && imitatedDomain !== unicodeRoot) {
+    result.impersonatedDomain = imitatedDomain;
+    result.impersonatedBrand = brandLabel(imitatedDomain);
+    result.matchType = 'trusted_domain';
+    result.isSpoof = true;
+    return result;
+  }
+
+  // "раypal-secure.com": the brand as a whole label or one hyphen-separated token
+  const label = brandLabel(unicodeRoot);
+  for (const token of new Set([label, ...label.split('-')])) {
+    const brand = brandIndex.get(skeleton(token));
+    if (brand && brand !== token) {
+      result.impersonatedBrand = brand;
+      result.matchType = 'brand';
+      result.isSpoof = true;
+      break;
+    }
+  }
+
+  return result;
+}
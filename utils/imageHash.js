@@ -0,0 +1,250 @@
+/**
+ * Perceptual Image Fingerprints
+ *
+ * Compact descriptions of an image that survive re-encoding, resizing and
+ * small edits, so a copied logo or favicon can be recognised without sending
+ * it anywhere:
+ *
+ *   dhash      64-bit difference hash (9x8 grayscale, left/right gradients)
+ *   phash      64-bit DCT hash (32x32 grayscale, low 8x8 frequencies vs. median)
+ *   histogram  64-bin RGB colour histogram (4 levels per channel), normalized
+ *
+ * Hashes are 16-character hex strings; two images are similar when few bits
+ * differ (hammingDistance). Transparent pixels are drawn over white for the
+ * hashes and left out of the histogram. The image is first trimmed to its
+ * content (contentBounds), so the same mark with more or less padding around
+ * it hashes alike.
+ *
+ * Needs OffscreenCanvas + createImageBitmap (service worker or page).
+ */
+
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+const PHASH_SIZE = 32;
+const PHASH_LOW = 8;
+const HISTOGRAM_SIZE = 32;
+const HISTOGRAM_LEVELS = 4;
+const MIN_ALPHA = 128;
+// Largest copy of the image scanned for its content box
+const TRIM_SIZE = 128;
+// Channel level above which a pixel counts as white background
+const WHITE_LEVEL = 245;
+
+// DCT-II basis for the low frequencies of a 32-sample row/column
+const DCT_TABLE = Array.from({ length: PHASH_LOW }, (_, u) =>
+  Float64Array.from({ length: PHASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE)))
+);
+
+/**
+ * Draws part of an image onto a small canvas and returns its pixels
+ *
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @param {Object} box - { x, y, width, height } of the bitmap to draw
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {boolean} opaque - Fill with white first (hashes) or keep alpha (histogram)
+ * @returns {ImageData} - RGBA pixels
+ */
+function sample(bitmap, box, width, height, opaque) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (opaque) {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, box.x, box.y, box.width, box.height, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Content box of a bitmap, found on a copy at most TRIM_SIZE pixels wide
+ *
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @returns {Object} - { x, y, width, height } in bitmap pixels (the whole
+ *   bitmap when nothing is drawn)
+ */
+function trimBox(bitmap) {
+  const scale = Math.min(1, TRIM_SIZE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = new OffscreenCanvas(width, height).getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  const bounds = contentBounds(ctx.getImageData(0, 0, width, height));
+  if (!bounds) return { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+
+  const x = Math.floor(bounds.x / scale);
+  const y = Math.floor(bounds.y / scale);
+  return {
+    x,
+    y,
+    width: Math.min(bitmap.width, Math.ceil((bounds.x + bounds.width) / scale)) - x,
+    height: Math.min(bitmap.height, Math.ceil((bounds.y + bounds.height) / scale)) - y
+  };
+}
+
+function grayscale({ data, width, height }) {
+  const gray = new Float64Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Bounding box of the pixels that are drawn: visible and not white
+ *
+ * @param {ImageData} imageData - RGBA pixels
+ * @returns {Object|null} - { x, y, width, height }, null for a blank image
+ */
+export function contentBounds({ data, width, height }) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] < MIN_ALPHA) continue;
+      if (data[i] >= WHITE_LEVEL && data[i + 1] >= WHITE_LEVEL && data[i + 2] >= WHITE_LEVEL) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+    }
+  }
+  return right < 0 ? null : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Difference hash of 9x8 pixels: one bit per horizontal neighbour pair
+ *
+ * @param {ImageData} imageData - 9x8 RGBA pixels
+ * @returns {string} - 16 hex characters
+ */
+export function computeDHash(imageData) {
+  const gray = grayscale(imageData);
+  const bits = [];
+  for (let y = 0; y < DHASH_HEIGHT; y++) {
+    for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+      bits.push(gray[y * DHASH_WIDTH + x] > gray[y * DHASH_WIDTH + x + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+/**
+ * DCT hash of 32x32 pixels: the 8x8 lowest frequencies compared with their
+ * median (the DC term is left out of the median, it only carries brightness)
+ *
+ * @param {ImageData} imageData - 32x32 RGBA pixels
+ * @returns {string} - 16 hex characters
+ */
+export function computePHash(imageData) {
+  const gray = grayscale(imageData);
+
+  // Separable 2D DCT, keeping only the low frequencies
+  const rows = Array.from({ length: PHASH_SIZE }, (_, y) =>
+    DCT_TABLE.map((basis) => {
+      let sum = 0;
+      for (let x = 0; x < PHASH_SIZE; x++) sum += gray[y * PHASH_SIZE + x] * basis[x];
+      return sum;
+    })
+  );
+  const coefficients = [];
+  for (let v = 0; v < PHASH_LOW; v++) {
+    for (let u = 0; u < PHASH_LOW; u++) {
+      let sum = 0;
+      for (let y = 0; y < PHASH_SIZE; y++) sum += rows[y][u] * DCT_TABLE[v][y];
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map((c) => (c > median ? 1 : 0)));
+}
+
+/**
+ * Colour histogram over the visible pixels
+ *
+ * @param {ImageData} imageData - RGBA pixels (any size)
+ * @returns {Array<number>} - 64 bins summing to 1 (all zero for a blank image)
+ */
+export function computeHistogram({ data }) {
+  const bins = new Array(HISTOGRAM_LEVELS ** 3).fill(0);
+  const step = 256 / HISTOGRAM_LEVELS;
+  let counted = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < MIN_ALPHA) continue;
+    const r = Math.floor(data[i] / step);
+    const g = Math.floor(data[i + 1] / step);
+    const b = Math.floor(data[i + 2] / step);
+    bins[(r * HISTOGRAM_LEVELS + g) * HISTOGRAM_LEVELS + b]++;
+    counted++;
+  }
+  return bins.map((n) => (counted ? Math.round((n / counted) * 10000) / 10000 : 0));
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ *
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash of the same length
+ * @returns {number} - 0 (identical) .. 64
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) {
+      distance += x & 1;
+      x >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Overlap of two normalized histograms
+ *
+ * @param {Array<number>} a - Histogram
+ * @param {Array<number>} b - Histogram
+ * @returns {number} - 0 (no colours in common) .. 1 (same distribution)
+ */
+export function histogramIntersection(a, b) {
+  let overlap = 0;
+  for (let i = 0; i < a.length; i++) overlap += Math.min(a[i], b[i]);
+  return Math.round(overlap * 1000) / 1000;
+}
+
+/**
+ * Fingerprints an image
+ *
+ * @param {Blob|string} source - Image blob, or a data:/http(s) URL to fetch
+ * @returns {Promise<Object>} - { dhash, phash, histogram, width, height }
+ */
+export async function fingerprintImage(source) {
+  const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const box = trimBox(bitmap);
+    return {
+      dhash: computeDHash(sample(bitmap, box, DHASH_WIDTH, DHASH_HEIGHT, true)),
+      phash: computePHash(sample(bitmap, box, PHASH_SIZE, PHASH_SIZE, true)),
+      histogram: computeHistogram(sample(bitmap, box, HISTOGRAM_SIZE, HISTOGRAM_SIZE, false)),
+      width: bitmap.width,
+      height: bitmap.height
+    };
+  } finally {
+    bitmap.close();
+  }
+}
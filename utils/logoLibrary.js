@@ -0,0 +1,442 @@
+/**
+ * Local Logo Library
+ *
+ * Perceptual fingerprints (utils/imageHash.js) of the logos and favicons of
+ * the brands in data/brandAssets.js, matched on-device against what a page
+ * shows. The library is never downloaded as a whole:
+ *
+ *   bundled   marks and wordmarks fingerprinted ahead of time
+ *             (data/logoFingerprints.js) and the exact hashes of the brands'
+ *             favicon files (data/faviconHashes.js), so matching works on a
+ *             fresh install; counted as official
+ *   official  the icons each brand's home page declares and its
+ *             /favicon.ico, fetched from its first domain (seedLogoLibrary);
+ *             refreshes the bundled hashes when a brand changes its icon
+ *   visit     the logo crop and favicon seen on the home page of one of the
+ *             brand's own domains (learnLogo), a few per brand and kind. Only
+ *             the home page: other pages on those domains (profiles, hosted
+ *             sites, channels) show whatever their users upload
+ *
+ * Favicon entries also carry the exact hashes of the icon file
+ * (utils/faviconHash.js), so a byte-for-byte copy is recognised even when
+ * the perceptual match is ambiguous. Matches report their source: only an
+ * official fingerprint makes a strong visual match decisive.
+ *
+ * Stored in chrome.storage.local "logoLibrary" (the bundled entries are not stored):
+ *   [{ id, brand, name, domains, kind: 'logo'|'favicon', source, dhash, phash, histogram,
+ *      mmh3, sha256, url, addedAt, seenAt }]   // mmh3/sha256: favicons only, url: official only;
+ *                                              // dhash/phash/histogram null: icon not decodable
+ */
+
+import { BRAND_ASSETS } from '../data/brandAssets.js';
+import { LOGO_FINGERPRINTS } from '../data/logoFingerprints.js';
+import { FAVICON_HASHES } from '../data/faviconHashes.js';
+import { fingerprintImage, hammingDistance, histogramIntersection } from './imageHash.js';
+import { hashFavicon } from './faviconHash.js';
+import { isCountryVariant } from './domainUtils.js';
+
+const STORAGE_KEY = 'logoLibrary';
+const SEED_KEY = 'logoLibrarySeededAt';
+
+// Brands whose favicon could not be fetched are retried at most this often
+const SEED_RETRY_DAYS = 7;
+
+// Learned fingerprints kept per brand and kind (the oldest-seen are dropped)
+const MAX_LEARNED_PER_BRAND = 4;
+
+// A learned fingerprint this close to one already stored is the same image
+const DUPLICATE_DISTANCE = 4;
+
+const FETCH_TIMEOUT_MS = 8000;
+
+/**
+ * Match thresholds. distance is the mean of the pHash and dHash bit
+ * distances (0..64); colour is the histogram intersection (0..1). Strong
+ * matches are treated as impersonation, weak ones only raise suspicion.
+ */
+export const LOGO_MATCH_THRESHOLDS = {
+  strong: { distance: 8, colour: 0.6 },
+  weak: { distance: 14, colour: 0.4 }
+};
+
+// Share of the pixels in one colour bin above which an image (empty crop,
+// placeholder icon) is blank: it would match every other blank image...
+const BLANK_COLOUR_SHARE = 0.97;
+// ...unless its dHash has at least this many bits set: a one-colour glyph
+// on a transparent background (most brand marks) still has a shape
+const MIN_SHAPE_BITS = 8;
+
+const NO_BITS = '0'.repeat(16);
+
+// Official fingerprints shipped with the extension, in the stored entry shape
+const BUNDLED_ENTRIES = LOGO_FINGERPRINTS.map((fingerprint, index) => {
+  const asset = BRAND_ASSETS.find((a) => a.brand === fingerprint.brand);
+  return {
+    id: `bundled-${fingerprint.brand}-${fingerprint.kind}-${index}`,
+    brand: asset.brand,
+    name: asset.name,
+    domains: asset.domains,
+    kind: fingerprint.kind,
+    source: 'official',
+    origin: fingerprint.origin,
+    dhash: fingerprint.dhash,
+    phash: fingerprint.phash,
+    histogram: fingerprint.histogram,
+    mmh3: null,
+    sha256: null
+  };
+});
+
+// Exact favicon hashes shipped with the extension (no perceptual fingerprint)
+const BUNDLED_HASH_ENTRIES = FAVICON_HASHES.map((icon, index) => {
+  const asset = BRAND_ASSETS.find((a) => a.brand === icon.brand);
+  return {
+    id: `bundled-${icon.brand}-favicon-hash-${index}`,
+    brand: asset.brand,
+    name: asset.name,
+    domains: asset.domains,
+    kind: 'favicon',
+    source: 'official',
+    url: icon.url,
+    mmh3: icon.mmh3,
+    sha256: icon.sha256
+  };
+});
+
+// Writes are read-modify-write on one storage key; run them one at a time
+let writeQueue = Promise.resolve();
+
+function withWriteLock(fn) {
+  const next = writeQueue.then(fn, fn);
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+async function readEntries() {
+  const { [STORAGE_KEY]: entries } = await chrome.storage.local.get(STORAGE_KEY);
+  return entries || [];
+}
+
+async function writeEntries(entries) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+}
+
+/**
+ * The brand whose official domains include rootDomain
+ *
+ * Domains shared by several brands (youtube.com is listed for Google too)
+ * belong to the brand that lists them first.
+ *
+ * @param {string} rootDomain - Registrable domain
+ * @returns {Object|null} - BRAND_ASSETS entry
+ */
+export function findBrandForDomain(rootDomain) {
+  return BRAND_ASSETS.find((asset) => asset.domains[0] === rootDomain) ||
+    BRAND_ASSETS.find((asset) => asset.domains.includes(rootDomain)) || null;
+}
+
+/**
+ * @param {Object} fingerprint - fingerprintImage() result
+ * @returns {boolean} - true when the image carries too little detail to match
+ *   (or was not decoded at all)
+ */
+export function isBlankFingerprint(fingerprint) {
+  if (!fingerprint?.histogram || fingerprint.histogram.every((share) => share === 0)) return true;
+  return Math.max(...fingerprint.histogram) >= BLANK_COLOUR_SHARE &&
+    hammingDistance(fingerprint.dhash, NO_BITS) < MIN_SHAPE_BITS;
+}
+
+// Current domain list of an entry's brand (stored entries keep the list they were added with)
+function brandDomains(entry) {
+  return BRAND_ASSETS.find((asset) => asset.brand === entry.brand)?.domains || entry.domains;
+}
+
+// A brand owns its listed domains and their country sites (google.co.uk)
+function ownsDomain(domains, rootDomain) {
+  return domains.includes(rootDomain) || domains.some((domain) => isCountryVariant(rootDomain, domain));
+}
+
+function distanceBetween(a, b) {
+  return Math.round((hammingDistance(a.phash, b.phash) + hammingDistance(a.dhash, b.dhash)) / 2);
+}
+
+/**
+ * Exact hashes and, when the image decodes, the perceptual fingerprint of a
+ * favicon file. The bytes are hashed first: an icon createImageBitmap cannot
+ * decode (SVG, some .ico variants) is still recognised byte-for-byte.
+ *
+ * @param {Blob} blob - Icon file as served
+ * @returns {Promise<Object>} - hashFavicon() result, plus fingerprintImage() when decodable
+ */
+export async function fingerprintFaviconFile(blob) {
+  const hashes = await hashFavicon(blob);
+  try {
+    return { ...hashes, ...(await fingerprintImage(blob)) };
+  } catch (error) {
+    console.log('[LogoLibrary] Favicon not decodable, exact hashes only:', error.message);
+    return hashes;
+  }
+}
+
+// Favicons that were not decodable still count when their exact hashes are known
+function isUsableFavicon(fingerprint) {
+  return fingerprint.dhash ? !isBlankFingerprint(fingerprint) : !!fingerprint.sha256;
+}
+
+function addEntry(entries, asset, kind, source, fingerprint) {
+  const now = Date.now();
+  const duplicate = source === 'visit' && entries.find((e) => e.brand === asset.brand && e.kind === kind &&
+    (e.dhash && fingerprint.dhash
+      ? distanceBetween(e, fingerprint) <= DUPLICATE_DISTANCE
+      : !!fingerprint.sha256 && e.sha256 === fingerprint.sha256));
+  if (duplicate) {
+    duplicate.seenAt = now;
+    // Same look, other file (re-encoded icon): remember its bytes too
+    if (fingerprint.sha256 && !duplicate.sha256) {
+      duplicate.mmh3 = fingerprint.mmh3;
+      duplicate.sha256 = fingerprint.sha256;
+    }
+    return false;
+  }
+
+  entries.push({
+    id: `${asset.brand}-${kind}-${now.toString(36)}-${entries.length}`,
+    brand: asset.brand,
+    name: asset.name,
+    domains: asset.domains,
+    kind,
+    source,
+    dhash: fingerprint.dhash ?? null,
+    phash: fingerprint.phash ?? null,
+    histogram: fingerprint.histogram ?? null,
+    mmh3: fingerprint.mmh3 ?? null,
+    sha256: fingerprint.sha256 ?? null,
+    url: fingerprint.url ?? null,
+    addedAt: now,
+    seenAt: now
+  });
+
+  if (source === 'visit') {
+    const learned = entries
+      .filter((e) => e.brand === asset.brand && e.kind === kind && e.source === 'visit')
+      .sort((a, b) => a.seenAt - b.seenAt);
+    for (const stale of learned.slice(0, Math.max(0, learned.length - MAX_LEARNED_PER_BRAND))) {
+      entries.splice(entries.indexOf(stale), 1);
+    }
+  }
+  return true;
+}
+
+// Icons a home page declares that are fetched per brand (plus /favicon.ico)
+const MAX_DECLARED_ICONS = 4;
+
+async function fetchOk(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), credentials: 'omit' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response;
+}
+
+/**
+ * The icons a brand's home page declares (<link rel="icon">, apple-touch-icon,
+ * ...), which is what a kit copying the page copies, then /favicon.ico
+ *
+ * @param {string} domain - Brand domain
+ * @returns {Promise<Array<string>>} - https URLs
+ */
+async function brandIconUrls(domain) {
+  const urls = [];
+  try {
+    const response = await fetchOk(`https://${domain}/`);
+    const html = await response.text();
+    for (const tag of html.match(/<link\b[^>]*>/gi) || []) {
+      const rel = /\brel\s*=\s*["']?([^"'>]+)/i.exec(tag)?.[1] || '';
+      const href = /\bhref\s*=\s*["']?([^"'\s>]+)/i.exec(tag)?.[1];
+      if (href && /\bicon\b/i.test(rel)) urls.push(new URL(href.replace(/&amp;/g, '&'), response.url).href);
+    }
+  } catch (error) {
+    console.warn(`[LogoLibrary] No home page for ${domain}:`, error.message);
+  }
+  const declared = urls.filter((url) => url.startsWith('https:')).slice(0, MAX_DECLARED_ICONS);
+  return [...new Set([...declared, `https://${domain}/favicon.ico`])];
+}
+
+/**
+ * Downloads, fingerprints and hashes the official favicons of every brand
+ * that has none yet: the icons its home page declares and /favicon.ico.
+ * Brands whose icons cannot be fetched or decoded are skipped and retried
+ * once SEED_RETRY_DAYS have passed.
+ *
+ * @param {Object} [options] - { force } to fetch every brand again, now
+ * @returns {Promise<number>} - Number of fingerprints added
+ */
+export async function seedLogoLibrary({ force = false } = {}) {
+  const { [SEED_KEY]: seededAt } = await chrome.storage.local.get(SEED_KEY);
+  if (!force && seededAt && Date.now() - seededAt < SEED_RETRY_DAYS * 24 * 60 * 60 * 1000) return 0;
+  await chrome.storage.local.set({ [SEED_KEY]: Date.now() });
+
+  // Favicons fingerprinted before exact hashes were kept are fetched again
+  const seeded = new Set((await readEntries())
+    .filter((e) => e.source === 'official' && e.sha256)
+    .map((e) => e.brand));
+
+  let added = 0;
+  for (const asset of BRAND_ASSETS) {
+    if (!force && seeded.has(asset.brand)) continue;
+
+    const icons = [];
+    for (const url of await brandIconUrls(asset.domains[0])) {
+      try {
+        const blob = await (await fetchOk(url)).blob();
+        const fingerprint = { url, ...(await fingerprintFaviconFile(blob)) };
+        if (isUsableFavicon(fingerprint) && !icons.some((icon) => icon.sha256 === fingerprint.sha256)) {
+          icons.push(fingerprint);
+        }
+      } catch (error) {
+        console.warn(`[LogoLibrary] No favicon for ${asset.name} at ${url}:`, error.message);
+      }
+    }
+    if (!icons.length) continue;
+
+    await withWriteLock(async () => {
+      // The brand's current icons replace the ones downloaded before
+      const entries = (await readEntries())
+        .filter((e) => !(e.brand === asset.brand && e.kind === 'favicon' && e.source === 'official'));
+      for (const icon of icons) {
+        if (addEntry(entries, asset, 'favicon', 'official', icon)) added++;
+      }
+      await writeEntries(entries);
+    });
+  }
+  return added;
+}
+
+/**
+ * Remembers a logo or favicon seen on one of a brand's own domains
+ *
+ * The caller makes sure the page is the domain's home page (see
+ * logoMatcher.js); anything else there may be user content.
+ *
+ * @param {string} rootDomain - Registrable domain of the page
+ * @param {string} kind - 'logo' or 'favicon'
+ * @param {Object} fingerprint - fingerprintImage() result (favicons: fingerprintFaviconFile())
+ * @returns {Promise<boolean>} - true when a new fingerprint was stored
+ */
+export async function learnLogo(rootDomain, kind, fingerprint) {
+  const asset = findBrandForDomain(rootDomain);
+  if (!asset || !(kind === 'favicon' ? isUsableFavicon(fingerprint) : !isBlankFingerprint(fingerprint))) return false;
+
+  return withWriteLock(async () => {
+    const entries = await readEntries();
+    const added = addEntry(entries, asset, kind, 'visit', fingerprint);
+    await writeEntries(entries);
+    return added;
+  });
+}
+
+/**
+ * Finds the best library fingerprint of the same kind
+ *
+ * When any matching fingerprint belongs to a brand that owns rootDomain
+ * (one of its domains or a country site of one), that one is returned with
+ * owned: true (a brand's logo on its own sister site is not impersonation).
+ *
+ * @param {Object} fingerprint - fingerprintImage() result
+ * @param {string} kind - 'logo' or 'favicon'
+ * @param {string} rootDomain - Registrable domain of the page
+ * @returns {Promise<Object|null>} - { brand, name, kind, officialDomains, distance, colour, strength, owned, source }
+ *   or null when nothing is within the weak threshold
+ */
+export async function matchFingerprint(fingerprint, kind, rootDomain) {
+  if (isBlankFingerprint(fingerprint)) return null;
+
+  const candidates = [];
+  for (const entry of [...BUNDLED_ENTRIES, ...await readEntries()]) {
+    if (entry.kind !== kind || !entry.dhash) continue;
+    const distance = distanceBetween(entry, fingerprint);
+    const colour = histogramIntersection(entry.histogram, fingerprint.histogram);
+    const strength = distance <= LOGO_MATCH_THRESHOLDS.strong.distance && colour >= LOGO_MATCH_THRESHOLDS.strong.colour
+      ? 'strong'
+      : distance <= LOGO_MATCH_THRESHOLDS.weak.distance && colour >= LOGO_MATCH_THRESHOLDS.weak.colour
+        ? 'weak'
+        : null;
+    if (!strength) continue;
+
+    candidates.push({
+      brand: entry.brand,
+      name: entry.name,
+      kind,
+      officialDomains: brandDomains(entry),
+      distance,
+      colour,
+      strength,
+      owned: ownsDomain(brandDomains(entry), rootDomain),
+      source: entry.source
+    });
+  }
+
+  // Strong before weak, official before learned, then closest
+  candidates.sort((a, b) => (a.strength === 'strong' ? 0 : 1) - (b.strength === 'strong' ? 0 : 1) ||
+    (a.source === 'official' ? 0 : 1) - (b.source === 'official' ? 0 : 1) ||
+    a.distance - b.distance || b.colour - a.colour);
+  return candidates.find((c) => c.owned) || candidates[0] || null;
+}
+
+/**
+ * Finds favicons in the library that are the same file as the page's
+ *
+ * As with matchFingerprint, a brand owning rootDomain takes precedence.
+ *
+ * @param {Object} hashes - hashFavicon() result
+ * @param {string} rootDomain - Registrable domain of the page
+ * @returns {Promise<Object|null>} - { brand, name, officialDomains, hash: 'sha256'|'mmh3', owned, source }
+ */
+export async function matchFaviconHash({ mmh3, sha256 }, rootDomain) {
+  const candidates = [];
+  for (const entry of [...BUNDLED_HASH_ENTRIES, ...await readEntries()]) {
+    if (entry.kind !== 'favicon' || !entry.sha256) continue;
+    const hash = entry.sha256 === sha256 ? 'sha256' : entry.mmh3 === mmh3 ? 'mmh3' : null;
+    if (!hash) continue;
+    candidates.push({
+      brand: entry.brand,
+      name: entry.name,
+      officialDomains: brandDomains(entry),
+      hash,
+      owned: ownsDomain(brandDomains(entry), rootDomain),
+      source: entry.source
+    });
+  }
+  return candidates.find((c) => c.owned) || candidates[0] || null;
+}
+
+/**
+ * Library size for the options page
+ *
+ * @returns {Promise<Object>} - { total, brands, bundled, bundledHashes, official, learned }
+ *   (official: downloaded favicons, bundled not included)
+ */
+export async function getLogoLibrarySummary() {
+  const entries = await readEntries();
+  const bundled = [...BUNDLED_ENTRIES, ...BUNDLED_HASH_ENTRIES];
+  return {
+    total: bundled.length + entries.length,
+    brands: new Set([...bundled, ...entries].map((e) => e.brand)).size,
+    bundled: BUNDLED_ENTRIES.length,
+    bundledHashes: BUNDLED_HASH_ENTRIES.length,
+    official: entries.filter((e) => e.source === 'official').length,
+    learned: entries.filter((e) => e.source === 'visit').length
+  };
+}
+
+/**
+ * Forgets every learned fingerprint (official favicons are kept)
+ *
+ * @returns {Promise<number>} - Number of fingerprints removed
+ */
+export async function clearLearnedLogos() {
+  return withWriteLock(async () => {
+    const entries = await readEntries();
+    const kept = entries.filter((e) => e.source !== 'visit');
+    await writeEntries(kept);
+    return entries.length - kept.length;
+  });
+}
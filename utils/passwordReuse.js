@@ -0,0 +1,121 @@
+/**
+ * Password Reuse Detection
+ *
+ * Remembers salted hashes of passwords typed on protected domains (the
+ * TRUSTED_DOMAINS whitelist plus the user's own protected list) and flags
+ * the same password being typed anywhere else.
+ *
+ * Hashing happens in the content script (PBKDF2-SHA256 with a per-install
+ * random salt). Only the derived hash ever reaches this module; plaintext is
+ * never persisted and never leaves the browser.
+ */
+
+import { isDomainWhitelisted, getRootDomain } from './domainUtils.js';
+import { getSettings } from './settings.js';
+
+const SALT_KEY = 'passwordSalt';
+const HASHES_KEY = 'protectedPasswordHashes';
+const EVENTS_KEY = 'passwordReuseEvents';
+
+// Keep storage bounded: oldest entries are dropped first
+const MAX_HASHES = 50;
+const MAX_EVENTS = 100;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Returns the per-install salt, creating it on first use
+ *
+ * @returns {Promise<string>} - Base64-encoded 16-byte salt
+ */
+export async function getPasswordSalt() {
+  const { [SALT_KEY]: existing } = await chrome.storage.local.get(SALT_KEY);
+  if (existing) return existing;
+
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  await chrome.storage.local.set({ [SALT_KEY]: salt });
+  return salt;
+}
+
+/**
+ * Whether passwords typed on this URL should be remembered
+ *
+ * @param {string} url - Page URL
+ * @returns {Promise<boolean>}
+ */
+export async function isProtectedDomain(url) {
+  if (isDomainWhitelisted(url)) return true;
+  const settings = await getSettings();
+  return (settings.protectedDomains || []).includes(getRootDomain(url));
+}
+
+/**
+ * Remembers a password hash as belonging to a protected domain
+ *
+ * @param {string} hash - Salted password hash (hex)
+ * @param {string} rootDomain - Protected domain the password was typed on
+ */
+export async function recordProtectedHash(hash, rootDomain) {
+  const { [HASHES_KEY]: hashes = {} } = await chrome.storage.local.get(HASHES_KEY);
+  const entry = hashes[hash] || { domains: [] };
+  if (!entry.domains.includes(rootDomain)) entry.domains.push(rootDomain);
+  entry.lastSeen = Date.now();
+  hashes[hash] = entry;
+
+  const ordered = Object.entries(hashes).sort((a, b) => b[1].lastSeen - a[1].lastSeen);
+  await chrome.storage.local.set({ [HASHES_KEY]: Object.fromEntries(ordered.slice(0, MAX_HASHES)) });
+}
+
+/**
+ * Looks up a hash among remembered protected passwords
+ *
+ * @param {string} hash - Salted password hash (hex)
+ * @returns {Promise<string[]|null>} - Protected domains using this password, or null
+ */
+export async function findProtectedDomains(hash) {
+  const { [HASHES_KEY]: hashes = {} } = await chrome.storage.local.get(HASHES_KEY);
+  return hashes[hash]?.domains || null;
+}
+
+/**
+ * Records a reuse alert (no password material is stored)
+ *
+ * @param {Object} event - { url, domain, protectedDomains }
+ */
+export async function recordReuseEvent(event) {
+  const { [EVENTS_KEY]: events = [] } = await chrome.storage.local.get(EVENTS_KEY);
+  events.unshift({ ...event, detectedAt: Date.now() });
+  await chrome.storage.local.set({ [EVENTS_KEY]: events.slice(0, MAX_EVENTS) });
+}
+
+/**
+ * Handles a password hash reported by the content script
+ *
+ * Hashes reported mid-typing are only compared, never remembered, so a
+ * half-typed password on a protected site does not become a stored hash.
+ *
+ * @param {string} hash - Salted password hash (hex)
+ * @param {string} url - Page the password was typed on
+ * @param {boolean} final - True once the field value is settled (change/submit)
+ * @returns {Promise<Object>} - { status: 'recorded'|'reuse'|'ok', protectedDomains? }
+ */
+export async function checkPasswordHash(hash, url, final) {
+  const rootDomain = getRootDomain(url);
+
+  if (await isProtectedDomain(url)) {
+    if (!final) return { status: 'ok' };
+    await recordProtectedHash(hash, rootDomain);
+    return { status: 'recorded' };
+  }
+
+  const protectedDomains = await findProtectedDomains(hash);
+  if (!protectedDomains || protectedDomains.includes(rootDomain)) {
+    return { status: 'ok' };
+  }
+
+  console.warn(`[PasswordReuse] Password for ${protectedDomains.join(', ')} typed on ${rootDomain}`);
+  await recordReuseEvent({ url, domain: rootDomain, protectedDomains });
+  return { status: 'reuse', protectedDomains };
+}
@@ -0,0 +1,257 @@
+/**
+ * Registrable Domain Resolution (Public Suffix List)
+ *
+ * Single source of truth for "what is the site" across the extension:
+ * background.js (cache keys, whitelist), offpage.js (the domain sent to
+ * RDAP), davssService.js (brand/TLD comparison) and the content script
+ * (subdomain count, URL deception).
+ *
+ *   login.foo.co.uk        -> foo.co.uk      (ICANN rule co.uk)
+ *   alice.github.io        -> alice.github.io (PRIVATE rule github.io)
+ *   a.b.compute.amazonaws.com -> a.b.compute.amazonaws.com (wildcard rule)
+ *   www.ck                 -> www.ck         (exception rule !www.ck)
+ *
+ * Rules come from the bundled list in data/publicSuffixList.js until a
+ * downloaded copy is loaded from chrome.storage.local (loadStoredSuffixList),
+ * which updatePublicSuffixList() refreshes from publicsuffix.org.
+ */
+
+import { BUNDLED_PUBLIC_SUFFIX_LIST, PSL_BUNDLED_VERSION } from '../data/publicSuffixList.js';
+
+const PSL_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const STORAGE_KEY = 'publicSuffixList';
+
+// A real list has ~10k rules; anything far smaller is a truncated/bogus download
+const MIN_RULES = 5000;
+
+// Downloaded lists older than this are refreshed
+export const PSL_MAX_AGE_DAYS = 30;
+
+const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+function toAsciiLabel(label) {
+  if (/^[\x00-\x7f]*$/.test(label)) return label;
+  try {
+    return new URL(`http://${label}.invalid`).hostname.split('.')[0];
+  } catch (error) {
+    return label;
+  }
+}
+
+/**
+ * Parses Public Suffix List text (the .dat format)
+ *
+ * @param {string} text - List contents
+ * @returns {Object} - { rules: Map(suffix -> { type, isPrivate }), count }
+ *   where type is 'normal', 'wildcard' (stored without "*.") or 'exception'
+ *   (stored without "!")
+ */
+export function parsePublicSuffixList(text) {
+  const rules = new Map();
+  let isPrivate = false;
+  let count = 0;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (line.startsWith('//')) {
+      if (line.includes('===BEGIN PRIVATE DOMAINS===')) isPrivate = true;
+      if (line.includes('===END PRIVATE DOMAINS===')) isPrivate = false;
+      continue;
+    }
+
+    // Only the first whitespace-separated token is the rule
+    let rule = line.split(/\s/)[0].toLowerCase();
+    let type = 'normal';
+    if (rule.startsWith('!')) {
+      type = 'exception';
+      rule = rule.slice(1);
+    } else if (rule.startsWith('*.')) {
+      type = 'wildcard';
+      rule = rule.slice(2);
+    }
+    rule = rule.split('.').map(toAsciiLabel).join('.');
+
+    // Keyed by type so a wildcard and a normal rule for the same suffix can coexist
+    rules.set(`${type}:${rule}`, { type, isPrivate });
+    count++;
+  }
+
+  return { rules, count };
+}
+
+let active = {
+  ...parsePublicSuffixList(BUNDLED_PUBLIC_SUFFIX_LIST),
+  version: PSL_BUNDLED_VERSION,
+  source: 'bundled'
+};
+
+function hasRule(type, suffix) {
+  return active.rules.get(`${type}:${suffix}`) || null;
+}
+
+function normalizeHostname(input) {
+  if (!input) return '';
+  let hostname = String(input).trim();
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(hostname)) {
+    try {
+      hostname = new URL(hostname).hostname;
+    } catch (error) {
+      const match = hostname.match(/^[a-z][a-z0-9+.-]*:\/\/([^\/?#:]+)/i);
+      hostname = match ? match[1] : '';
+    }
+  }
+  return hostname.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Finds the public suffix of a hostname
+ *
+ * @param {string} urlOrHostname - Full URL or hostname
+ * @returns {Object|null} - { suffix, isPrivate, isIcann } or null for IPs / empty input;
+ *   unknown TLDs fall back to the implicit "*" rule (last label)
+ */
+export function getPublicSuffix(urlOrHostname) {
+  const hostname = normalizeHostname(urlOrHostname);
+  if (!hostname || IPV4_PATTERN.test(hostname) || hostname.includes(':')) return null;
+
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    const parent = labels.slice(i + 1).join('.');
+
+    // Exception rules win: "!www.ck" makes "ck" the suffix of www.ck
+    const exception = hasRule('exception', candidate);
+    if (exception) {
+      return { suffix: parent, isPrivate: exception.isPrivate, isIcann: !exception.isPrivate };
+    }
+
+    const match = hasRule('normal', candidate) || (parent && hasRule('wildcard', parent));
+    if (match) {
+      return { suffix: candidate, isPrivate: match.isPrivate, isIcann: !match.isPrivate };
+    }
+  }
+
+  return { suffix: labels[labels.length - 1], isPrivate: false, isIcann: false };
+}
+
+/**
+ * Returns the registrable domain (public suffix + one label)
+ *
+ * @param {string} urlOrHostname - Full URL or hostname
+ * @returns {string|null} - e.g. "foo.co.uk"; the IP itself for IPv4 hosts;
+ *   null when the hostname is itself a public suffix or empty
+ */
+export function getRegistrableDomain(urlOrHostname) {
+  const hostname = normalizeHostname(urlOrHostname);
+  if (!hostname) return null;
+  if (IPV4_PATTERN.test(hostname) || hostname.includes(':')) return hostname;
+
+  const publicSuffix = getPublicSuffix(hostname);
+  if (!publicSuffix || hostname === publicSuffix.suffix) return null;
+
+  const labels = hostname.split('.');
+  const suffixLength = publicSuffix.suffix.split('.').length;
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Splits a hostname into subdomain, registrable label and public suffix
+ *
+ * @param {string} urlOrHostname - Full URL or hostname
+ * @returns {Object} - { hostname, subdomain, label, suffix, registrableDomain, isPrivate }
+ *   ("login.foo.co.uk" -> subdomain "login", label "foo", suffix "co.uk")
+ */
+export function parseDomain(urlOrHostname) {
+  const hostname = normalizeHostname(urlOrHostname);
+  const registrableDomain = getRegistrableDomain(hostname);
+  const publicSuffix = getPublicSuffix(hostname);
+
+  if (!registrableDomain || !publicSuffix) {
+    return {
+      hostname,
+      subdomain: '',
+      label: registrableDomain || hostname,
+      suffix: publicSuffix ? publicSuffix.suffix : '',
+      registrableDomain: registrableDomain || hostname,
+      isPrivate: false
+    };
+  }
+
+  return {
+    hostname,
+    subdomain: hostname.slice(0, Math.max(0, hostname.length - registrableDomain.length - 1)),
+    label: registrableDomain.slice(0, registrableDomain.length - publicSuffix.suffix.length - 1),
+    suffix: publicSuffix.suffix,
+    registrableDomain,
+    isPrivate: publicSuffix.isPrivate
+  };
+}
+
+// ----- UPDATES -----
+
+/**
+ * Describes the list currently in use
+ *
+ * @returns {Object} - { version, source, count }
+ */
+export function getSuffixListInfo() {
+  return { version: active.version, source: active.source, count: active.count };
+}
+
+/**
+ * Switches to the downloaded list in chrome.storage.local, if any
+ *
+ * @returns {Promise<Object|null>} - Stored { fetchedAt } metadata, or null
+ */
+export async function loadStoredSuffixList() {
+  try {
+    const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+    if (!stored || !stored.text) return null;
+
+    const parsed = parsePublicSuffixList(stored.text);
+    if (parsed.count < MIN_RULES) return null;
+
+    active = { ...parsed, version: new Date(stored.fetchedAt).toISOString().slice(0, 10), source: 'downloaded' };
+    return { fetchedAt: stored.fetchedAt };
+  } catch (error) {
+    console.warn('[PSL] Could not load stored list, using bundled copy:', error);
+    return null;
+  }
+}
+
+/**
+ * Downloads the current list from publicsuffix.org, stores and activates it
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Download even if the stored copy is fresh
+ * @returns {Promise<Object>} - { updated, count, reason }
+ */
+export async function updatePublicSuffixList({ force = false } = {}) {
+  const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+  const maxAge = PSL_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  if (!force && stored?.fetchedAt && Date.now() - stored.fetchedAt < maxAge) {
+    return { updated: false, count: active.count, reason: 'Stored list is fresh' };
+  }
+
+  try {
+    const response = await fetch(PSL_URL);
+    if (!response.ok) {
+      return { updated: false, count: active.count, reason: `HTTP ${response.status}` };
+    }
+    const text = await response.text();
+    const parsed = parsePublicSuffixList(text);
+    if (parsed.count < MIN_RULES) {
+      return { updated: false, count: active.count, reason: `Only ${parsed.count} rules in download` };
+    }
+
+    const fetchedAt = Date.now();
+    await chrome.storage.local.set({ [STORAGE_KEY]: { text, fetchedAt } });
+    active = { ...parsed, version: new Date(fetchedAt).toISOString().slice(0, 10), source: 'downloaded' };
+    console.log(`[PSL] Updated public suffix list (${parsed.count} rules)`);
+    return { updated: true, count: parsed.count, reason: null };
+  } catch (error) {
+    console.warn('[PSL] Update failed, keeping current list:', error);
+    return { updated: false, count: active.count, reason: error.message };
+  }
+}
@@ -0,0 +1,333 @@
+/**
+ * RDAP Client
+ *
+ * Looks up domain registration data from the authoritative RDAP server
+ * instead of relying on a single proxy:
+ * 1. Finds the registry's RDAP base URL for the TLD in the IANA bootstrap
+ *    registry (bundled in data/rdapBootstrap.js, refreshed from data.iana.org)
+ * 2. Queries it with a timeout, retrying network errors, timeouts, 429 and
+ *    5xx responses with exponential backoff
+ * 3. Follows the registry's "related" link to the registrar's RDAP server,
+ *    which often holds details the thin registry record lacks
+ *
+ * TLDs without a bootstrap entry fall back to the rdap.org redirector.
+ * Every server can be replaced through the config (e.g. servers:
+ * ["http://localhost:8080/"] to run against a local mock RDAP server).
+ */
+
+import { BUNDLED_RDAP_BOOTSTRAP, RDAP_BOOTSTRAP_BUNDLED_VERSION } from '../data/rdapBootstrap.js';
+
+const STORAGE_KEY = 'rdapBootstrap';
+
+// The full IANA registry has several hundred services; fewer means a bad download
+const MIN_SERVICES = 50;
+
+// Downloaded registries older than this are refreshed
+export const RDAP_BOOTSTRAP_MAX_AGE_DAYS = 7;
+
+// Longest wait between retries, whatever Retry-After asks for
+const MAX_BACKOFF_MS = 10000;
+
+export const DEFAULT_RDAP_CONFIG = {
+  // IANA bootstrap registry for DNS (RFC 9224)
+  bootstrapUrl: 'https://data.iana.org/rdap/dns.json',
+  // Base URLs queried instead of the bootstrap result (mock or self-hosted servers)
+  servers: [],
+  // Base URLs tried when the bootstrap has no server for the TLD
+  fallbackServers: ['https://rdap.org/'],
+  timeoutMs: 8000,
+  retries: 2,
+  backoffMs: 500,
+  followReferrals: true
+};
+
+// ----- BOOTSTRAP REGISTRY -----
+
+/**
+ * Indexes an IANA bootstrap file by TLD
+ *
+ * @param {Object} registry - Parsed dns.json ({ services: [[[tlds], [urls]], ...] })
+ * @returns {Object} - { servers: Map(tld -> base URLs), count }
+ */
+export function indexBootstrap(registry) {
+  const servers = new Map();
+  const services = Array.isArray(registry?.services) ? registry.services : [];
+
+  for (const [tlds, urls] of services) {
+    if (!Array.isArray(tlds) || !Array.isArray(urls) || !urls.length) continue;
+    // The registry may list an http:// mirror next to the https:// one
+    const secure = urls.filter((url) => url.startsWith('https://'));
+    for (const tld of tlds) {
+      servers.set(String(tld).toLowerCase(), secure.length ? secure : urls);
+    }
+  }
+
+  return { servers, count: services.length };
+}
+
+let bootstrap = {
+  ...indexBootstrap(BUNDLED_RDAP_BOOTSTRAP),
+  version: RDAP_BOOTSTRAP_BUNDLED_VERSION,
+  source: 'bundled'
+};
+let storedLoaded = null;
+
+/**
+ * Describes the bootstrap registry currently in use
+ *
+ * @returns {Object} - { version, source, count }
+ */
+export function getRdapBootstrapInfo() {
+  return { version: bootstrap.version, source: bootstrap.source, count: bootstrap.count };
+}
+
+/**
+ * Switches to the downloaded registry in chrome.storage.local, if any
+ *
+ * @returns {Promise<Object|null>} - Stored { fetchedAt } metadata, or null
+ */
+export async function loadStoredRdapBootstrap() {
+  try {
+    const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+    if (!stored || !stored.registry) return null;
+
+    const indexed = indexBootstrap(stored.registry);
+    if (indexed.count < MIN_SERVICES) return null;
+
+    bootstrap = { ...indexed, version: stored.registry.publication || 'unknown', source: 'downloaded' };
+    return { fetchedAt: stored.fetchedAt };
+  } catch (error) {
+    console.warn('[RDAP] Could not load stored bootstrap, using bundled copy:', error);
+    return null;
+  }
+}
+
+// Service workers restart often; load the stored registry once per lifetime
+function ensureBootstrapLoaded() {
+  if (!storedLoaded) storedLoaded = loadStoredRdapBootstrap();
+  return storedLoaded;
+}
+
+/**
+ * Downloads the IANA bootstrap registry, stores and activates it
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Download even if the stored copy is fresh
+ * @param {string} [options.bootstrapUrl] - Registry URL (defaults to IANA)
+ * @returns {Promise<Object>} - { updated, count, reason }
+ */
+export async function updateRdapBootstrap({ force = false, bootstrapUrl } = {}) {
+  await ensureBootstrapLoaded();
+  const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+  const maxAge = RDAP_BOOTSTRAP_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  if (!force && stored?.fetchedAt && Date.now() - stored.fetchedAt < maxAge) {
+    return { updated: false, count: bootstrap.count, reason: 'Stored bootstrap is fresh' };
+  }
+
+  const url = bootstrapUrl || DEFAULT_RDAP_CONFIG.bootstrapUrl;
+  const result = await fetchJson(url, DEFAULT_RDAP_CONFIG);
+  if (!result.data) {
+    return { updated: false, count: bootstrap.count, reason: result.error || `HTTP ${result.status}` };
+  }
+
+  const indexed = indexBootstrap(result.data);
+  if (indexed.count < MIN_SERVICES) {
+    return { updated: false, count: bootstrap.count, reason: `Only ${indexed.count} services in download` };
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: { registry: result.data, fetchedAt: Date.now() } });
+  bootstrap = { ...indexed, version: result.data.publication || 'unknown', source: 'downloaded' };
+  console.log(`[RDAP] Updated bootstrap registry (${indexed.count} services)`);
+  return { updated: true, count: indexed.count, reason: null };
+}
+
+/**
+ * Finds the registry RDAP servers for a domain (longest matching label suffix)
+ *
+ * @param {string} domain - Registrable domain, e.g. "foo.co.uk"
+ * @returns {Object} - { tld, servers } (servers empty when the TLD is unknown)
+ */
+export function findRdapServers(domain) {
+  const labels = String(domain || '').toLowerCase().replace(/\.$/, '').split('.');
+  for (let i = 1; i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+    const servers = bootstrap.servers.get(suffix);
+    if (servers) return { tld: suffix, servers };
+  }
+  return { tld: labels[labels.length - 1] || '', servers: [] };
+}
+
+// ----- HTTP -----
+
+function joinUrl(base, path) {
+  return base.endsWith('/') ? `${base}${path}` : `${base}/${path}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function fetchWithTimeout(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, {
+      signal: controller.signal,
+      headers: { Accept: 'application/rdap+json, application/json' }
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetches JSON, retrying transient failures with exponential backoff
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - { timeoutMs, retries, backoffMs }
+ * @returns {Promise<Object>} - { data, status, url (after redirects), attempts, error }
+ */
+async function fetchJson(url, { timeoutMs, retries, backoffMs }) {
+  let lastError = null;
+  let lastStatus = null;
+  let retryAfter = null;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    if (attempt > 1) {
+      await sleep(Math.min(retryAfter ?? backoffMs * 2 ** (attempt - 2), MAX_BACKOFF_MS));
+    }
+
+    try {
+      const res = await fetchWithTimeout(url, timeoutMs);
+      lastStatus = res.status;
+      if (res.ok) {
+        return { data: await res.json(), status: res.status, url: res.url || url, attempts: attempt, error: null };
+      }
+
+      // Anything but rate limiting and server errors is final
+      if (res.status !== 429 && res.status < 500) {
+        return { data: null, status: res.status, url: res.url || url, attempts: attempt, error: `HTTP ${res.status}` };
+      }
+      lastError = `HTTP ${res.status}`;
+      retryAfter = retryAfterMs(res.headers.get('Retry-After'));
+    } catch (error) {
+      lastStatus = null;
+      retryAfter = null;
+      lastError = error.name === 'AbortError' ? `Timed out after ${timeoutMs} ms` : error.message;
+    }
+  }
+
+  return { data: null, status: lastStatus, url, attempts: retries + 1, error: lastError };
+}
+
+// ----- LOOKUP -----
+
+// Registry records point at the registrar's record with rel="related"
+function findRegistrarLink(data, registryUrl) {
+  const links = Array.isArray(data?.links) ? data.links : [];
+  const link = links.find((l) =>
+    l && l.rel === 'related' && typeof l.href === 'string' && /\/domain\//i.test(l.href) &&
+    (!l.type || l.type.includes('rdap') || l.type.includes('json'))
+  );
+  if (!link || link.href === registryUrl) return null;
+  return /^https?:\/\//i.test(link.href) ? link.href : null;
+}
+
+function serverOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Looks up a domain's RDAP record from its authoritative server
+ *
+ * @param {string} domain - Registrable domain, e.g. "foo.co.uk"
+ * @param {Object} [config] - Overrides for DEFAULT_RDAP_CONFIG (unset values keep the default)
+ * @returns {Promise<Object>} - On success:
+ *   {
+ *     data,             // registry RDAP record
+ *     registrarData,    // registrar RDAP record from the referral, or null
+ *     server,           // origin of the server that answered (after redirects)
+ *     serverUrl,        // full URL that answered
+ *     source,           // 'configured' | 'bootstrap' | 'fallback'
+ *     registrarServer,  // origin of the registrar server, or null
+ *     tried             // [{ server, source, status, attempts, error }]
+ *   }
+ *   On failure: { error: true, notFound, reason, tried }
+ */
+export async function lookupDomain(domain, config = {}) {
+  const options = { ...DEFAULT_RDAP_CONFIG };
+  for (const [key, value] of Object.entries(config)) {
+    if (value !== undefined && value !== null) options[key] = value;
+  }
+  await ensureBootstrapLoaded();
+
+  const name = String(domain || '').toLowerCase().replace(/\.$/, '');
+  if (!name) return { error: true, notFound: false, reason: 'Empty domain', tried: [] };
+
+  let candidates;
+  if (options.servers.length) {
+    candidates = options.servers.map((base) => ({ base, source: 'configured' }));
+  } else {
+    const { servers } = findRdapServers(name);
+    candidates = [
+      ...servers.map((base) => ({ base, source: 'bootstrap' })),
+      ...options.fallbackServers.map((base) => ({ base, source: 'fallback' }))
+    ];
+  }
+
+  const tried = [];
+  for (const { base, source } of candidates) {
+    const result = await fetchJson(joinUrl(base, `domain/${encodeURIComponent(name)}`), options);
+    tried.push({ server: base, source, status: result.status, attempts: result.attempts, error: result.error });
+
+    // 404 from a server that covers the TLD: the domain is not registered
+    if (result.status === 404) {
+      return { error: true, notFound: true, reason: 'Domain not found in RDAP', tried };
+    }
+    if (!result.data) continue;
+
+    let registrarData = null;
+    let registrarServer = null;
+    const referral = options.followReferrals ? findRegistrarLink(result.data, result.url) : null;
+    if (referral) {
+      // Registrar servers are less reliable; a failed referral keeps the registry record
+      const registrar = await fetchJson(referral, { ...options, retries: 0 });
+      tried.push({ server: referral, source: 'referral', status: registrar.status, attempts: registrar.attempts, error: registrar.error });
+      if (registrar.data) {
+        registrarData = registrar.data;
+        registrarServer = serverOf(registrar.url);
+      }
+    }
+
+    return {
+      data: result.data,
+      registrarData,
+      server: serverOf(result.url),
+      serverUrl: result.url,
+      source,
+      registrarServer,
+      tried
+    };
+  }
+
+  const last = tried[tried.length - 1];
+  return {
+    error: true,
+    notFound: false,
+    reason: last ? `RDAP lookup failed (${last.error || 'no response'})` : 'No RDAP server for this TLD',
+    tried
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Extension Settings
+ *
+ * User-tunable behaviour, stored as a single object under the "settings" key
+ * in chrome.storage.local and merged over the defaults below.
+ */
+
+export const DEFAULT_SETTINGS = {
+  // Run RDAP analysis automatically when a page finishes loading
+  autoScan: true,
+
+  // Also run DAVSS automatically (captures + uploads a screenshot, uses paid quota)
+  autoDavss: false,
+
+  // How long cached RDAP results stay valid (registration data changes slowly)
+  rdapCacheTtlDays: 7,
+
+  // How long cached DAVSS verdicts stay valid
+  davssCacheTtlHours: 12,
+
+  // Extra root domains whose passwords are remembered for reuse alerts
+  // (in addition to the TRUSTED_DOMAINS whitelist)
+  protectedDomains: [],
+
+  // User-managed root domains, merged with TRUSTED_DOMAINS in isDomainWhitelisted
+  userTrustedDomains: [],
+
+  // User-managed root domains that are always reported as Phishing
+  userBlockedDomains: [],
+
+  // RDAP domain-age buckets: first bucket with daysAge <= maxDays applies
+  rdapAgeBuckets: [
+    { maxDays: 30, score: 50 },
+    { maxDays: 180, score: 35 },
+    { maxDays: 365, score: 25 },
+    { maxDays: 1095, score: 10 },
+    { maxDays: 3650, score: 5 },
+    { maxDays: null, score: 2 }
+  ],
+
+  // RDAP base URLs queried instead of the IANA bootstrap result
+  // (e.g. a self-hosted or mock RDAP server); empty = authoritative servers
+  rdapServers: [],
+
+  // IANA RDAP bootstrap registry, refreshed weekly
+  rdapBootstrapUrl: 'https://data.iana.org/rdap/dns.json',
+
+  // Per-request RDAP timeout (each request is retried twice on failure)
+  rdapTimeoutMs: 8000,
+
+  // Query DNS records (A/NS/MX/TXT/CNAME) alongside RDAP for infrastructure signals
+  dnsAnalysisEnabled: true,
+
+  // DNS-over-HTTPS resolver speaking the JSON API (?name=&type=)
+  dohResolverUrl: 'https://cloudflare-dns.com/dns-query',
+
+  // Known-bad URL feeds checked locally on every navigation; format is
+  // 'plain' (one URL per line), 'csv', 'json' or 'auto'; type is what the feed
+  // lists, 'phishing' or 'malware' (URLhaus lists malware downloads)
+  threatFeeds: [
+    { id: 'openphish', name: 'OpenPhish', url: 'https://openphish.com/feed.txt', format: 'plain', type: 'phishing', enabled: true },
+    { id: 'urlhaus', name: 'URLhaus', url: 'https://urlhaus.abuse.ch/downloads/text_recent/', format: 'plain', type: 'malware', enabled: true }
+  ],
+
+  // Feeds older than this are downloaded again (at startup and while browsing)
+  threatFeedRefreshHours: 6,
+
+  // Reverse-image search behind DAVSS: 'serpapi' (Google Lens + ImgBB), 'vision'
+  // (Google Cloud Vision) or 'selfhosted' (see utils/visualSearch.js; 'mock' in
+  // development builds only)
+  visualSearchProvider: 'serpapi',
+
+  // Privacy mode: mask text and form fields before capture, send only the logo
+  // crop (never the full screenshot) and only to direct-upload providers
+  davssPrivacyMode: false,
+
+  // Endpoint of the self-hosted similarity service (raw image POST, JSON matches)
+  selfHostedSearchUrl: '',
+
+  // Canned answer of the mock provider: 'impersonation', 'self' or 'empty'
+  mockSearchScenario: 'self',
+
+  // Compare page logos and favicons with the local brand logo library
+  // (on-device, no uploads; see logoMatcher.js)
+  localLogoMatching: true,
+
+  // DAVSS impersonation verdicts below this confidence are treated as inconclusive
+  davssMinConfidence: 0.4,
+
+  // Record every analysed navigation in the scan history (IndexedDB)
+  historyEnabled: true,
+
+  // Scan history retention: records older than this many days are dropped (0 = forever)
+  historyRetentionDays: 90,
+
+  // Scan history retention: at most this many records are kept (0 = unlimited)
+  historyMaxEntries: 5000
+};
+
+/**
+ * Reads settings merged over defaults
+ *
+ * @returns {Promise<Object>} - Complete settings object
+ */
+export async function getSettings() {
+  try {
+    const { settings } = await chrome.storage.local.get('settings');
+    return { ...DEFAULT_SETTINGS, ...(settings || {}) };
+  } catch (error) {
+    console.warn('[Settings] Could not read settings, using defaults:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Persists a partial settings update
+ *
+ * @param {Object} patch - Settings to change
+ * @returns {Promise<Object>} - Complete settings after the update
+ */
+export async function saveSettings(patch) {
+  const current = await getSettings();
+  const next = { ...current, ...patch };
+  await chrome.storage.local.set({ settings: next });
+  return next;
+}
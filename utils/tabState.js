@@ -0,0 +1,162 @@
+/**
+ * Per-Tab Analysis State
+ *
+ * Holds analysis results keyed by tabId, scoped to a single navigation
+ * (URL + start timestamp). A background tab finishing its analysis can no
+ * longer overwrite what the popup shows for the active tab, and results that
+ * arrive after the tab has navigated away are discarded.
+ *
+ * State is kept in memory and mirrored to chrome.storage.session so it
+ * survives the MV3 service worker being suspended, but not a browser restart.
+ */
+
+const STORAGE_PREFIX = 'tab_';
+
+const tabStates = new Map();
+
+// Per-tab promise chains so concurrent updates apply one after another
+const tabLocks = new Map();
+
+/**
+ * Runs fn after any pending state operation for the same tab has finished
+ *
+ * @param {number} tabId - Tab being modified
+ * @param {Function} fn - Async operation
+ * @returns {Promise<*>} - Result of fn
+ */
+function withTabLock(tabId, fn) {
+  const previous = tabLocks.get(tabId) || Promise.resolve();
+  const next = previous.then(fn, fn);
+  tabLocks.set(tabId, next.catch(() => {}));
+  return next;
+}
+
+/**
+ * Normalizes a URL for navigation comparison (fragment changes are not a
+ * new navigation)
+ *
+ * @param {string} url - Page URL
+ * @returns {string} - URL without the #fragment
+ */
+function navigationKey(url) {
+  if (!url) return '';
+  const hashIndex = url.indexOf('#');
+  return hashIndex === -1 ? url : url.slice(0, hashIndex);
+}
+
+function storageKey(tabId) {
+  return `${STORAGE_PREFIX}${tabId}`;
+}
+
+function createState(tabId, url) {
+  return {
+    tabId,
+    url,
+    navigatedAt: Date.now(),
+    feedCheck: null,
+    features: null,
+    ml: null,
+    offpage: null,
+    davss: null,
+    logoMatch: null,
+    lexical: null,
+    verdict: null
+  };
+}
+
+async function persist(state) {
+  try {
+    await chrome.storage.session.set({ [storageKey(state.tabId)]: state });
+  } catch (error) {
+    console.warn('[TabState] Could not persist state:', error);
+  }
+}
+
+/**
+ * Returns the current state for a tab
+ *
+ * @param {number} tabId - Tab to look up
+ * @returns {Promise<Object|null>} - Tab state or null if nothing recorded
+ */
+export async function getTabState(tabId) {
+  if (!tabId) return null;
+  if (tabStates.has(tabId)) return tabStates.get(tabId);
+
+  try {
+    const key = storageKey(tabId);
+    const stored = await chrome.storage.session.get(key);
+    if (stored[key]) {
+      tabStates.set(tabId, stored[key]);
+      return stored[key];
+    }
+  } catch (error) {
+    console.warn('[TabState] Could not read state:', error);
+  }
+  return null;
+}
+
+/**
+ * Ensures the tab's state belongs to the given URL, starting a fresh
+ * navigation (and dropping old results) if it does not
+ *
+ * @param {number} tabId - Tab that navigated
+ * @param {string} url - URL now loaded in the tab
+ * @returns {Promise<Object>} - State for the current navigation
+ */
+export function beginNavigation(tabId, url) {
+  return withTabLock(tabId, async () => {
+    const current = await getTabState(tabId);
+    if (current && navigationKey(current.url) === navigationKey(url)) {
+      return current;
+    }
+
+    const state = createState(tabId, url);
+    tabStates.set(tabId, state);
+    await persist(state);
+    return state;
+  });
+}
+
+/**
+ * Merges results into a tab's state
+ *
+ * If navigatedAt is given and no longer matches the tab's current navigation,
+ * the update is stale and is dropped.
+ *
+ * @param {number} tabId - Tab to update
+ * @param {Object} patch - Fields to merge (features, offpage, davss, ...)
+ * @param {number} [navigatedAt] - Navigation the results were computed for
+ * @returns {Promise<Object|null>} - Updated state, or null if stale/unknown
+ */
+export function updateTabState(tabId, patch, navigatedAt) {
+  return withTabLock(tabId, async () => {
+    const current = await getTabState(tabId);
+    if (!current) return null;
+
+    if (navigatedAt !== undefined && current.navigatedAt !== navigatedAt) {
+      console.log(`[TabState] Dropping stale result for tab ${tabId}`);
+      return null;
+    }
+
+    const state = { ...current, ...patch };
+    tabStates.set(tabId, state);
+    await persist(state);
+    return state;
+  });
+}
+
+/**
+ * Removes all state for a tab (closed tab)
+ *
+ * @param {number} tabId - Tab to forget
+ */
+export function clearTabState(tabId) {
+  return withTabLock(tabId, async () => {
+    tabStates.delete(tabId);
+    try {
+      await chrome.storage.session.remove(storageKey(tabId));
+    } catch (error) {
+      console.warn('[TabState] Could not clear state:', error);
+    }
+  }).finally(() => tabLocks.delete(tabId));
+}
@@ -0,0 +1,422 @@
+/**
+ * Offline Threat Feeds
+ *
+ * Imports known-bad URL lists (OpenPhish and PhishTank phishing URLs, URLhaus
+ * malware URLs, and anything in the same shapes) and checks navigations against them locally, so no
+ * browsing history leaves the browser.
+ *
+ * Accepted formats:
+ *   plain   one URL per line ("#" comments ignored)            OpenPhish, URLhaus text
+ *   csv     header row with a "url" column, or a URL field     PhishTank, URLhaus CSV
+ *   json    array/object tree; every "url" string is taken     PhishTank, URLhaus JSON
+ *
+ * URLs are normalized (scheme dropped, host lowercased, fragment and trailing
+ * slash removed) and hashed with SHA-256. IndexedDB keeps the full hashes
+ * (and the URL, for display); the lookup structure is a hash-prefix set: the
+ * first 32 bits of every hash in a Uint32Array per feed, loaded into memory
+ * once. A navigation is hashed into a few expressions (full URL, without the
+ * query, parent paths, host root) and only a prefix hit costs a database read.
+ *
+ * The service worker is the only writer (options.js imports through messages)
+ * so its in-memory index never goes stale.
+ */
+
+const DB_NAME = 'spare-feeds';
+const DB_VERSION = 1;
+const FEEDS_STORE = 'feeds';
+const ENTRIES_STORE = 'entries';
+
+// Upper bound per feed so a wrong file cannot exhaust storage
+const MAX_ENTRIES_PER_FEED = 250000;
+
+// Parent paths checked per navigation ("/a/b/c" -> "/a/b", "/a")
+const MAX_PARENT_PATHS = 4;
+
+export const FEED_FORMATS = ['auto', 'plain', 'csv', 'json'];
+
+// What a feed lists; shown in verdicts and warnings ("the URLhaus malware feed")
+export const FEED_TYPES = ['phishing', 'malware'];
+
+function feedType(type) {
+  return FEED_TYPES.includes(type) ? type : 'phishing';
+}
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(FEEDS_STORE, { keyPath: 'id' });
+        request.result.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs fn against the given stores inside a single transaction
+ *
+ * @param {Array<string>} storeNames - Stores the transaction spans
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the stores by name; may return an IDBRequest
+ * @returns {Promise<*>} - The request's result once the transaction completes
+ */
+async function withStores(storeNames, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map((name) => [name, tx.objectStore(name)]));
+    const request = fn(stores);
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ----- NORMALIZATION + HASHING -----
+
+/**
+ * Normalizes a URL for feed matching
+ *
+ * @param {string} input - URL as listed in a feed or visited (scheme optional)
+ * @returns {string|null} - "host[:port]/path?query", or null if not an http(s) URL
+ */
+export function normalizeFeedUrl(input) {
+  let text = String(input || '').trim();
+  if (!text) return null;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) text = `http://${text}`;
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const host = url.host.toLowerCase().replace(/\.$/, '');
+  let path = url.pathname.replace(/\/{2,}/g, '/');
+  if (path.length > 1) path = path.replace(/\/$/, '');
+  return `${host}${path}${url.search}`;
+}
+
+// Expressions a listed URL may match: exact, without query, parent paths, host root
+function lookupExpressions(url) {
+  const full = normalizeFeedUrl(url);
+  if (!full) return [];
+
+  const expressions = new Set([full]);
+  const queryStart = full.indexOf('?');
+  const withoutQuery = queryStart === -1 ? full : full.slice(0, queryStart);
+  expressions.add(withoutQuery);
+
+  const slash = withoutQuery.indexOf('/');
+  const host = withoutQuery.slice(0, slash);
+  const segments = withoutQuery.slice(slash + 1).split('/').filter(Boolean);
+  for (let i = segments.length - 1; i > 0 && segments.length - i <= MAX_PARENT_PATHS; i--) {
+    expressions.add(`${host}/${segments.slice(0, i).join('/')}`);
+  }
+  expressions.add(`${host}/`);
+  return [...expressions];
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function prefixOf(hashHex) {
+  return parseInt(hashHex.slice(0, 8), 16) >>> 0;
+}
+
+// ----- PARSING -----
+
+function detectFormat(text) {
+  const start = text.trimStart()[0];
+  if (start === '[' || start === '{') return 'json';
+  const firstLine = text.split('\n').find((line) => line.trim() && !line.trim().startsWith('#')) || '';
+  return firstLine.includes(',') ? 'csv' : 'plain';
+}
+
+// Splits one CSV line, honouring double-quoted fields with "" escapes
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.trim().startsWith('#'));
+  if (!lines.length) return [];
+
+  const header = parseCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const urlColumn = header.indexOf('url');
+  const rows = urlColumn === -1 ? lines : lines.slice(1);
+
+  return rows.map((line) => {
+    const fields = parseCsvLine(line);
+    return urlColumn === -1 ? fields.find((f) => /^https?:\/\//i.test(f)) : fields[urlColumn];
+  }).filter(Boolean);
+}
+
+function parseJson(text) {
+  const urls = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      if (typeof node.url === 'string') urls.push(node.url);
+      Object.values(node).forEach((value) => {
+        if (value && typeof value === 'object') visit(value);
+      });
+    } else if (typeof node === 'string' && /^https?:\/\//i.test(node)) {
+      urls.push(node);
+    }
+  };
+  visit(JSON.parse(text));
+  return urls;
+}
+
+function parsePlain(text) {
+  return text.split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#') && !line.startsWith('//'))
+    .map((line) => line.split(/\s+/)[0]);
+}
+
+/**
+ * Extracts the URLs listed in a feed file
+ *
+ * @param {string} text - File contents
+ * @param {string} [format] - One of FEED_FORMATS ('auto' detects)
+ * @returns {Object} - { format, urls }
+ * @throws {Error} - If a JSON feed does not parse
+ */
+export function parseFeed(text, format = 'auto') {
+  const resolved = format === 'auto' || !FEED_FORMATS.includes(format) ? detectFormat(text) : format;
+  const parsers = { plain: parsePlain, csv: parseCsv, json: parseJson };
+  return { format: resolved, urls: parsers[resolved](text) };
+}
+
+// ----- LOOKUP INDEX -----
+
+// In memory: feedId -> { meta, prefixes: Set<number> }
+let indexPromise = null;
+
+function stripPrefixes({ prefixes, ...meta }) {
+  return meta;
+}
+
+function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = withStores([FEEDS_STORE], 'readonly', (stores) => stores[FEEDS_STORE].getAll())
+      .then((feeds) => new Map((feeds || []).map((feed) => [
+        feed.id,
+        { meta: stripPrefixes(feed), prefixes: new Set(feed.prefixes ? new Uint32Array(feed.prefixes) : []) }
+      ])))
+      .catch((error) => {
+        indexPromise = null;
+        throw error;
+      });
+  }
+  return indexPromise;
+}
+
+/**
+ * Lists imported feeds
+ *
+ * @returns {Promise<Array<Object>>} - [{ id, name, url, format, type, source, importedAt, count }]
+ */
+export async function listFeeds() {
+  const feeds = await withStores([FEEDS_STORE], 'readonly', (stores) => stores[FEEDS_STORE].getAll());
+  return (feeds || []).map(stripPrefixes);
+}
+
+/**
+ * Imports (or re-imports) a feed, replacing its previous entries
+ *
+ * @param {Object} feed
+ * @param {string} feed.id - Stable feed id ("openphish", "file-mylist")
+ * @param {string} feed.name - Display name shown in verdicts
+ * @param {string} [feed.url] - Download URL (ignored when text is given)
+ * @param {string} [feed.text] - File contents for local imports
+ * @param {string} [feed.format] - One of FEED_FORMATS
+ * @param {string} [feed.type] - One of FEED_TYPES (default 'phishing')
+ * @returns {Promise<Object>} - Stored metadata { id, name, url, format, type, source, importedAt, count, skipped }
+ */
+export async function importFeed({ id, name, url = '', text = null, format = 'auto', type = 'phishing' }) {
+  if (!id) throw new Error('Feed id is required');
+
+  let body = text;
+  if (body === null) {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`Feed download failed: HTTP ${res.status}`);
+    body = await res.text();
+  }
+
+  const parsed = parseFeed(body, format);
+  const entries = new Map();
+  let skipped = 0;
+  for (const listed of parsed.urls) {
+    const normalized = normalizeFeedUrl(listed);
+    if (!normalized) {
+      skipped++;
+      continue;
+    }
+    if (entries.size >= MAX_ENTRIES_PER_FEED) break;
+    if (!entries.has(normalized)) entries.set(normalized, await sha256Hex(normalized));
+  }
+  if (!entries.size) throw new Error('No URLs found in feed');
+
+  const prefixes = new Uint32Array([...new Set([...entries.values()].map(prefixOf))]);
+  const meta = {
+    id,
+    name: name || id,
+    url: text === null ? url : '',
+    format: parsed.format,
+    type: feedType(type),
+    source: text === null ? 'url' : 'file',
+    importedAt: Date.now(),
+    count: entries.size,
+    skipped
+  };
+
+  await withStores([FEEDS_STORE, ENTRIES_STORE], 'readwrite', (stores) => {
+    stores[ENTRIES_STORE].delete(IDBKeyRange.bound(`${id}:`, `${id}:\uffff`));
+    for (const [normalized, hash] of entries) {
+      stores[ENTRIES_STORE].put({ key: `${id}:${hash}`, feedId: id, url: normalized });
+    }
+    stores[FEEDS_STORE].put({ ...meta, prefixes: prefixes.buffer });
+  });
+
+  indexPromise = null;
+  console.log(`[Feeds] Imported ${meta.count} URLs into ${meta.name}`);
+  return meta;
+}
+
+/**
+ * Deletes a feed and its entries
+ *
+ * @param {string} id - Feed id
+ * @returns {Promise<void>}
+ */
+export async function removeFeed(id) {
+  await withStores([FEEDS_STORE, ENTRIES_STORE], 'readwrite', (stores) => {
+    stores[ENTRIES_STORE].delete(IDBKeyRange.bound(`${id}:`, `${id}:\uffff`));
+    stores[FEEDS_STORE].delete(id);
+  });
+  indexPromise = null;
+}
+
+/**
+ * Re-downloads configured URL feeds older than maxAgeHours
+ *
+ * @param {Array<Object>} feeds - Feed configs from settings ({ id, name, url, format, type, enabled })
+ * @param {Object} [options] - { maxAgeHours, force }
+ * @returns {Promise<Array<Object>>} - [{ id, updated, count, reason }]
+ */
+export async function refreshFeeds(feeds, { maxAgeHours = 6, force = false } = {}) {
+  const imported = new Map((await listFeeds()).map((feed) => [feed.id, feed]));
+  const results = [];
+
+  for (const feed of feeds.filter((f) => f.enabled && f.url)) {
+    const current = imported.get(feed.id);
+    // A feed whose type changed is imported again so matches carry the new type
+    const fresh = current && feedType(current.type) === feedType(feed.type) &&
+      Date.now() - current.importedAt < maxAgeHours * 60 * 60 * 1000;
+    if (!force && fresh) {
+      results.push({ id: feed.id, updated: false, count: current.count, reason: 'Fresh' });
+      continue;
+    }
+    try {
+      const meta = await importFeed(feed);
+      results.push({ id: feed.id, updated: true, count: meta.count, reason: null });
+    } catch (error) {
+      console.warn(`[Feeds] ${feed.name || feed.id} refresh failed:`, error);
+      results.push({ id: feed.id, updated: false, count: current?.count || 0, reason: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Checks a URL against the imported feeds that are switched on
+ *
+ * @param {string} url - Page URL
+ * @param {Object} [options] - { enabledIds }: ids of the configured URL feeds
+ *   that are enabled; downloaded feeds not listed (unticked or removed in
+ *   settings) are skipped, imported files are always checked. Omit to check all.
+ * @returns {Promise<Object>} - {
+ *     matched: boolean,
+ *     match: { feedId, feedName, feedType, source, listedUrl, importedAt } | null,
+ *     feeds: [{ id, name, type, importedAt, count }]   // what was checked (freshness)
+ *   }
+ */
+export async function checkUrl(url, { enabledIds = null } = {}) {
+  const active = [...(await loadIndex()).values()].filter(({ meta }) =>
+    !enabledIds || meta.source === 'file' || enabledIds.includes(meta.id));
+  const feeds = active.map(({ meta }) => ({
+    id: meta.id,
+    name: meta.name,
+    type: feedType(meta.type),
+    importedAt: meta.importedAt,
+    count: meta.count
+  }));
+  const result = { matched: false, match: null, feeds };
+  if (!active.length) return result;
+
+  for (const expression of lookupExpressions(url)) {
+    const hash = await sha256Hex(expression);
+    const prefix = prefixOf(hash);
+
+    for (const { meta, prefixes } of active) {
+      if (!prefixes.has(prefix)) continue;
+      // Prefix hit: confirm against the full hash
+      const entry = await withStores([ENTRIES_STORE], 'readonly', (stores) =>
+        stores[ENTRIES_STORE].get(`${meta.id}:${hash}`));
+      if (entry) {
+        result.matched = true;
+        result.match = {
+          feedId: meta.id,
+          feedName: meta.name,
+          feedType: feedType(meta.type),
+          source: meta.source,
+          listedUrl: entry.url,
+          importedAt: meta.importedAt
+        };
+        return result;
+      }
+    }
+  }
+  return result;
+}
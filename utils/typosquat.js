@@ -0,0 +1,322 @@
+/**
+ * Typosquatting Detection
+ *
+ * Compares the brand label of the registrable domain (getRootDomain) with
+ * the labels of TRUSTED_DOMAINS and the priority brand list, looking for the
+ * near-misses attackers register:
+ *
+ *   paypl.com          omission
+ *   paypall.com        duplication
+ *   paypqal.com        insertion
+ *   papyal.com         transposition
+ *   paypak.com         keyboard_substitution (l -> k are neighbours)
+ *   paypbl.com         substitution
+ *   paypa1.com         digit_substitution
+ *   pay-pal.com        hyphenation
+ *   paypal-login.com   brand_keyword
+ *   bankofamerca.com   edit_distance (two edits, long brands only)
+ *
+ * Transformations can stack ("amaz0n-secure" is digit_substitution inside a
+ * brand_keyword combo); the result lists all of them, strongest first.
+ *
+ * The brand's own name under another suffix (paypal.xyz, zoom.com,
+ * netflix.net) is not a near-miss: brands register their name under many
+ * suffixes, so at least one edit to the label is required. Well-known sites
+ * (data/topSites.js) are never reported, whatever their name.
+ */
+
+import { PRIORITY_BRANDS } from '../data/priorityBrands.js';
+import { TRUSTED_DOMAINS } from '../data/trustedList.js';
+import { TOP_SITES, WELL_KNOWN_SITES } from '../data/topSites.js';
+import { getRootDomain } from './domainUtils.js';
+
+// Words phishing kits pair with a brand name. Short generic ones ("app",
+// "my", "id", "web") are left out: brands use them in their own domains
+// (discordapp.com) and they turn too many unrelated names into combos.
+const BRAND_KEYWORDS = [
+  'login', 'signin', 'logon', 'secure', 'security', 'verify', 'verification',
+  'account', 'accounts', 'update', 'support', 'help', 'service', 'services',
+  'auth', 'billing', 'confirm', 'wallet', 'recovery', 'unlock', 'online',
+  'portal', 'official', 'customer'
+];
+
+// Digits used in place of the letters they resemble
+const DIGIT_LETTERS = { 0: 'o', 1: 'l', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g' };
+
+// QWERTY neighbours (same row and the rows above/below)
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const KEYBOARD_NEIGHBOURS = buildKeyboardNeighbours();
+
+// Shortest brand checked for keyword/hyphen combos
+const MIN_BRAND_LENGTH = 4;
+// Shorter brands produce too many accidental one-edit matches ("zoom"/"room")
+const MIN_LENGTH_FOR_EDITS = 5;
+// Two edits are only meaningful for long names ("bankofamerca")
+const MIN_LENGTH_FOR_TWO_EDITS = 8;
+
+// Score per transformation: how strongly it suggests deliberate imitation
+export const TRANSFORMATION_SCORES = {
+  digit_substitution: 0.8,
+  hyphenation: 0.7,
+  brand_keyword: 0.7,
+  keyboard_substitution: 0.7,
+  transposition: 0.7,
+  omission: 0.6,
+  duplication: 0.6,
+  // Plain one/two-letter differences also hit real words ("stream"/"steam")
+  insertion: 0.35,
+  substitution: 0.35,
+  edit_distance: 0.35
+};
+
+function buildKeyboardNeighbours() {
+  const positions = new Map();
+  KEYBOARD_ROWS.forEach((row, r) => [...row].forEach((key, c) => positions.set(key, [r, c])));
+  const neighbours = new Map();
+  for (const [key, [r, c]] of positions) {
+    const near = new Set();
+    for (const [other, [r2, c2]] of positions) {
+      if (other !== key && Math.abs(r - r2) <= 1 && Math.abs(c - c2) <= 1) near.add(other);
+    }
+    neighbours.set(key, near);
+  }
+  return neighbours;
+}
+
+// Built lazily: brand label -> real domain (null for priority brands without one)
+let brandDomains = null;
+
+function getBrands() {
+  if (!brandDomains) {
+    brandDomains = new Map();
+    for (const brand of PRIORITY_BRANDS) brandDomains.set(brand, null);
+    for (const domain of TRUSTED_DOMAINS) brandDomains.set(domain.split('.')[0], domain);
+  }
+  return brandDomains;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Number of edits
+ */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Names the single edit that turns brand into candidate
+ *
+ * @param {string} candidate - Label being checked
+ * @param {string} brand - Brand label
+ * @returns {string|null} - Transformation type, or null if not one edit apart
+ */
+function classifySingleEdit(candidate, brand) {
+  if (candidate.length === brand.length - 1) {
+    for (let i = 0; i < brand.length; i++) {
+      if (brand.slice(0, i) + brand.slice(i + 1) === candidate) return 'omission';
+    }
+    return null;
+  }
+
+  if (candidate.length === brand.length + 1) {
+    for (let i = 0; i < candidate.length; i++) {
+      if (candidate.slice(0, i) + candidate.slice(i + 1) === brand) {
+        const doubled = candidate[i] === candidate[i - 1] || candidate[i] === candidate[i + 1];
+        if (doubled) return 'duplication';
+        // A letter appended to the brand mostly spells another word (chaser, targets)
+        return i === brand.length ? null : 'insertion';
+      }
+    }
+    return null;
+  }
+
+  if (candidate.length !== brand.length) return null;
+
+  const diffs = [];
+  for (let i = 0; i < brand.length; i++) {
+    if (candidate[i] !== brand[i]) diffs.push(i);
+  }
+  if (diffs.length === 1) {
+    const [i] = diffs;
+    return KEYBOARD_NEIGHBOURS.get(brand[i])?.has(candidate[i]) ? 'keyboard_substitution' : 'substitution';
+  }
+  if (diffs.length === 2 && diffs[1] === diffs[0] + 1 &&
+    candidate[diffs[0]] === brand[diffs[1]] && candidate[diffs[1]] === brand[diffs[0]]) {
+    return 'transposition';
+  }
+  return null;
+}
+
+/**
+ * Finds the brand a single token imitates through small edits
+ *
+ * @param {string} token - Label or part of a label (no hyphens)
+ * @returns {Object|null} - { brand, transformations } or null
+ */
+function matchToken(token) {
+  const brands = getBrands();
+  const undigited = token.replace(/[0-9]/g, (digit) => DIGIT_LETTERS[digit] || digit);
+
+  for (const brand of brands.keys()) {
+    if (brand.length < MIN_LENGTH_FOR_EDITS || token === brand) continue;
+
+    if (undigited === brand) {
+      return { brand, transformations: ['digit_substitution'] };
+    }
+
+    const edit = classifySingleEdit(undigited, brand);
+    if (edit) {
+      const transformations = [edit];
+      if (undigited !== token) transformations.unshift('digit_substitution');
+      return { brand, transformations };
+    }
+
+    if (brand.length >= MIN_LENGTH_FOR_TWO_EDITS &&
+      Math.abs(undigited.length - brand.length) <= 2 &&
+      editDistance(undigited, brand) === 2) {
+      return { brand, transformations: ['edit_distance'] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Splits a brand+keyword combo ("paypal-login", "securepaypal") into the
+ * remaining core and the keywords removed
+ *
+ * @param {string} label - Brand label of the domain
+ * @returns {Object} - { core, keywords }
+ */
+function stripKeywords(label) {
+  const keywords = [];
+  let parts = label.split('-').filter(Boolean);
+
+  // Whole hyphen-separated keywords first ("paypal-secure-login")
+  parts = parts.filter((part) => {
+    if (BRAND_KEYWORDS.includes(part) && parts.length > 1) {
+      keywords.push(part);
+      return false;
+    }
+    return true;
+  });
+
+  // Then keywords glued to the brand ("paypallogin", "securepaypal")
+  let core = parts.join('-');
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const keyword of BRAND_KEYWORDS) {
+      if (core.length - keyword.length < MIN_BRAND_LENGTH) continue;
+      if (core.startsWith(keyword)) {
+        core = core.slice(keyword.length).replace(/^-/, '');
+      } else if (core.endsWith(keyword)) {
+        core = core.slice(0, -keyword.length).replace(/-$/, '');
+      } else {
+        continue;
+      }
+      keywords.push(keyword);
+      changed = true;
+    }
+  }
+
+  return { core, keywords };
+}
+
+function buildMatch(rootDomain, label, brand, transformations, extra = {}) {
+  const brandDomain = getBrands().get(brand);
+  const ordered = [...new Set(transformations)]
+    .sort((a, b) => TRANSFORMATION_SCORES[b] - TRANSFORMATION_SCORES[a]);
+  return {
+    rootDomain,
+    label,
+    isTyposquat: true,
+    brand,
+    brandDomain,
+    transformation: ordered[0],
+    transformations: ordered,
+    score: TRANSFORMATION_SCORES[ordered[0]],
+    keywords: [],
+    ...extra
+  };
+}
+
+/**
+ * Checks whether a URL's registrable domain is a near-miss of a known brand
+ *
+ * @param {string} url - Page URL
+ * @returns {Object} - {
+ *     rootDomain, label,
+ *     isTyposquat: boolean,
+ *     brand,              // imitated brand label, or null
+ *     brandDomain,        // real domain if known (TRUSTED_DOMAINS), or null
+ *     transformation,     // strongest transformation type, or null
+ *     transformations,    // every transformation found
+ *     keywords,           // brand-combo keywords ("login", "secure", ...)
+ *     score               // 0..1 strength of the match
+ *   }
+ */
+export function analyzeTyposquat(url) {
+  const rootDomain = getRootDomain(url || '');
+  const label = rootDomain.split('.')[0] || '';
+  const none = {
+    rootDomain,
+    label,
+    isTyposquat: false,
+    brand: null,
+    brandDomain: null,
+    transformation: null,
+    transformations: [],
+    keywords: [],
+    score: 0
+  };
+
+  if (!label || TRUSTED_DOMAINS.has(rootDomain) || /^\d+$/.test(label)) return none;
+  if (TOP_SITES.has(rootDomain) || WELL_KNOWN_SITES.has(rootDomain)) return none;
+  const brands = getBrands();
+
+  // The brand's own label under another suffix: no edit, nothing to report
+  if (brands.has(label)) return none;
+
+  // pay-pal.com
+  const unhyphenated = label.replace(/-/g, '');
+  if (unhyphenated !== label && brands.has(unhyphenated) && unhyphenated.length >= MIN_BRAND_LENGTH) {
+    return buildMatch(rootDomain, label, unhyphenated, ['hyphenation']);
+  }
+
+  // paypal-login.com, securepaypal.com, amaz0n-secure.com
+  const { core, keywords } = stripKeywords(label);
+  if (keywords.length) {
+    const coreJoined = core.replace(/-/g, '');
+    if (brands.has(coreJoined) && coreJoined.length >= MIN_BRAND_LENGTH) {
+      const extra = coreJoined !== core ? ['hyphenation'] : [];
+      return buildMatch(rootDomain, label, coreJoined, ['brand_keyword', ...extra], { keywords });
+    }
+    const inner = matchToken(coreJoined);
+    if (inner) {
+      return buildMatch(rootDomain, label, inner.brand, ['brand_keyword', ...inner.transformations], { keywords });
+    }
+  }
+
+  // paypl.com, paypa1.com, and the same inside a hyphenated label
+  for (const token of new Set([label, ...label.split('-')])) {
+    if (token.length < MIN_BRAND_LENGTH - 1) continue;
+    const match = matchToken(token);
+    if (match) return buildMatch(rootDomain, label, match.brand, match.transformations);
+  }
+
+  return none;
+}
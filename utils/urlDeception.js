@@ -0,0 +1,143 @@
+/**
+ * URL Deception Analysis
+ *
+ * isDomainWhitelisted() already resolves "paypal.com.account-verify.xyz" to
+ * its real root (account-verify.xyz), but the user reads "paypal.com" at the
+ * start of the address bar. This module flags trusted/priority brand names
+ * placed where they fool a human reader without affecting where the page is
+ * actually served from:
+ *
+ *   https://paypal.com.account-verify.xyz/     brand in subdomain
+ *   https://evil.xyz/paypal/signin             brand in path
+ *   https://evil.xyz/?continue=paypal.com      brand in query string
+ *   https://paypal.com@evil.xyz/               brand in userinfo
+ *
+ * Loaded by content.js through a dynamic import (see web_accessible_resources)
+ * and merged into the PhiUSIIL feature record as extra named features.
+ */
+
+import { PRIORITY_BRANDS } from '../data/priorityBrands.js';
+import { TRUSTED_DOMAINS } from '../data/trustedList.js';
+import { getRootDomain } from './domainUtils.js';
+
+// Short brand labels ("x", "wise") are ordinary words in paths and queries
+const MIN_BRAND_LENGTH = 4;
+
+// Query parameters that name other sites for tracking, not deception
+const IGNORED_QUERY_PARAMS = /^(utm_\w+|fbclid|gclid|ref|referrer|source|via)$/i;
+
+// Built lazily: brand label -> real domain (null for priority brands without one)
+let brands = null;
+
+function getBrands() {
+  if (!brands) {
+    brands = new Map();
+    for (const brand of PRIORITY_BRANDS) brands.set(brand, null);
+    for (const domain of TRUSTED_DOMAINS) brands.set(domain.split('.')[0], domain);
+  }
+  return brands;
+}
+
+/**
+ * Finds brands named in a piece of URL text
+ *
+ * @param {string} text - Subdomain label, path segment, query value, etc.
+ * @param {string} ownBrand - Brand label of the page's own root domain (ignored)
+ * @returns {Array<string>} - Brand labels found
+ */
+function findBrands(text, ownBrand) {
+  const found = new Set();
+  const lower = (text || '').toLowerCase();
+  if (!lower) return [];
+
+  // A full trusted domain anywhere ("paypal.com", "www.paypal.com")
+  for (const domain of TRUSTED_DOMAINS) {
+    if (lower.includes(domain)) found.add(domain.split('.')[0]);
+  }
+
+  // A brand as a whole token ("paypal", "paypal-login", "secure_paypal")
+  for (const token of lower.split(/[^a-z0-9]+/)) {
+    if (token.length >= MIN_BRAND_LENGTH && getBrands().has(token)) found.add(token);
+  }
+
+  found.delete(ownBrand);
+  return [...found];
+}
+
+function decode(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Analyzes a URL for brand names placed outside its registrable domain
+ *
+ * @param {string} url - Page URL
+ * @returns {Object} - Named features (0/1 flags plus the brand found) and the
+ *   individual matches:
+ *   {
+ *     BrandInSubdomain, BrandInPath, BrandInQuery, HasUserInfo, BrandInUserInfo,
+ *     DeceptiveBrand,        // first brand found, "" if none
+ *     NoOfDeceptiveBrands,   // distinct brands found
+ *     DeceptionMatches       // [{ location, brand, brandDomain, text }]
+ *   }
+ */
+export function analyzeUrlDeception(url) {
+  const features = {
+    BrandInSubdomain: 0,
+    BrandInPath: 0,
+    BrandInQuery: 0,
+    HasUserInfo: 0,
+    BrandInUserInfo: 0,
+    DeceptiveBrand: '',
+    NoOfDeceptiveBrands: 0,
+    DeceptionMatches: []
+  };
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return features;
+  }
+
+  const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+  const rootDomain = getRootDomain(hostname);
+  // Trusted sites link to and search for other brands all the time
+  if (TRUSTED_DOMAINS.has(rootDomain)) return features;
+
+  const ownBrand = rootDomain.split('.')[0];
+  const record = (location, flag, text) => {
+    for (const brand of findBrands(text, ownBrand)) {
+      features[flag] = 1;
+      features.DeceptionMatches.push({ location, brand, brandDomain: getBrands().get(brand), text });
+    }
+  };
+
+  // Subdomain labels: everything left of the registrable domain
+  const subdomain = hostname.slice(0, Math.max(0, hostname.length - rootDomain.length - 1));
+  if (subdomain) record('subdomain', 'BrandInSubdomain', subdomain);
+
+  // userinfo: "https://paypal.com@evil.xyz" shows paypal.com, loads evil.xyz
+  if (urlObj.username || urlObj.password) {
+    features.HasUserInfo = 1;
+    record('userinfo', 'BrandInUserInfo', decode(`${urlObj.username}:${urlObj.password}`));
+  }
+
+  for (const segment of urlObj.pathname.split('/').filter(Boolean)) {
+    record('path', 'BrandInPath', decode(segment));
+  }
+
+  for (const [name, value] of urlObj.searchParams) {
+    if (IGNORED_QUERY_PARAMS.test(name)) continue;
+    record('query', 'BrandInQuery', value);
+  }
+
+  const distinct = [...new Set(features.DeceptionMatches.map((m) => m.brand))];
+  features.DeceptiveBrand = distinct[0] || '';
+  features.NoOfDeceptiveBrands = distinct.length;
+  return features;
+}
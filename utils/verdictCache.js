@@ -0,0 +1,156 @@
+/**
+ * Verdict Cache
+ *
+ * Persists expensive analysis results in chrome.storage.local, keyed by the
+ * registrable root domain (getRootDomain), so revisiting a site does not
+ * repeat RDAP lookups or burn SerpApi quota.
+ *
+ * Each kind of result has its own TTL from settings:
+ * - rdap:  domain registration data changes slowly (days)
+ * - davss: visual verdicts follow page content (hours)
+ *
+ * Cached results are returned with a `cache` metadata block:
+ *   { hit: boolean, storedAt: number, expiresAt: number }
+ */
+
+import { getSettings } from './settings.js';
+
+const STORAGE_PREFIX = 'cache_';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+
+function storageKey(rootDomain) {
+  return `${STORAGE_PREFIX}${rootDomain}`;
+}
+
+/**
+ * Resolves the TTL in milliseconds for a result kind
+ *
+ * @param {string} kind - 'rdap' or 'davss'
+ * @returns {Promise<number>} - TTL in ms
+ */
+async function ttlFor(kind) {
+  const settings = await getSettings();
+  if (kind === 'rdap') return settings.rdapCacheTtlDays * MS_PER_DAY;
+  if (kind === 'davss') return settings.davssCacheTtlHours * MS_PER_HOUR;
+  throw new Error(`Unknown cache kind: ${kind}`);
+}
+
+/**
+ * Returns a cached result if present and not expired
+ *
+ * @param {string} rootDomain - Registrable domain (e.g. "example.co.uk")
+ * @param {string} kind - 'rdap' or 'davss'
+ * @returns {Promise<Object|null>} - Result with cache metadata, or null on miss
+ */
+export async function getCachedResult(rootDomain, kind) {
+  if (!rootDomain) return null;
+
+  try {
+    const key = storageKey(rootDomain);
+    const { [key]: entry } = await chrome.storage.local.get(key);
+    const cached = entry?.[kind];
+    if (!cached) return null;
+
+    const ttl = await ttlFor(kind);
+    const expiresAt = cached.storedAt + ttl;
+    if (Date.now() >= expiresAt) return null;
+
+    return {
+      ...cached.result,
+      cache: { hit: true, storedAt: cached.storedAt, expiresAt }
+    };
+  } catch (error) {
+    console.warn('[Cache] Read failed:', error);
+    return null;
+  }
+}
+
+// The DAVSS sent-image thumbnail is a data URL: shown with the live result,
+// never persisted (storage.local has no unlimitedStorage quota)
+function withoutImageData(result) {
+  if (!result.sentImage?.thumbnail) return result;
+  return { ...result, sentImage: { ...result.sentImage, thumbnail: null } };
+}
+
+/**
+ * Stores a result for a domain. Errored results are never cached, nor is
+ * image data (a cache hit has no sentImage thumbnail).
+ *
+ * @param {string} rootDomain - Registrable domain
+ * @param {string} kind - 'rdap' or 'davss'
+ * @param {Object} result - Analysis result
+ * @returns {Promise<Object>} - The result with cache metadata (hit: false)
+ */
+export async function setCachedResult(rootDomain, kind, result) {
+  const storedAt = Date.now();
+  if (!rootDomain || !result || result.error) {
+    return result;
+  }
+
+  const { cache, ...plainResult } = result;
+
+  try {
+    const key = storageKey(rootDomain);
+    const { [key]: entry = {} } = await chrome.storage.local.get(key);
+    entry[kind] = { storedAt, result: withoutImageData(plainResult) };
+    await chrome.storage.local.set({ [key]: entry });
+    return { ...plainResult, cache: { hit: false, storedAt, expiresAt: storedAt + await ttlFor(kind) } };
+  } catch (error) {
+    console.warn('[Cache] Write failed:', error);
+    return result;
+  }
+}
+
+/**
+ * Drops cached results for a domain
+ *
+ * @param {string} rootDomain - Registrable domain
+ * @param {string} [kind] - Only drop this kind; omit to drop everything
+ */
+export async function invalidateCache(rootDomain, kind) {
+  const key = storageKey(rootDomain);
+  if (!kind) {
+    await chrome.storage.local.remove(key);
+    return;
+  }
+  const { [key]: entry } = await chrome.storage.local.get(key);
+  if (!entry) return;
+  delete entry[kind];
+  await chrome.storage.local.set({ [key]: entry });
+}
+
+/**
+ * Removes every expired entry (called on startup to keep storage small)
+ *
+ * @returns {Promise<number>} - Number of domains removed entirely
+ */
+export async function pruneExpiredCache() {
+  const all = await chrome.storage.local.get(null);
+  const ttls = { rdap: await ttlFor('rdap'), davss: await ttlFor('davss') };
+  const now = Date.now();
+  const updates = {};
+  const removals = [];
+
+  for (const [key, entry] of Object.entries(all)) {
+    if (!key.startsWith(STORAGE_PREFIX) || !entry) continue;
+
+    const kept = {};
+    for (const [kind, cached] of Object.entries(entry)) {
+      if (ttls[kind] !== undefined && cached.storedAt + ttls[kind] > now) {
+        kept[kind] = cached;
+      }
+    }
+
+    if (Object.keys(kept).length === 0) {
+      removals.push(key);
+    } else if (Object.keys(kept).length !== Object.keys(entry).length) {
+      updates[key] = kept;
+    }
+  }
+
+  if (removals.length) await chrome.storage.local.remove(removals);
+  if (Object.keys(updates).length) await chrome.storage.local.set(updates);
+  return removals.length;
+}
@@ -0,0 +1,61 @@
+/**
+ * Visual Search Providers
+ *
+ * DAVSS needs "which sites show this image?". Each provider adapter in
+ * providers/ answers that in two steps:
+ *
+ *   upload(dataUrl, context) -> image reference the search step understands
+ *                               ({ url } for URL-only APIs, { blob } for direct upload)
+ *   search(image, context)   -> normalized result:
+ *     {
+ *       matches: [{ url, domain, title, score }],  // best first; domain without www.
+ *       texts: [string],                           // text read from the image (OCR)
+ *       entity: string|null                        // recognised brand/entity name
+ *     }
+ *
+ * context is { keys, settings, currentUrl }. requiredKeys lists the fields of
+ * context.keys an adapter cannot work without; publicUpload marks adapters that
+ * put the image at a public URL (refused in privacy mode).
+ *
+ * Nothing downstream of search() may look at a provider's native response.
+ */
+
+import { serpApiLens } from '../providers/serpApiLens.js';
+import { cloudVisionWeb } from '../providers/cloudVisionWeb.js';
+import { selfHostedSearch } from '../providers/selfHostedSearch.js';
+import { mockSearch } from '../providers/mockSearch.js';
+
+export const DEFAULT_VISUAL_SEARCH_PROVIDER = 'serpapi';
+
+/**
+ * Development flag. The mock provider answers with canned results, so any
+ * build that offers it can flag every site; set to true only in a local
+ * checkout to exercise DAVSS without API keys. When false, a stored 'mock'
+ * selection falls back to the default provider.
+ */
+export const ENABLE_MOCK_PROVIDER = false;
+
+const PROVIDERS = new Map(
+  [serpApiLens, cloudVisionWeb, selfHostedSearch, ...(ENABLE_MOCK_PROVIDER ? [mockSearch] : [])]
+    .map((provider) => [provider.id, provider])
+);
+
+/**
+ * Lists the available providers (for the options page)
+ *
+ * @returns {Array<Object>} - [{ id, name, requiredKeys, publicUpload }]
+ */
+export function listVisualSearchProviders() {
+  return [...PROVIDERS.values()]
+    .map(({ id, name, requiredKeys, publicUpload }) => ({ id, name, requiredKeys, publicUpload }));
+}
+
+/**
+ * Returns the adapter for a provider id, falling back to the default
+ *
+ * @param {string} id - Provider id from settings
+ * @returns {Object} - Adapter { id, name, requiredKeys, publicUpload, upload, search }
+ */
+export function getVisualSearchProvider(id) {
+  return PROVIDERS.get(id) || PROVIDERS.get(DEFAULT_VISUAL_SEARCH_PROVIDER);
+}
@@ -0,0 +1,603 @@
+/**
+ * Verdict Engine - Unified Risk Fusion
+ *
+ * Fuses the independent analyses into a single answer:
+ * 1. On-page PhiUSIIL features reported by content.js
+ * 2. On-device ML probability over those features (mlClassifier.js)
+ * 3. Off-page RDAP risk from offpage.js (calculateDomainRisk) plus DNS
+ *    infrastructure signals (dnsAnalysis.js)
+ * 4. Visual impersonation verdict from davssService.js (calculateDavssScore)
+ * 5. Lookalike-character (homoglyph / IDN) analysis of the URL (homoglyph.js)
+ * 6. Typosquatting analysis of the registrable domain (typosquat.js)
+ * 7. Local logo/favicon fingerprint and favicon hash match against known
+ *    brands (logoMatcher.js)
+ *
+ * Each source is evaluated on its own into a 0..1 risk score plus a list of
+ * contributing signals. The scores are combined as a weighted average over the
+ * sources that actually produced data; sources that errored or never ran are
+ * reported explicitly and lower the confidence instead of being ignored.
+ *
+ * URL-lexical sources and the local logo match (EVIDENCE_ONLY_SOURCES) only
+ * take part when they find something: a clean URL or an unknown logo proves
+ * little, so it neither dilutes the score nor lowers the confidence.
+ *
+ * A URL listed in an imported phishing or malware feed (threatFeeds.js) is not weighed
+ * at all: it is known phishing, like a domain on the user's block list.
+ */
+
+/**
+ * Relative weight of each source in the fused score.
+ * DAVSS is weighted highest because a visual brand mismatch is the most
+ * direct evidence of impersonation.
+ */
+const SOURCE_WEIGHTS = {
+  onPage: 0.15,
+  ml: 0.2,
+  offPage: 0.2,
+  davss: 0.45,
+  homoglyph: 0.3,
+  typosquat: 0.3,
+  logoMatch: 0.35
+};
+
+/**
+ * Sources that only count when they find something (the URL-lexical checks
+ * and the local logo match); excluded from the confidence total
+ */
+const EVIDENCE_ONLY_SOURCES = new Set(['homoglyph', 'typosquat', 'logoMatch']);
+
+/**
+ * Default minimum DAVSS confidence for an impersonation verdict to count
+ * (overridable from the options page)
+ */
+const DEFAULT_DAVSS_MIN_CONFIDENCE = 0.4;
+
+/**
+ * Fused score cut-offs for the final label
+ */
+const VERDICT_THRESHOLDS = {
+  phishing: 0.6,
+  suspicious: 0.3
+};
+
+export const VERDICTS = {
+  SAFE: 'Safe',
+  SUSPICIOUS: 'Suspicious',
+  PHISHING: 'Phishing',
+  UNKNOWN: 'Unknown'
+};
+
+/**
+ * Builds a signal entry
+ *
+ * @param {string} source - Source key (onPage, ml, offPage, davss, homoglyph, typosquat, logoMatch)
+ * @param {string} id - Stable machine-readable signal id
+ * @param {string} label - Human-readable explanation
+ * @param {number} score - Contribution of this signal to the source score
+ * @returns {Object} - Signal object
+ */
+function signal(source, id, label, score) {
+  return { source, id, label, score };
+}
+
+/**
+ * Evaluates on-page PhiUSIIL features
+ *
+ * @param {Object|null} features - Feature record from content.js
+ * @returns {Object} - { status, score, signals, reason }
+ */
+function evaluateOnPage(features) {
+  if (!features) {
+    return { status: 'missing', score: 0, signals: [], reason: 'On-page features not received' };
+  }
+
+  const signals = [];
+
+  if (features.HasPasswordField && features.HasExternalFormSubmit) {
+    signals.push(signal('onPage', 'external_credential_form', 'Password form submits to another host', 0.3));
+  } else if (features.HasPasswordField) {
+    signals.push(signal('onPage', 'password_field', 'Page asks for a password', 0.1));
+  } else if (features.HasExternalFormSubmit) {
+    signals.push(signal('onPage', 'external_form_submit', 'Form submits to another host', 0.1));
+  }
+
+  if (features.IsDomainIP) {
+    signals.push(signal('onPage', 'ip_host', 'Page is served from a raw IP address', 0.25));
+  }
+
+  if (!features.IsHTTPS) {
+    signals.push(signal('onPage', 'no_https', 'Page is not served over HTTPS', 0.1));
+  }
+
+  if (features.HasObfuscation) {
+    signals.push(signal('onPage', 'url_obfuscation', `URL contains ${features.NoOfObfuscatedChar} encoded characters`, 0.1));
+  }
+
+  if (features.TLDLegitimateProb < 0.5) {
+    signals.push(signal('onPage', 'uncommon_tld', `Uncommon TLD .${features.TLD}`, 0.1));
+  }
+
+  if (features.NoOfSubDomain >= 3) {
+    signals.push(signal('onPage', 'deep_subdomain', `${features.NoOfSubDomain} subdomain levels`, 0.1));
+  }
+
+  if (features.Bank_Pay_Crypto && features.HasPasswordField) {
+    signals.push(signal('onPage', 'financial_login', 'Banking/payment/crypto content with a login form', 0.1));
+  }
+
+  if (features.BrandInUserInfo) {
+    signals.push(signal('onPage', 'brand_in_userinfo', `URL shows "${features.DeceptiveBrand}" before an @ but loads another host`, 0.4));
+  } else if (features.HasUserInfo) {
+    signals.push(signal('onPage', 'userinfo', 'URL contains credentials before an @', 0.2));
+  }
+
+  if (features.BrandInSubdomain) {
+    signals.push(signal('onPage', 'brand_in_subdomain', `"${features.DeceptiveBrand}" used as a subdomain of an unrelated site`, 0.35));
+  } else if (features.BrandInPath || features.BrandInQuery) {
+    // Brand names in paths/queries are common on review and news sites; only
+    // meaningful next to a login form
+    const where = features.BrandInPath ? 'path' : 'query string';
+    signals.push(signal('onPage', 'brand_in_url', `"${features.DeceptiveBrand}" appears in the URL ${where}`, features.HasPasswordField ? 0.2 : 0.05));
+  }
+
+  if (features.NoOfURLRedirect > 0) {
+    signals.push(signal('onPage', 'meta_refresh', 'Page uses meta refresh redirects', 0.05));
+  }
+
+  const score = Math.min(1, signals.reduce((sum, s) => sum + s.score, 0));
+  return { status: 'ok', score, signals };
+}
+
+/**
+ * Evaluates the on-device ML classification
+ *
+ * @param {Object|null} ml - Result of classifyFeatures()
+ * @returns {Object} - { status, score, signals, reason }
+ */
+function evaluateMl(ml) {
+  if (!ml) {
+    return { status: 'missing', score: 0, signals: [], reason: 'ML classifier not run' };
+  }
+  if (ml.error) {
+    return { status: 'error', score: 0, signals: [], reason: ml.errorMessage || 'ML classification failed' };
+  }
+  // Hand-set placeholder weights carry no evidence: not fused until a fitted model ships
+  if (!ml.trained) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: `Model v${ml.modelVersion} is not trained; not used in the verdict` };
+  }
+
+  const signals = [];
+  if (ml.isPhishing) {
+    const drivers = (ml.topFeatures || []).map((f) => f.feature).join(', ');
+    signals.push(signal(
+      'ml',
+      'ml_phishing',
+      `Model v${ml.modelVersion} phishing probability ${(ml.probability * 100).toFixed(0)}%${drivers ? ` (${drivers})` : ''}`,
+      ml.probability
+    ));
+  }
+
+  return { status: 'ok', score: ml.probability, signals };
+}
+
+/**
+ * Evaluates the RDAP-based off-page result and its DNS infrastructure part
+ *
+ * @param {Object|null} offpage - Result of analyzeDomain(), with analyzeDns() under `dns`
+ * @returns {Object} - { status, score, signals, reason, whitelisted }
+ */
+function evaluateOffPage(offpage) {
+  if (!offpage) {
+    return { status: 'missing', score: 0, signals: [], reason: 'Off-page analysis not run' };
+  }
+  if (offpage.whitelisted) {
+    return { status: 'ok', score: 0, signals: [], whitelisted: true };
+  }
+  // DNS results ride along in the same payload and still count when RDAP
+  // failed, but only if they found something: clean DNS alone says little
+  const dns = offpage.dns && !offpage.dns.error ? offpage.dns : null;
+  if (offpage.error && !dns?.signals?.length) {
+    return { status: 'error', score: 0, signals: [], reason: offpage.reason || 'Off-page analysis failed' };
+  }
+
+  const signals = [];
+
+  if (offpage.scoreAge > 0 && offpage.daysAge !== null) {
+    signals.push(signal('offPage', 'domain_age', `Domain registered ${offpage.daysAge} days ago`, offpage.scoreAge / 100));
+  }
+  if (offpage.scoreLifespan > 0 && offpage.daysLifespan !== null) {
+    signals.push(signal('offPage', 'short_lifespan', `Registration period of ${offpage.daysLifespan} days`, offpage.scoreLifespan / 100));
+  }
+  if (offpage.scoreUpdate > 0 && offpage.daysSinceUpdate !== null) {
+    signals.push(signal('offPage', 'recent_update', `Registration changed ${offpage.daysSinceUpdate} days ago`, offpage.scoreUpdate / 100));
+  }
+  // Registrar, status, privacy and nameserver signals carry their own explanation
+  for (const s of offpage.signals || []) {
+    signals.push(signal('offPage', s.id, s.label, s.score / 100));
+  }
+  for (const s of dns?.signals || []) {
+    signals.push(signal('offPage', s.id, s.label, s.score / 100));
+  }
+
+  const rdapScore = offpage.error ? 0 : offpage.normalized || 0;
+  return { status: 'ok', score: Math.min(1, rdapScore + (dns?.normalized || 0)), signals };
+}
+
+/**
+ * Evaluates the DAVSS verdict
+ *
+ * Scenario C (TLD trap) and D (priority impersonation) are decisive: they
+ * force a Phishing verdict regardless of the other sources.
+ *
+ * @param {Object|null} davss - Result of calculateDavssScore()
+ * @param {number} minConfidence - Confidence below which C/D is treated as inconclusive
+ * @returns {Object} - { status, score, signals, reason, whitelisted, decisive }
+ */
+function evaluateDavss(davss, minConfidence) {
+  if (!davss) {
+    return { status: 'missing', score: 0, signals: [], reason: 'Visual analysis not run' };
+  }
+  if (davss.whitelisted) {
+    return { status: 'ok', score: 0, signals: [], whitelisted: true };
+  }
+  if (davss.disabled) {
+    // Not configured is a choice, not a failure: report it like a source that did not run
+    return { status: 'missing', score: 0, signals: [], reason: davss.errorMessage };
+  }
+  if (davss.error) {
+    return { status: 'error', score: 0, signals: [], reason: davss.errorMessage || 'Visual analysis failed' };
+  }
+
+  switch (davss.scenario) {
+    case 'A':
+    case 'B':
+      return {
+        status: 'ok',
+        score: 0,
+        signals: [signal('davss', `scenario_${davss.scenario.toLowerCase()}`, davss.status, 0)]
+      };
+    case 'C':
+    case 'D':
+      if ((davss.confidenceScore ?? 1) < minConfidence) {
+        return {
+          status: 'inconclusive',
+          score: 0,
+          signals: [],
+          reason: `${davss.status} below confidence cutoff (${davss.confidenceScore} < ${minConfidence})`
+        };
+      }
+      return {
+        status: 'ok',
+        score: davss.similarityScore,
+        decisive: VERDICTS.PHISHING,
+        signals: [signal('davss', `scenario_${davss.scenario.toLowerCase()}`, `${davss.status} (real site: ${davss.trueDomain})`, davss.similarityScore)]
+      };
+    default:
+      // Scenario E: the search ran but proved nothing either way
+      return { status: 'inconclusive', score: 0, signals: [], reason: davss.status || 'Visual analysis inconclusive' };
+  }
+}
+
+/**
+ * Evaluates the lookalike-character analysis of the URL
+ *
+ * A domain whose skeleton matches a trusted domain or priority brand is
+ * decisive; mixed or whole-script confusable labels on their own are only
+ * suspicious (legitimate IDNs exist).
+ *
+ * @param {Object|null} homoglyph - Result of analyzeHomoglyphs()
+ * @returns {Object} - { status, score, signals, reason, decisive }
+ */
+function evaluateHomoglyph(homoglyph) {
+  if (!homoglyph || !homoglyph.hostname) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: 'URL not analyzed' };
+  }
+
+  const shown = homoglyph.unicodeHostname !== homoglyph.hostname
+    ? ` (${homoglyph.unicodeHostname})`
+    : '';
+
+  if (homoglyph.isSpoof) {
+    const target = homoglyph.impersonatedDomain || homoglyph.impersonatedBrand;
+    return {
+      status: 'ok',
+      score: 0.95,
+      decisive: VERDICTS.PHISHING,
+      signals: [signal('homoglyph', 'homoglyph_spoof', `Domain imitates ${target} with lookalike characters${shown}`, 0.95)]
+    };
+  }
+
+  const signals = [];
+  for (const { label, scripts } of homoglyph.mixedScriptLabels) {
+    signals.push(signal('homoglyph', 'mixed_script', `Domain label "${label}" mixes ${scripts.join(' + ')} characters`, 0.5));
+  }
+  for (const { label, script } of homoglyph.wholeScriptLabels) {
+    signals.push(signal('homoglyph', 'whole_script_confusable', `Domain label "${label}" uses ${script} letters that look Latin`, 0.4));
+  }
+
+  if (!signals.length) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: 'No lookalike characters in domain' };
+  }
+  return { status: 'ok', score: Math.max(...signals.map((s) => s.score)), signals };
+}
+
+/**
+ * Evaluates the typosquatting analysis of the registrable domain
+ *
+ * Near-misses are never decisive on their own: real words can sit one edit
+ * away from a brand, so they raise the fused score instead.
+ *
+ * @param {Object|null} typosquat - Result of analyzeTyposquat()
+ * @returns {Object} - { status, score, signals, reason }
+ */
+function evaluateTyposquat(typosquat) {
+  if (!typosquat || !typosquat.rootDomain) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: 'URL not analyzed' };
+  }
+  if (!typosquat.isTyposquat) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: 'Domain does not resemble a known brand' };
+  }
+
+  const how = typosquat.transformations.map((t) => t.replace(/_/g, ' ')).join(', ');
+  const keywords = typosquat.keywords.length ? ` + "${typosquat.keywords.join('", "')}"` : '';
+  return {
+    status: 'ok',
+    score: typosquat.score,
+    signals: [signal(
+      'typosquat',
+      `typosquat_${typosquat.transformation}`,
+      `Domain resembles ${typosquat.brandDomain || typosquat.brand}${keywords} (${how})`,
+      typosquat.score
+    )]
+  };
+}
+
+/**
+ * Evaluates the local logo/favicon fingerprint match
+ *
+ * A favicon file identical to a brand's official one, or a strong visual
+ * match to an official fingerprint, on a domain the brand does not own is
+ * decisive. A strong match to a fingerprint learned on a visit, or a weak
+ * match, only raises the score (simple logos and stock icons resemble each
+ * other).
+ *
+ * @param {Object|null} logoMatch - Result of analyzeLogo()
+ * @returns {Object} - { status, score, signals, reason, decisive }
+ */
+function evaluateLogoMatch(logoMatch) {
+  if (!logoMatch || logoMatch.whitelisted || logoMatch.disabled) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: 'Logo not compared' };
+  }
+  if (logoMatch.error) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: logoMatch.errorMessage };
+  }
+  if (!logoMatch.checked.logo && !logoMatch.checked.favicon) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: 'No logo or favicon to compare' };
+  }
+
+  const signals = [];
+  const copied = logoMatch.favicon?.match;
+  if (copied) {
+    const hash = copied.hash === 'sha256' ? 'SHA-256' : `MurmurHash3 ${logoMatch.favicon.mmh3}`;
+    signals.push(signal(
+      'logoMatch',
+      'favicon_impersonation',
+      `Favicon is ${copied.name}'s official icon (${hash} match) but the site is not ${copied.officialDomains[0]}`,
+      0.95
+    ));
+  }
+
+  if (logoMatch.match) {
+    const { name, kind, officialDomains, distance, strength, source } = logoMatch.match;
+    const what = kind === 'favicon' ? 'Favicon' : 'Logo';
+    if (strength !== 'strong') {
+      signals.push(signal('logoMatch', 'logo_resemblance', `${what} resembles ${name} (distance ${distance}/64)`, 0.45));
+    } else if (source === 'official') {
+      signals.push(signal('logoMatch', 'logo_impersonation', `${what} matches ${name} (distance ${distance}/64) but the site is not ${officialDomains[0]}`, 0.9));
+    } else {
+      signals.push(signal('logoMatch', 'logo_learned_match', `${what} matches one seen on ${name}'s site (distance ${distance}/64)`, 0.5));
+    }
+  }
+
+  if (!signals.length) {
+    return { status: 'inconclusive', score: 0, signals: [], reason: 'Logo and favicon match no known brand' };
+  }
+  return {
+    status: 'ok',
+    score: Math.max(...signals.map((s) => s.score)),
+    signals,
+    decisive: logoMatch.impersonation ? VERDICTS.PHISHING : null
+  };
+}
+
+/**
+ * Maps a fused score to a verdict label
+ *
+ * @param {number} score - Fused 0..1 risk score
+ * @returns {string} - One of VERDICTS
+ */
+function labelForScore(score) {
+  if (score >= VERDICT_THRESHOLDS.phishing) return VERDICTS.PHISHING;
+  if (score >= VERDICT_THRESHOLDS.suspicious) return VERDICTS.SUSPICIOUS;
+  return VERDICTS.SAFE;
+}
+
+/**
+ * Fuses on-page, ML, RDAP and DAVSS results into one verdict
+ *
+ * @param {Object} inputs - { features, ml, offpage, davss, homoglyph, typosquat, logoMatch } (any may be null),
+ *   plus blocked: true when the user put the domain on their block list, and
+ *   override: { label, reportedAt } when the user reported the domain
+ *   (see feedbackStore.js); both take precedence over automatic analysis.
+ *   feedCheck is the threatFeeds.js checkUrl result: a match is reported as
+ *   Phishing unless the user reported the site safe
+ * @param {Object} [options] - { davssMinConfidence }
+ * @returns {Object} - Verdict object:
+ *   {
+ *     verdict: string,       // Safe / Suspicious / Phishing / Unknown
+ *     score: number,         // Fused 0..1 risk score
+ *     confidence: number,    // 0..1, share of weighted evidence that was available
+ *     signals: Array,        // Contributing signals, strongest first
+ *     sources: Object,       // Per-source { status, score, reason }
+ *     degraded: boolean,     // True if any source errored or is missing
+ *     feedCheck: Object|null // Feed match and the feeds checked (with import times)
+ *   }
+ */
+export function computeVerdict(
+  {
+    features = null,
+    ml = null,
+    offpage = null,
+    davss = null,
+    homoglyph = null,
+    typosquat = null,
+    logoMatch = null,
+    blocked = false,
+    override = null,
+    feedCheck = null
+  } = {},
+  { davssMinConfidence = DEFAULT_DAVSS_MIN_CONFIDENCE } = {}
+) {
+  const evaluations = {
+    onPage: evaluateOnPage(features),
+    ml: evaluateMl(ml),
+    offPage: evaluateOffPage(offpage),
+    davss: evaluateDavss(davss, davssMinConfidence),
+    homoglyph: evaluateHomoglyph(homoglyph),
+    typosquat: evaluateTyposquat(typosquat),
+    logoMatch: evaluateLogoMatch(logoMatch)
+  };
+
+  const sources = {};
+  const signals = [];
+  let weightedScore = 0;
+  let availableWeight = 0;
+  let decisive = null;
+  let decisiveScore = 0;
+  let whitelisted = false;
+
+  for (const [key, evaluation] of Object.entries(evaluations)) {
+    sources[key] = {
+      status: evaluation.status,
+      score: evaluation.score,
+      reason: evaluation.reason || null
+    };
+
+    if (evaluation.whitelisted) whitelisted = true;
+    if (evaluation.decisive) {
+      decisive = evaluation.decisive;
+      decisiveScore = Math.max(decisiveScore, evaluation.score);
+    }
+
+    if (evaluation.status === 'ok') {
+      weightedScore += evaluation.score * SOURCE_WEIGHTS[key];
+      availableWeight += SOURCE_WEIGHTS[key];
+      signals.push(...evaluation.signals);
+    } else if (evaluation.status === 'error') {
+      // Surface failures as signals so they are visible next to the evidence
+      signals.push(signal(key, 'source_error', evaluation.reason, 0));
+    }
+  }
+
+  const totalWeight = Object.entries(SOURCE_WEIGHTS)
+    .filter(([key]) => !EVIDENCE_ONLY_SOURCES.has(key))
+    .reduce((sum, [, weight]) => sum + weight, 0);
+  const degraded = Object.values(sources).some((s) => s.status === 'error' || s.status === 'missing');
+
+  signals.sort((a, b) => b.score - a.score);
+
+  // Which feeds were consulted and when they were imported travels with every verdict
+  const feeds = { feedCheck: feedCheck || null };
+
+  if (blocked) {
+    return {
+      verdict: VERDICTS.PHISHING,
+      score: 1,
+      confidence: 1.0,
+      signals: [signal('userList', 'blocked_domain', 'Domain is on your block list', 1), ...signals],
+      sources,
+      degraded,
+      blocked: true,
+      ...feeds
+    };
+  }
+
+  if (override?.label === 'phishing') {
+    return {
+      verdict: VERDICTS.PHISHING,
+      score: 1,
+      confidence: 1.0,
+      signals: [signal('userReport', 'reported_phishing', 'You reported this site as phishing', 1), ...signals],
+      sources,
+      degraded,
+      override,
+      ...feeds
+    };
+  }
+
+  if (override?.label === 'safe') {
+    return {
+      verdict: VERDICTS.SAFE,
+      score: 0,
+      confidence: 1.0,
+      signals: [signal('userReport', 'reported_safe', 'You reported this site as safe', 0)],
+      sources,
+      degraded,
+      override,
+      ...feeds
+    };
+  }
+
+  // Feeds list individual URLs, so a match on a trusted host (a form on a
+  // shared hosting platform) still counts
+  if (feedCheck?.matched) {
+    const { feedName, feedType = 'phishing', listedUrl } = feedCheck.match;
+    return {
+      verdict: VERDICTS.PHISHING,
+      score: 1,
+      confidence: 1.0,
+      signals: [signal('threatFeed', `known_${feedType}_url`, `Listed in the ${feedName} ${feedType} feed (${listedUrl})`, 1), ...signals],
+      sources,
+      degraded,
+      ...feeds
+    };
+  }
+
+  if (whitelisted) {
+    return {
+      verdict: VERDICTS.SAFE,
+      score: 0,
+      confidence: 1.0,
+      signals: [signal('whitelist', 'trusted_domain', 'Domain is in trusted whitelist', 0)],
+      sources,
+      degraded: false,
+      whitelisted: true,
+      ...feeds
+    };
+  }
+
+  if (availableWeight === 0) {
+    return {
+      verdict: VERDICTS.UNKNOWN,
+      score: 0,
+      confidence: 0,
+      signals,
+      sources,
+      degraded,
+      ...feeds
+    };
+  }
+
+  const score = weightedScore / availableWeight;
+  const confidence = Math.min(1, availableWeight / totalWeight);
+
+  return {
+    verdict: decisive || labelForScore(score),
+    score: decisive ? Math.max(score, VERDICT_THRESHOLDS.phishing) : score,
+    confidence: decisive ? Math.max(confidence, decisiveScore) : confidence,
+    signals,
+    sources,
+    degraded,
+    ...feeds
+  };
+}
@@ -0,0 +1,89 @@
+// warning.js — blocking interstitial for high-risk verdicts
+
+document.addEventListener("DOMContentLoaded", () => {
+  const params = new URLSearchParams(location.search);
+  const blockedUrl = params.get("url") || "";
+  const blockedDomain = params.get("domain") || "";
+  const brand = params.get("brand") || "";
+  const trueDomain = params.get("trueDomain") || "";
+  const daysAge = params.get("daysAge");
+  const status = params.get("status") || "";
+  // "feed" when the URL is listed in a threat feed, otherwise a DAVSS verdict
+  const cause = params.get("cause") || "davss";
+  const feedType = params.get("feedType") === "malware" ? "malware" : "phishing";
+
+  // Only ever navigate to plain web URLs / hostnames taken from the query string
+  const canProceed = /^https?:\/\//i.test(blockedUrl);
+  const hasRealSite = /^[a-z0-9.-]+\.[a-z]{2,}$/i.test(trueDomain);
+
+  function setText(id, text) {
+    document.getElementById(id).textContent = text;
+  }
+
+  setText("blocked-url", blockedUrl || "Unknown");
+  setText("blocked-domain", blockedDomain || "this site");
+  setText("brand", brand ? brand.toUpperCase() : "Unknown");
+  setText("true-domain", trueDomain || "Unknown");
+  setText("status", status || "Visual impersonation detected");
+
+  // Feed matches skip the brand and RDAP analysis, so those rows have nothing to show
+  if (cause === "feed") {
+    setText("headline", feedType === "malware"
+      ? "S.P.A.R.E blocked this page because it is listed as a malware download in a threat feed. " +
+        "Files from this address may infect your device."
+      : "S.P.A.R.E blocked this page because it is listed as phishing in a threat feed. " +
+        "Entering passwords or payment details here may give them to attackers.");
+    for (const id of ["brand", "true-domain", "domain-age"]) {
+      document.getElementById(id).closest("tr").hidden = true;
+    }
+  }
+
+  if (daysAge !== null && daysAge !== "") {
+    const days = Number(daysAge);
+    setText("domain-age", days <= 30
+      ? `${days} days (newly registered)`
+      : `${days} days`);
+  } else {
+    setText("domain-age", "Unknown (RDAP unavailable)");
+  }
+
+  // ----- GO TO THE REAL SITE -----
+  const goReal = document.getElementById("go-real");
+  if (!hasRealSite) {
+    goReal.textContent = "Go back";
+  }
+  goReal.addEventListener("click", () => {
+    if (hasRealSite) {
+      location.replace(`https://${trueDomain}`);
+    } else {
+      history.length > 1 ? history.back() : window.close();
+    }
+  });
+
+  // ----- PROCEED ANYWAY (records a per-domain exception) -----
+  const understand = document.getElementById("understand");
+  const proceed = document.getElementById("proceed");
+  const reportSafe = document.getElementById("report-safe");
+
+  understand.addEventListener("change", () => {
+    proceed.disabled = !understand.checked;
+    reportSafe.disabled = !understand.checked;
+  });
+
+  proceed.addEventListener("click", () => {
+    if (!understand.checked || !canProceed) return;
+    chrome.runtime.sendMessage(
+      { type: "grant_exception", domain: blockedDomain, kind: "interstitial" },
+      () => location.replace(blockedUrl)
+    );
+  });
+
+  // ----- REPORT A FALSE POSITIVE (stores a "safe" override for the domain) -----
+  reportSafe.addEventListener("click", () => {
+    if (!understand.checked || !canProceed) return;
+    chrome.runtime.sendMessage(
+      { type: "report_verdict", url: blockedUrl, label: "safe" },
+      () => location.replace(blockedUrl)
+    );
+  });
+});